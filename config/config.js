@@ -28,6 +28,26 @@ const envSchema = Joi.object({
   EXCHANGE_RATE_API_KEY: Joi.string().required().description('Exchange Rate API Key'),
   EXCHANGE_RATE_API_URL: Joi.string().uri().default('https://api.exchangerate-api.com/v4'),
 
+  // Outbound API quotas (calls per key; 0 = unlimited)
+  KIWI_DAILY_QUOTA: Joi.number().min(0).default(0),
+  KIWI_MONTHLY_QUOTA: Joi.number().min(0).default(0),
+  TRAVELPAYOUTS_DAILY_QUOTA: Joi.number().min(0).default(0),
+  TRAVELPAYOUTS_MONTHLY_QUOTA: Joi.number().min(0).default(0),
+  SKYSCANNER_DAILY_QUOTA: Joi.number().min(0).default(0),
+  SKYSCANNER_MONTHLY_QUOTA: Joi.number().min(0).default(0),
+  EXCHANGE_RATE_DAILY_QUOTA: Joi.number().min(0).default(0),
+  EXCHANGE_RATE_MONTHLY_QUOTA: Joi.number().min(0).default(0),
+  OUTBOUND_QUEUE_TIMEOUT: Joi.number().min(0).default(10000),
+  BREAKER_WINDOW_MS: Joi.number().min(1000).default(60000),
+  BREAKER_MIN_REQUESTS: Joi.number().min(1).default(5),
+  BREAKER_ERROR_THRESHOLD: Joi.number().min(0).max(1).default(0.5),
+  BREAKER_LATENCY_THRESHOLD_MS: Joi.number().min(0).default(15000),
+  BREAKER_COOLDOWN_MS: Joi.number().min(0).default(30000),
+
+  // Flight providers
+  ENABLED_PROVIDERS: Joi.string().default('kiwi,travelpayouts,skyscanner'),
+  FALLBACK_AFFILIATE_PROVIDER: Joi.string().default('travelpayouts'),
+
   // Database
   DATABASE_URL: Joi.string().required().description('PostgreSQL Database URL'),
   DATABASE_SSL: Joi.boolean().default(false),
@@ -47,6 +67,8 @@ const envSchema = Joi.object({
   CACHE_ENABLED: Joi.boolean().default(true),
   EXCHANGE_RATE_TTL: Joi.number().default(3600),
   ROUTE_CACHE_TTL: Joi.number().default(7200),
+  LEG_CACHE_TTL: Joi.number().default(3600),
+  SEARCH_LOCK_TTL: Joi.number().min(1).default(90),
 
   // Rate Limiting
   RATE_LIMIT_WINDOW: Joi.number().default(900000),
@@ -62,6 +84,12 @@ const envSchema = Joi.object({
   ENABLE_AFFILIATE_LINKS: Joi.boolean().default(true),
   ENABLE_SEARCH_HISTORY: Joi.boolean().default(true),
   ENABLE_PRICE_ALERTS: Joi.boolean().default(false),
+  ENABLE_GROUND_TRANSPORT: Joi.boolean().default(true),
+  GROUND_TRANSPORT_DATA_PATH: Joi.string().default('data/ground-transport'),
+  FEE_RULES_PATH: Joi.string().default('data/fee-rules.json'),
+  DEFAULT_SORT_MODE: Joi.string().valid('cheapest', 'fastest', 'best', 'safest').default('best'),
+  MAX_MISSED_CONNECTION_RISK: Joi.number().min(0).max(1).default(0.5),
+  SEARCH_DEADLINE_MS: Joi.number().min(0).default(12000),
 
   // Africa Focus
   DEFAULT_CURRENCY: Joi.string().default('ZAR'),
@@ -73,6 +101,7 @@ const envSchema = Joi.object({
   SESSION_SECRET: Joi.string().default('travel-bot-secret-change-in-production'),
   ENCRYPTION_KEY: Joi.string().length(32).default('12345678901234567890123456789012'),
   JWT_SECRET: Joi.string().default('jwt-secret-change-in-production'),
+  ADMIN_API_TOKEN: Joi.string().optional().allow('').default(''),
 
 }).unknown().required();
 
@@ -120,22 +149,45 @@ const config = {
       apiKey: envVars.KIWI_API_KEY,
       baseUrl: envVars.KIWI_API_URL,
       affiliateId: envVars.KIWI_AFFILIATE_ID,
+      dailyQuota: envVars.KIWI_DAILY_QUOTA,
+      monthlyQuota: envVars.KIWI_MONTHLY_QUOTA,
     },
     travelpayouts: {
       apiKey: envVars.TRAVELPAYOUTS_API_KEY,
       marker: envVars.TRAVELPAYOUTS_MARKER,
       affiliateId: envVars.TRAVELPAYOUTS_AFFILIATE_ID,
+      dailyQuota: envVars.TRAVELPAYOUTS_DAILY_QUOTA,
+      monthlyQuota: envVars.TRAVELPAYOUTS_MONTHLY_QUOTA,
     },
     skyscanner: {
       apiKey: envVars.SKYSCANNER_API_KEY,
       affiliateId: envVars.SKYSCANNER_AFFILIATE_ID,
+      dailyQuota: envVars.SKYSCANNER_DAILY_QUOTA,
+      monthlyQuota: envVars.SKYSCANNER_MONTHLY_QUOTA,
     },
     exchangeRate: {
       apiKey: envVars.EXCHANGE_RATE_API_KEY,
       baseUrl: envVars.EXCHANGE_RATE_API_URL,
+      dailyQuota: envVars.EXCHANGE_RATE_DAILY_QUOTA,
+      monthlyQuota: envVars.EXCHANGE_RATE_MONTHLY_QUOTA,
     },
   },
 
+  // Per-provider circuit breakers
+  circuitBreaker: {
+    windowMs: envVars.BREAKER_WINDOW_MS, // rolling window for error rate and latency
+    minRequests: envVars.BREAKER_MIN_REQUESTS, // calls in the window before the breaker can open
+    errorThreshold: envVars.BREAKER_ERROR_THRESHOLD,
+    latencyThresholdMs: envVars.BREAKER_LATENCY_THRESHOLD_MS, // average latency that counts as down
+    cooldownMs: envVars.BREAKER_COOLDOWN_MS, // time open before a half-open trial call
+  },
+
+  // Flight providers
+  providers: {
+    enabled: envVars.ENABLED_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean),
+    fallbackAffiliate: envVars.FALLBACK_AFFILIATE_PROVIDER,
+  },
+
   // Database
   database: {
     url: envVars.DATABASE_URL,
@@ -158,6 +210,8 @@ const config = {
     enabled: envVars.CACHE_ENABLED,
     ttl: envVars.CACHE_TTL,
     routeTtl: envVars.ROUTE_CACHE_TTL,
+    legTtl: envVars.LEG_CACHE_TTL,
+    searchLockTtl: envVars.SEARCH_LOCK_TTL, // seconds identical searches wait on one in flight
     exchangeRateTtl: envVars.EXCHANGE_RATE_TTL,
   },
 
@@ -165,6 +219,7 @@ const config = {
   rateLimit: {
     windowMs: envVars.RATE_LIMIT_WINDOW,
     max: envVars.RATE_LIMIT_MAX_REQUESTS,
+    outboundQueueTimeout: envVars.OUTBOUND_QUEUE_TIMEOUT, // ms an outbound API call may wait for a slot
   },
 
   // Logging
@@ -180,6 +235,41 @@ const config = {
     affiliateLinks: envVars.ENABLE_AFFILIATE_LINKS,
     searchHistory: envVars.ENABLE_SEARCH_HISTORY,
     priceAlerts: envVars.ENABLE_PRICE_ALERTS,
+    groundTransport: envVars.ENABLE_GROUND_TRANSPORT,
+  },
+
+  // Result ranking
+  ranking: {
+    defaultSortMode: envVars.DEFAULT_SORT_MODE,
+    // Relative weight of each objective in the composite "best" score
+    weights: {
+      price: 0.5,
+      duration: 0.25,
+      selfTransfers: 0.15,
+      risk: 0.1
+    },
+    // Routes more likely than this to miss a connection are dropped
+    maxMissedConnectionRisk: envVars.MAX_MISSED_CONNECTION_RISK,
+  },
+
+  // Ground transfer estimates to and from alternative airports
+  groundTransfer: {
+    roadFactor: 1.3, // road distance / straight-line distance
+    speedKmh: 60,
+    baseMinutes: 30, // waiting, loading and getting to the terminal
+    baseCostZAR: 150,
+    costPerKmZAR: 4,
+  },
+
+  // Bus, train and shuttle timetables stitched into itineraries
+  groundTimetables: {
+    dataPath: path.resolve(__dirname, '..', envVars.GROUND_TRANSPORT_DATA_PATH), // JSON files and GTFS folders
+    defaultTransferMinutes: 15, // station to terminal when a station doesn't say
+  },
+
+  // Fees added on top of provider fares
+  pricing: {
+    feeRulesPath: path.resolve(__dirname, '..', envVars.FEE_RULES_PATH), // versioned fee rule set
   },
 
   // Africa Configuration
@@ -187,7 +277,7 @@ const config = {
     defaultCurrency: envVars.DEFAULT_CURRENCY,
     defaultCountry: envVars.DEFAULT_COUNTRY,
     popularAirports: envVars.POPULAR_AIRPORTS,
-    hubAirports: ['JNB', 'CPT', 'ADD', 'NBO', 'LOS', 'ACC', 'CAI', 'DXB', 'DOH', 'IST'],
+    hubAirports: ['JNB', 'CPT', 'ADD', 'NBO', 'LOS', 'ACC', 'CAI', 'DXB', 'DOH', 'IST', 'LHR', 'CDG'],
   },
 
   // Security
@@ -195,6 +285,8 @@ const config = {
     sessionSecret: envVars.SESSION_SECRET,
     encryptionKey: envVars.ENCRYPTION_KEY,
     jwtSecret: envVars.JWT_SECRET,
+    // Bearer token for the admin-only HTTP endpoints; unset keeps them closed
+    adminApiToken: envVars.ADMIN_API_TOKEN,
   },
 
   // Connection Limits
@@ -203,8 +295,26 @@ const config = {
     apiTimeout: 10000, // 10 seconds
     maxRoutesPerSearch: 1000,
     maxStitchedRoutes: 50,
+    maxSelfTransfers: 2, // up to three separate tickets
+    hubSearchBudget: 30, // extra provider calls per search for hub legs
+    maxCandidateHubs: 5,
+    maxHubDetour: 1.8, // (origin->hub + hub->destination) / origin->destination
+    maxBoundOptions: 10, // cheapest one-ways per bound paired into returns
+    minMultiCityLegs: 2,
+    maxMultiCityLegs: 6,
+    maxPlannerCities: 5, // home + 5 cities = 6 legs
+    maxTourDetour: 1.5, // tour distance / shortest tour distance
+    plannerCandidateOrders: 6, // visiting orders estimated from month prices
+    plannerConfirmations: 3, // best estimates confirmed with full searches
+    nearbyAirportRadiusKm: 150,
+    maxNearbySearches: 3, // alternative airport pairs searched when nothing is found
+    maxFlexibleDays: 3, // +/- days around the requested date
+    flexibleFallbackSearches: 3, // full searches per direction for dates without month prices
     minConnectionTime: 2 * 60 * 60 * 1000, // 2 hours
     maxConnectionTime: 24 * 60 * 60 * 1000, // 24 hours
+    chatStateTtl: 2 * 60 * 60 * 1000, // last search results and passenger mix kept per chat
+    maxChatStates: 5000, // chats whose last search is kept in memory
+    searchDeadlineMs: envVars.SEARCH_DEADLINE_MS, // return partial results after this long (0 = no deadline)
   },
 
   // Paths
@@ -214,6 +324,7 @@ const config = {
     logs: path.resolve(__dirname, '..', 'logs'),
     scripts: path.resolve(__dirname, '..', 'scripts'),
     tests: path.resolve(__dirname, '..', 'tests'),
+    data: path.resolve(__dirname, '..', 'data'),
   },
 };
 
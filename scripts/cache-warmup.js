@@ -16,7 +16,7 @@ const POPULAR_ROUTES = [
     { from: 'LOS', to: 'LON', name: 'Lagos to London' },
     { from: 'LOS', to: 'JNB', name: 'Lagos to Johannesburg' },
     { from: 'ACC', to: 'LON', name: 'Accra to London' },
-    { from: 'ACC', to: 'JFK', name: 'Accra to New York' },
+    { from: 'ACC', to: 'NYC', name: 'Accra to New York' },
     { from: 'NBO', to: 'DXB', name: 'Nairobi to Dubai' },
     { from: 'NBO', to: 'JNB', name: 'Nairobi to Johannesburg' },
     { from: 'ADD', to: 'DXB', name: 'Addis Ababa to Dubai' },
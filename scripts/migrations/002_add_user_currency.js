@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * Migration: Add the currency users read prices in
+ * Version: 002
+ */
+
+module.exports = {
+  async up(query) {
+    await query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS currency CHAR(3) DEFAULT 'ZAR';
+    `);
+  },
+
+  async down(query) {
+    await query('ALTER TABLE users DROP COLUMN IF EXISTS currency;');
+  }
+};
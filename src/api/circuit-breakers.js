@@ -0,0 +1,222 @@
+'use strict';
+
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Per-provider circuit breakers.
+ *
+ * Each API client's axios instance reports every call's outcome and
+ * latency. When the error rate or the average latency over the rolling
+ * window crosses its threshold the breaker opens and calls fail at once
+ * instead of waiting on retries and timeouts. After the cooldown one trial
+ * call is let through (half-open): success closes the breaker, failure
+ * opens it again.
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+// Errors raised before the request reaches the provider, or calls we cancelled
+// ourselves, say nothing about its health
+const LOCAL_ERROR_CODES = ['CIRCUIT_OPEN', 'RATE_LIMITED', 'QUOTA_EXCEEDED', 'ERR_CANCELED'];
+
+class CircuitBreaker {
+  constructor(name, options) {
+    this.name = name;
+    this.options = options;
+    this.state = STATES.CLOSED;
+    this.samples = [];
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a call would be let through, without claiming the half-open trial
+   */
+  isAvailable(now = Date.now()) {
+    if (this.state === STATES.OPEN) {
+      return now - this.openedAt >= this.options.cooldownMs;
+    }
+
+    return this.state === STATES.CLOSED || !this.trialInFlight;
+  }
+
+  /**
+   * Claim permission for one call
+   */
+  tryAcquire(now = Date.now()) {
+    if (this.state === STATES.OPEN && now - this.openedAt >= this.options.cooldownMs) {
+      this.transition(STATES.HALF_OPEN);
+    }
+
+    if (this.state === STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === STATES.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Give back a half-open trial that never reached the provider
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a call's outcome and open or close the breaker as needed
+   */
+  record(ok, latencyMs, now = Date.now()) {
+    if (this.state === STATES.HALF_OPEN) {
+      this.trialInFlight = false;
+      if (ok && latencyMs < this.options.latencyThresholdMs) {
+        this.samples = [];
+        this.transition(STATES.CLOSED);
+      } else {
+        this.open(now);
+      }
+      return;
+    }
+
+    this.samples.push({ time: now, ok, latencyMs });
+    this.prune(now);
+
+    if (this.state === STATES.CLOSED && this.samples.length >= this.options.minRequests) {
+      const stats = this.getWindowStats();
+      if (stats.errorRate >= this.options.errorThreshold || stats.averageLatencyMs >= this.options.latencyThresholdMs) {
+        this.open(now);
+      }
+    }
+  }
+
+  open(now) {
+    this.openedAt = now;
+    this.transition(STATES.OPEN);
+  }
+
+  transition(state) {
+    if (this.state !== state) {
+      logger.warn(`Circuit breaker ${this.name}: ${this.state} -> ${state}`);
+      this.state = state;
+    }
+  }
+
+  prune(now = Date.now()) {
+    this.samples = this.samples.filter(sample => now - sample.time <= this.options.windowMs);
+  }
+
+  getWindowStats() {
+    const requests = this.samples.length;
+    const errors = this.samples.filter(sample => !sample.ok).length;
+    const latency = this.samples.reduce((sum, sample) => sum + sample.latencyMs, 0);
+
+    return {
+      requests,
+      errorRate: requests > 0 ? errors / requests : 0,
+      averageLatencyMs: requests > 0 ? Math.round(latency / requests) : 0
+    };
+  }
+
+  getStatus(now = Date.now()) {
+    this.prune(now);
+
+    return {
+      state: this.state,
+      ...this.getWindowStats(),
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === STATES.OPEN ? new Date(this.openedAt + this.options.cooldownMs).toISOString() : null
+    };
+  }
+}
+
+class CircuitBreakerRegistry {
+  constructor() {
+    this.breakers = new Map();
+  }
+
+  /**
+   * Breaker for a provider, created on first use
+   */
+  get(name) {
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, new CircuitBreaker(name, config.circuitBreaker));
+    }
+
+    return this.breakers.get(name);
+  }
+
+  /**
+   * Guard every request made through an axios instance with a provider's breaker
+   */
+  attach(client, name) {
+    const breaker = this.get(name);
+
+    client.interceptors.request.use(requestConfig => {
+      if (!breaker.tryAcquire()) {
+        const error = new Error(`${name} temporarily unavailable (circuit open)`);
+        error.code = 'CIRCUIT_OPEN';
+        error.retryable = false;
+        throw error;
+      }
+
+      requestConfig.metadata = { ...requestConfig.metadata, startedAt: Date.now() };
+      return requestConfig;
+    });
+
+    client.interceptors.response.use(
+      response => {
+        breaker.record(true, this.getLatency(response.config));
+        return response;
+      },
+      error => {
+        if (LOCAL_ERROR_CODES.includes(error.code)) {
+          if (error.code !== 'CIRCUIT_OPEN') breaker.release();
+        } else {
+          // Client errors mean the provider answered; 429 and 5xx mean it's struggling
+          const status = error.response?.status;
+          const ok = Boolean(status) && status < 500 && status !== 429;
+          breaker.record(ok, this.getLatency(error.config));
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    return client;
+  }
+
+  getLatency(requestConfig) {
+    const startedAt = requestConfig?.metadata?.startedAt;
+    return startedAt ? Date.now() - startedAt : 0;
+  }
+
+  isAvailable(name) {
+    return !this.breakers.has(name) || this.breakers.get(name).isAvailable();
+  }
+
+  /**
+   * State, error rate and latency of every breaker, keyed by provider
+   */
+  getStatus() {
+    const status = {};
+
+    for (const [name, breaker] of this.breakers) {
+      status[name] = breaker.getStatus();
+    }
+
+    return status;
+  }
+}
+
+// Create singleton instance
+const circuitBreakers = new CircuitBreakerRegistry();
+
+module.exports = circuitBreakers;
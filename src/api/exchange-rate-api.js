@@ -4,6 +4,8 @@ const axios = require('axios');
 const config = require('../../config/config');
 const logger = require('../utils/logger');
 const redisClient = require('../database/redis-client');
+const outboundLimiter = require('./outbound-limiter');
+const circuitBreakers = require('./circuit-breakers');
 
 /**
  * Exchange Rate API integration for currency conversion
@@ -26,6 +28,12 @@ class ExchangeRateAPI {
       }
     });
     
+    // Share per-minute limits and quotas with every instance
+    outboundLimiter.attach(this.client, 'exchange_rate', this.apiKey);
+    
+    // Fail fast while the provider is down (runs before the limiter)
+    circuitBreakers.attach(this.client, 'exchange_rate');
+    
     // Add response interceptor
     this.client.interceptors.response.use(
       (response) => {
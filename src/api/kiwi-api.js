@@ -5,6 +5,8 @@ const config = require('../../config/config');
 const logger = require('../utils/logger');
 const Helpers = require('../utils/helpers');
 const redisClient = require('../database/redis-client');
+const outboundLimiter = require('./outbound-limiter');
+const circuitBreakers = require('./circuit-breakers');
 
 /**
  * Kiwi.com Tequila API integration for virtual interlining
@@ -29,6 +31,12 @@ class KiwiAPI {
       }
     });
     
+    // Share per-minute limits and quotas with every instance
+    outboundLimiter.attach(this.client, 'kiwi', this.apiKey);
+    
+    // Fail fast while the provider is down (runs before the limiter)
+    circuitBreakers.attach(this.client, 'kiwi');
+    
     // Add response interceptor for logging
     this.client.interceptors.response.use(
       (response) => {
@@ -62,7 +70,8 @@ class KiwiAPI {
       currency = 'ZAR',
       maxStops = 2,
       sort = 'price',
-      limit = 100
+      limit = 100,
+      signal
     } = params;
     
     const cacheKey = `kiwi:search:${Helpers.generateCacheKey({ from, to, date, returnDate, adults, children, infants, cabinClass, currency })}`;
@@ -111,7 +120,7 @@ class KiwiAPI {
       );
       
       const response = await Helpers.retryWithBackoff(
-        () => this.client.get('/v2/search', { params: searchParams }),
+        () => this.client.get('/v2/search', { params: searchParams, signal }),
         this.maxRetries,
         1000
       );
@@ -136,8 +145,8 @@ class KiwiAPI {
         data: error.response?.data
       });
       
-      // Return empty array instead of throwing for better UX
-      return [];
+      // The search reports the provider as failed
+      throw error;
     }
   }
 
@@ -255,7 +264,7 @@ class KiwiAPI {
    * Get multi-city/virtual interlining routes
    */
   async getMultiCityRoutes(params) {
-    const { segments, passengers = 1, cabinClass = 'M', currency = 'ZAR' } = params;
+    const { segments, adults = 1, children = 0, infants = 0, cabinClass = 'M', currency = 'ZAR' } = params;
     
     if (!segments || segments.length < 2) {
       return [];
@@ -269,9 +278,9 @@ class KiwiAPI {
           date: this.formatDate(segment.date),
           return_date: segment.returnDate ? this.formatDate(segment.returnDate) : undefined
         })),
-        adults: passengers,
-        children: 0,
-        infants: 0,
+        adults,
+        children,
+        infants,
         cabin_class: cabinClass,
         curr: currency,
         partner_market: 'za',
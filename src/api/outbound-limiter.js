@@ -0,0 +1,272 @@
+'use strict';
+
+const crypto = require('crypto');
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const Helpers = require('../utils/helpers');
+const constants = require('../utils/constants');
+const redisClient = require('../database/redis-client');
+
+/**
+ * Shared limiter for outbound API calls.
+ *
+ * Every API client attaches it to its axios instance. Calls over the
+ * per-minute limit (constants.API_RATE_LIMITS) wait for a free slot up to
+ * the queue timeout; calls over a daily or monthly quota fail straight away,
+ * and the client falls back to its usual empty result. Counters are kept in
+ * Redis per provider and per API key so all instances share them.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Keep daily counters a little past midnight and monthly ones past month end
+const DAILY_TTL = 2 * 24 * 60 * 60;
+const MONTHLY_TTL = 32 * 24 * 60 * 60;
+const METRICS_TTL = 7 * 24 * 60 * 60;
+
+// Config section holding each provider's API key and quotas
+const PROVIDER_CONFIG = {
+  kiwi: 'kiwi',
+  travelpayouts: 'travelpayouts',
+  skyscanner: 'skyscanner',
+  exchange_rate: 'exchangeRate'
+};
+
+class OutboundLimiter {
+  constructor() {
+    this.queueTimeout = config.rateLimit.outboundQueueTimeout;
+    this.keys = new Map();
+  }
+
+  /**
+   * Limit every request made through an axios instance
+   */
+  attach(client, provider, apiKey) {
+    this.register(provider, apiKey);
+
+    client.interceptors.request.use(async requestConfig => {
+      await this.acquire(provider, apiKey);
+
+      // Time the call from when it leaves the queue
+      requestConfig.metadata = { ...requestConfig.metadata, startedAt: Date.now() };
+      return requestConfig;
+    });
+
+    return client;
+  }
+
+  /**
+   * Remember a provider's API key for the usage report
+   */
+  register(provider, apiKey) {
+    const keyId = this.getKeyId(apiKey);
+    this.keys.set(`${provider}:${keyId}`, { provider, keyId, key: this.maskKey(apiKey) });
+  }
+
+  /**
+   * Wait for a per-minute slot and count the call against the quotas.
+   * Throws when a quota is used up or no slot frees up in time.
+   */
+  async acquire(provider, apiKey) {
+    const keyId = this.getKeyId(apiKey);
+    const limits = this.getLimits(provider);
+    const counted = await this.reserveQuota(provider, keyId, limits);
+
+    if (limits.perMinute > 0) {
+      const deadline = Date.now() + this.queueTimeout;
+      let queued = false;
+
+      for (;;) {
+        const slot = await redisClient.rateLimit(this.getRateKey(provider, keyId), MINUTE_MS, limits.perMinute);
+        if (slot.allowed) break;
+
+        const wait = Math.max(100, new Date(slot.reset) - Date.now());
+        if (Date.now() + wait > deadline) {
+          await Promise.all([
+            this.releaseQuota(provider, keyId, counted),
+            this.recordEvent(provider, keyId, 'throttled')
+          ]);
+          throw this.limitError('RATE_LIMITED', `${provider} limit of ${limits.perMinute} calls per minute reached`);
+        }
+
+        if (!queued) {
+          queued = true;
+          await this.recordEvent(provider, keyId, 'queued');
+          logger.debug(`Queueing ${provider} call for ${wait}ms (rate limit)`);
+        }
+
+        await Helpers.sleep(wait);
+      }
+    }
+  }
+
+  /**
+   * Count the call against the daily and monthly quotas, then check the new
+   * totals: concurrent calls can't all pass a check made before any of them
+   * was counted. Calls over a quota are given back and rejected. Resolves to
+   * whether the call was counted (Redis errors let it through uncounted).
+   */
+  async reserveQuota(provider, keyId, limits) {
+    const dailyKey = this.getQuotaKey(provider, keyId, this.getDay());
+    const monthlyKey = this.getQuotaKey(provider, keyId, this.getMonth());
+    let usage;
+
+    try {
+      const replies = await redisClient.multi([
+        ['INCR', dailyKey],
+        ['EXPIRE', dailyKey, DAILY_TTL],
+        ['INCR', monthlyKey],
+        ['EXPIRE', monthlyKey, MONTHLY_TTL]
+      ]);
+      usage = { daily: Number(replies[0]), monthly: Number(replies[2]) };
+    } catch (error) {
+      logger.error(`Failed to count ${provider} API call:`, error);
+      return false;
+    }
+
+    // Waiting doesn't help until the day or month rolls over
+    for (const period of ['daily', 'monthly']) {
+      if (limits[period] > 0 && usage[period] > limits[period]) {
+        await Promise.all([
+          this.releaseQuota(provider, keyId, true),
+          this.recordEvent(provider, keyId, 'rejected')
+        ]);
+        throw this.limitError('QUOTA_EXCEEDED', `${provider} ${period} quota of ${limits[period]} calls used up`);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Give back a counted call that was never made
+   */
+  async releaseQuota(provider, keyId, counted) {
+    if (!counted) {
+      return;
+    }
+
+    try {
+      await redisClient.multi([
+        ['DECR', this.getQuotaKey(provider, keyId, this.getDay())],
+        ['DECR', this.getQuotaKey(provider, keyId, this.getMonth())]
+      ]);
+    } catch (error) {
+      logger.error(`Failed to give back ${provider} API call:`, error);
+    }
+  }
+
+  /**
+   * Per-minute limit and quotas for a provider
+   */
+  getLimits(provider) {
+    const apiConfig = config.apis[PROVIDER_CONFIG[provider]] || {};
+
+    return {
+      perMinute: constants.API_RATE_LIMITS[provider.toUpperCase()] || 0,
+      daily: apiConfig.dailyQuota || 0,
+      monthly: apiConfig.monthlyQuota || 0
+    };
+  }
+
+  /**
+   * Calls made today and this month with one API key
+   */
+  async getQuotaUsage(provider, keyId) {
+    const [daily, monthly] = await Promise.all([
+      redisClient.get(this.getQuotaKey(provider, keyId, this.getDay())),
+      redisClient.get(this.getQuotaKey(provider, keyId, this.getMonth()))
+    ]);
+
+    return { daily: Number(daily) || 0, monthly: Number(monthly) || 0 };
+  }
+
+  /**
+   * Count a queued, throttled or rejected call
+   */
+  async recordEvent(provider, keyId, type) {
+    try {
+      const metricsKey = this.getMetricsKey();
+      await redisClient.multi([
+        ['HINCRBY', metricsKey, `${provider}:${keyId}:${type}`, 1],
+        ['EXPIRE', metricsKey, METRICS_TTL]
+      ]);
+    } catch (error) {
+      logger.error(`Failed to record ${provider} limiter event:`, error);
+    }
+  }
+
+  /**
+   * Consumption per provider and API key: calls in the last minute, today
+   * and this month against their limits, plus today's queued, throttled
+   * and rejected calls
+   */
+  async getUsage() {
+    const events = await redisClient.hgetall(this.getMetricsKey());
+    const now = Date.now();
+
+    return Promise.all([...this.keys.values()].map(async ({ provider, keyId, key }) => {
+      const [lastMinute, quotas] = await Promise.all([
+        redisClient.zrangebyscore(this.getRateKey(provider, keyId), now - MINUTE_MS, '+inf'),
+        this.getQuotaUsage(provider, keyId)
+      ]);
+      const count = type => Number(events[`${provider}:${keyId}:${type}`]) || 0;
+
+      return {
+        provider,
+        key,
+        limits: this.getLimits(provider),
+        lastMinute: lastMinute.length,
+        daily: quotas.daily,
+        monthly: quotas.monthly,
+        queued: count('queued'),
+        throttled: count('throttled'),
+        rejected: count('rejected')
+      };
+    }));
+  }
+
+  limitError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.retryable = false;
+    return error;
+  }
+
+  /**
+   * Short stable id for an API key, so keys never end up in Redis or logs
+   */
+  getKeyId(apiKey) {
+    return crypto.createHash('sha256').update(String(apiKey || '')).digest('hex').slice(0, 8);
+  }
+
+  maskKey(apiKey) {
+    const key = String(apiKey || '');
+    return key.length > 4 ? `…${key.slice(-4)}` : '…';
+  }
+
+  getRateKey(provider, keyId) {
+    return `ratelimit:outbound:${provider}:${keyId}`;
+  }
+
+  getQuotaKey(provider, keyId, period) {
+    return `quota:${provider}:${keyId}:${period}`;
+  }
+
+  getMetricsKey() {
+    return `metrics:outbound:${this.getDay()}`;
+  }
+
+  getDay() {
+    return Helpers.formatDate(new Date(), 'YYYY-MM-DD');
+  }
+
+  getMonth() {
+    return this.getDay().substring(0, 7);
+  }
+}
+
+// Create singleton instance
+const outboundLimiter = new OutboundLimiter();
+
+module.exports = outboundLimiter;
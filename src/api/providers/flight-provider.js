@@ -0,0 +1,128 @@
+'use strict';
+
+const Helpers = require('../../utils/helpers');
+
+/**
+ * Base class for flight providers used by the route stitcher.
+ *
+ * A provider wraps one API client and exposes the operations the search
+ * pipeline needs: search, normalize, affiliate links, bookability checks and
+ * connectivity tests. Subclasses override buildSearchParams() to map the
+ * common search parameters onto the client's own format.
+ */
+
+class FlightProvider {
+  constructor(name, client, options = {}) {
+    this.name = name;
+    this.client = client;
+    this.displayName = options.displayName || name;
+  }
+
+  /**
+   * Map common search params to the client's search params
+   */
+  buildSearchParams(params) {
+    return {
+      from: params.from,
+      to: params.to,
+      date: params.date,
+      returnDate: params.returnDate,
+      ...Helpers.getPassengerMix(params),
+      cabinClass: params.cabinClass,
+      currency: params.currency,
+      // Cancels the provider call when the search deadline passes
+      signal: params.deadline ? params.deadline.signal : undefined
+    };
+  }
+
+  /**
+   * Search flights and tag results with this provider. Errors are passed
+   * on so the search can report the provider as failed; a call cancelled
+   * at the search deadline is reported by the deadline instead.
+   */
+  async search(params) {
+    try {
+      const results = await this.client.searchFlights(this.buildSearchParams(params));
+      return this.tagResults(results);
+    } catch (error) {
+      if (error.code === 'ERR_CANCELED') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Search a whole multi-city itinerary as one booking.
+   * Legs are [{ from, to, date }]; providers without support return [].
+   */
+  async searchMultiCity(legs, params) {
+    return [];
+  }
+
+  /**
+   * Cheapest one-way price per day for a month.
+   * Returns [{ date: 'YYYY-MM-DD', price }] in the requested currency.
+   */
+  async getMonthPrices(from, to, year, month, currency) {
+    return [];
+  }
+
+  /**
+   * Map a client's month-price rows to { date, price }
+   */
+  normalizeMonthPrices(days) {
+    if (!Array.isArray(days)) {
+      return [];
+    }
+
+    return days
+      .filter(day => day.date && typeof day.price === 'number')
+      .map(day => ({ date: String(day.date).substring(0, 10), price: day.price }));
+  }
+
+  /**
+   * Normalize raw API results to the common route format
+   */
+  normalize(rawResults, params) {
+    return this.tagResults(this.client.normalizeResults(rawResults, params));
+  }
+
+  /**
+   * Mark routes as coming from this provider
+   */
+  tagResults(results) {
+    if (!Array.isArray(results)) {
+      return [];
+    }
+
+    return results.map(result => ({
+      ...result,
+      source: this.name,
+      bookingEngine: this.name
+    }));
+  }
+
+  /**
+   * Generate affiliate/deep link for a route
+   */
+  generateAffiliateLink(route) {
+    return this.client.generateAffiliateLink(route);
+  }
+
+  /**
+   * Check that a route is still bookable
+   */
+  async validateRoute(route) {
+    return { valid: true, reason: `${this.displayName} does not support live validation` };
+  }
+
+  /**
+   * Test API connectivity
+   */
+  async testConnection() {
+    return this.client.testConnection();
+  }
+}
+
+module.exports = FlightProvider;
@@ -0,0 +1,49 @@
+'use strict';
+
+const FlightProvider = require('./flight-provider');
+const logger = require('../../utils/logger');
+const Helpers = require('../../utils/helpers');
+const kiwiAPI = require('../kiwi-api');
+
+/**
+ * Kiwi.com Tequila flight provider
+ */
+
+class KiwiProvider extends FlightProvider {
+  constructor() {
+    super('kiwi', kiwiAPI, { displayName: 'Kiwi' });
+  }
+
+  buildSearchParams(params) {
+    return {
+      ...super.buildSearchParams(params),
+      maxStops: 3
+    };
+  }
+
+  async validateRoute(route) {
+    return this.client.validateRoute(route);
+  }
+
+  async searchMultiCity(legs, params) {
+    try {
+      const results = await this.client.getMultiCityRoutes({
+        segments: legs,
+        ...Helpers.getPassengerMix(params),
+        cabinClass: params.cabinClass,
+        currency: params.currency
+      });
+      return this.tagResults(results).map(result => ({ ...result, source: 'kiwi-multi' }));
+    } catch (error) {
+      logger.error(`${this.displayName} multi-city search error:`, error);
+      return [];
+    }
+  }
+
+  async getMonthPrices(from, to, year, month, currency) {
+    const days = await this.client.getCheapestRoutesByMonth(from, to, year, month, currency);
+    return this.normalizeMonthPrices(days);
+  }
+}
+
+module.exports = new KiwiProvider();
@@ -0,0 +1,29 @@
+'use strict';
+
+const FlightProvider = require('./flight-provider');
+const skyscannerAPI = require('../skyscanner-api');
+
+/**
+ * Skyscanner (RapidAPI) flight provider
+ */
+
+class SkyscannerProvider extends FlightProvider {
+  constructor() {
+    super('skyscanner', skyscannerAPI, { displayName: 'Skyscanner' });
+  }
+
+  buildSearchParams(params) {
+    return {
+      ...super.buildSearchParams(params),
+      cabinClass: params.cabinClass === 'M' ? 'economy' : params.cabinClass,
+      market: 'ZA'
+    };
+  }
+
+  async getMonthPrices(from, to, year, month, currency) {
+    const days = await this.client.getCheapestByMonth(from, to, year, month, currency);
+    return this.normalizeMonthPrices(days);
+  }
+}
+
+module.exports = new SkyscannerProvider();
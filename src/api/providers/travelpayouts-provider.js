@@ -0,0 +1,29 @@
+'use strict';
+
+const FlightProvider = require('./flight-provider');
+const travelpayoutsAPI = require('../travelpayouts-api');
+
+/**
+ * Travelpayouts (Aviasales) flight provider
+ */
+
+class TravelpayoutsProvider extends FlightProvider {
+  constructor() {
+    super('travelpayouts', travelpayoutsAPI, { displayName: 'Travelpayouts' });
+  }
+
+  buildSearchParams(params) {
+    return {
+      ...super.buildSearchParams(params),
+      cabinClass: params.cabinClass === 'M' ? 'economy' : params.cabinClass,
+      tripType: params.tripType
+    };
+  }
+
+  async getMonthPrices(from, to, year, month, currency) {
+    const days = await this.client.getMonthPrices(from, to, year, month, currency);
+    return this.normalizeMonthPrices(days);
+  }
+}
+
+module.exports = new TravelpayoutsProvider();
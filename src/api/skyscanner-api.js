@@ -5,6 +5,8 @@ const config = require('../../config/config');
 const logger = require('../utils/logger');
 const Helpers = require('../utils/helpers');
 const redisClient = require('../database/redis-client');
+const outboundLimiter = require('./outbound-limiter');
+const circuitBreakers = require('./circuit-breakers');
 
 /**
  * Skyscanner API integration for flight searches
@@ -30,6 +32,12 @@ class SkyscannerAPI {
       }
     });
     
+    // Share per-minute limits and quotas with every instance
+    outboundLimiter.attach(this.client, 'skyscanner', this.apiKey);
+    
+    // Fail fast while the provider is down (runs before the limiter)
+    circuitBreakers.attach(this.client, 'skyscanner');
+    
     // Add response interceptor
     this.client.interceptors.response.use(
       (response) => {
@@ -62,7 +70,8 @@ class SkyscannerAPI {
       cabinClass = 'economy',
       currency = 'ZAR',
       market = 'ZA',
-      locale = 'en-GB'
+      locale = 'en-GB',
+      signal
     } = params;
     
     try {
@@ -102,7 +111,7 @@ class SkyscannerAPI {
         });
       }
       
-      const response = await this.client.post('/v3e/flights/live/search/create', requestBody);
+      const response = await this.client.post('/v3e/flights/live/search/create', requestBody, { signal });
       
       return {
         sessionToken: response.data.sessionToken,
@@ -118,11 +127,11 @@ class SkyscannerAPI {
   /**
    * Poll search results
    */
-  async pollSearchResults(sessionToken) {
+  async pollSearchResults(sessionToken, signal = undefined) {
     try {
       const response = await this.client.post('/v3e/flights/live/search/poll', {
         sessionToken
-      });
+      }, { signal });
       
       return response.data;
       
@@ -164,7 +173,7 @@ class SkyscannerAPI {
         attempts++;
         
         try {
-          const pollResponse = await this.pollSearchResults(session.sessionToken);
+          const pollResponse = await this.pollSearchResults(session.sessionToken, params.signal);
           
           if (pollResponse.status === 'RESULT_STATUS_COMPLETE') {
             results = pollResponse;
@@ -177,7 +186,8 @@ class SkyscannerAPI {
         } catch (error) {
           logger.error(`Poll attempt ${attempts} failed:`, error.message);
           
-          if (attempts >= maxAttempts) {
+          // A cancelled search won't come back; stop polling
+          if (attempts >= maxAttempts || error.code === 'ERR_CANCELED') {
             throw error;
           }
           
@@ -208,7 +218,8 @@ class SkyscannerAPI {
         error: error.message
       });
       
-      return [];
+      // The search reports the provider as failed
+      throw error;
     }
   }
 
@@ -358,7 +369,7 @@ class SkyscannerAPI {
       return null;
     }
     
-    const { from, to, date, returnDate, adults, currency = 'ZAR' } = route.searchParams;
+    const { from, to, date, returnDate, adults, children, infants, currency = 'ZAR' } = route.searchParams;
     
     const baseUrl = 'https://www.skyscanner.net/transport/flights';
     let path = `/${from}/${to}/${date}`;
@@ -369,6 +380,8 @@ class SkyscannerAPI {
     
     const params = {
       adults: adults || 1,
+      children: children || 0,
+      infants: infants || 0,
       currency,
       locale: 'en-GB',
       market: 'ZA'
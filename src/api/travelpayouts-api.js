@@ -5,6 +5,8 @@ const config = require('../../config/config');
 const logger = require('../utils/logger');
 const Helpers = require('../utils/helpers');
 const redisClient = require('../database/redis-client');
+const outboundLimiter = require('./outbound-limiter');
+const circuitBreakers = require('./circuit-breakers');
 
 /**
  * Travelpayouts API integration for flight searches
@@ -29,6 +31,12 @@ class TravelpayoutsAPI {
       }
     });
     
+    // Share per-minute limits and quotas with every instance
+    outboundLimiter.attach(this.client, 'travelpayouts', this.apiKey);
+    
+    // Fail fast while the provider is down (runs before the limiter)
+    circuitBreakers.attach(this.client, 'travelpayouts');
+    
     // Add response interceptor
     this.client.interceptors.response.use(
       (response) => {
@@ -60,7 +68,8 @@ class TravelpayoutsAPI {
       infants = 0,
       cabinClass = 'economy',
       currency = 'ZAR',
-      tripType = 'oneway'
+      tripType = 'oneway',
+      signal
     } = params;
     
     const cacheKey = `travelpayouts:search:${Helpers.generateCacheKey({ from, to, date, returnDate, adults, children, infants, cabinClass, currency, tripType })}`;
@@ -95,7 +104,7 @@ class TravelpayoutsAPI {
       }
       
       const response = await Helpers.retryWithBackoff(
-        () => this.client.get('/v2/prices/latest', { params: searchParams }),
+        () => this.client.get('/v2/prices/latest', { params: searchParams, signal }),
         this.maxRetries,
         1000
       );
@@ -118,7 +127,8 @@ class TravelpayoutsAPI {
         error: error.message
       });
       
-      return [];
+      // The search reports the provider as failed
+      throw error;
     }
   }
 
@@ -268,7 +278,7 @@ class TravelpayoutsAPI {
       return null;
     }
     
-    const { from, to, date, returnDate, adults, currency } = route.searchParams;
+    const { from, to, date, returnDate, adults, children, infants, currency } = route.searchParams;
     
     let baseUrl = 'https://www.aviasales.com';
     let params = {
@@ -276,6 +286,8 @@ class TravelpayoutsAPI {
       destination: to,
       depart_date: date,
       adults: adults || 1,
+      children: children || 0,
+      infants: infants || 0,
       currency: currency || 'ZAR',
       locale: 'en'
     };
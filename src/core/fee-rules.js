@@ -0,0 +1,239 @@
+'use strict';
+
+const fs = require('fs');
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const FxSnapshot = require('./fx-snapshot');
+const Helpers = require('../utils/helpers');
+const { AirportUtils } = require('../utils/airport-codes');
+
+/**
+ * Fee rules engine - prices the fees added on top of provider fares from a
+ * versioned rule set (data/fee-rules.json).
+ *
+ * A rule matches on provider, airline, cabin, route region and passenger
+ * type; any field it leaves out matches everything. Within a category
+ * (baggage, booking, tax) the most specific matching rule applies, ties
+ * going to the rule listed first. Rules charge a fixed amount, a
+ * percentage of the fare or an amount per flight segment, per booking,
+ * passenger or checked bag, in the currency they state, converted with the
+ * search's exchange rate snapshot. A self-transfer route is one booking per
+ * separately booked ticket.
+ */
+
+const CATEGORIES = ['baggage', 'booking', 'tax'];
+const CALCULATIONS = ['fixed', 'percentage', 'per-segment'];
+const UNITS = ['booking', 'passenger', 'bag'];
+const MATCH_FIELDS = ['provider', 'airline', 'cabin', 'region', 'passengerType'];
+
+// Kiwi-style cabin codes used in search params
+const CABIN_CODES = {
+  M: 'economy',
+  W: 'premium_economy',
+  C: 'business',
+  F: 'first'
+};
+
+class FeeRules {
+  constructor() {
+    this.filePath = config.pricing.feeRulesPath;
+    this.version = null;
+    this.rules = [];
+    this.loading = null;
+  }
+
+  /**
+   * Load the rule set; rules that don't validate are skipped. Pricing
+   * waits on the same load instead of reading the file again.
+   */
+  load(filePath = this.filePath) {
+    this.loading = this.readRules(filePath);
+    return this.loading;
+  }
+
+  /**
+   * Load the rules on first use; the bot also starts this at startup
+   */
+  ensureLoaded() {
+    return this.loading || this.load();
+  }
+
+  async readRules(filePath) {
+    let version = null;
+    const rules = [];
+
+    try {
+      const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      version = String(data.version);
+
+      (data.rules || []).forEach(rule => {
+        const problem = this.validateRule(rule);
+        if (problem) {
+          logger.warn(`Skipping fee rule ${rule.id || '(no id)'}: ${problem}`);
+          return;
+        }
+        rules.push(rule);
+      });
+
+      logger.info(`Loaded fee rules ${version} (${rules.length} rules)`);
+    } catch (error) {
+      logger.error(`Failed to load fee rules from ${filePath}:`, error);
+    }
+
+    // Swap the whole set in at once so pricing never sees half of it
+    this.version = version;
+    this.rules = rules;
+    return this;
+  }
+
+  /**
+   * Reason a rule can't be used, or null
+   */
+  validateRule(rule) {
+    if (!rule.id) return 'missing id';
+    if (!CATEGORIES.includes(rule.category)) return `unknown category ${rule.category}`;
+    if (!CALCULATIONS.includes(rule.calculation)) return `unknown calculation ${rule.calculation}`;
+    if (typeof rule.amount !== 'number' || rule.amount < 0) return 'amount must be a non-negative number';
+    if (rule.calculation !== 'percentage' && !rule.currency) return 'missing currency';
+    if (rule.per && !UNITS.includes(rule.per)) return `unknown unit ${rule.per}`;
+
+    const unknown = Object.keys(rule.match || {}).find(field => !MATCH_FIELDS.includes(field));
+    return unknown ? `unknown match field ${unknown}` : null;
+  }
+
+  /**
+   * What a route is priced on: provider, airlines, cabin, region, tickets,
+   * flight segments, passengers by type and checked bags
+   */
+  buildContext(route, userPreferences = {}) {
+    const outbound = route.bounds ? route.bounds[0].segments : route.segments;
+    const cabin = userPreferences.cabinClass || 'M';
+
+    return {
+      provider: route.bookingEngine,
+      airlines: route.airlines || [],
+      cabin: CABIN_CODES[cabin] || cabin,
+      region: AirportUtils.getRouteRegion(outbound[0].from, outbound[outbound.length - 1].to),
+      tickets: Helpers.getTickets(route).length,
+      segments: route.segments.filter(segment => !segment.mode || segment.mode === 'flight').length,
+      passengers: Helpers.getPassengersByType(Helpers.getPassengerMix(userPreferences)),
+      bags: userPreferences.bags || 0
+    };
+  }
+
+  /**
+   * Fees for a route whose fare is baseFareZAR, one per category:
+   * [{ ruleId, category, calculation, per, amountZAR }]; per-passenger fees
+   * also list the passengers charged by type. Rule amounts are converted
+   * with fx, a snapshot of the search's rates, or the latest rates.
+   */
+  async calculateFees(route, baseFareZAR, userPreferences = {}, fx = null) {
+    await this.ensureLoaded();
+    const rates = fx || await FxSnapshot.take('ZAR');
+    return this.calculateFeesSync(route, baseFareZAR, userPreferences, rates);
+  }
+
+  /**
+   * calculateFees with the rules loaded (ensureLoaded) and the exchange
+   * rate snapshot already taken
+   */
+  calculateFeesSync(route, baseFareZAR, userPreferences, fx) {
+    const context = this.buildContext(route, userPreferences);
+    const fees = [];
+
+    for (const category of CATEGORIES) {
+      const rule = this.selectRule(category, context);
+      if (!rule) continue;
+
+      const amountZAR = this.applyRule(rule, context, baseFareZAR, fx);
+      if (amountZAR > 0) {
+        const fee = { ruleId: rule.id, category, calculation: rule.calculation, per: rule.per || 'booking', amountZAR };
+        if (fee.per === 'passenger') {
+          fee.passengers = this.getChargedPassengers(rule, context);
+        }
+        fees.push(fee);
+      }
+    }
+
+    return fees;
+  }
+
+  /**
+   * Most specific rule of a category matching the context
+   */
+  selectRule(category, context) {
+    let best = null;
+    let bestSpecificity = -1;
+
+    for (const rule of this.rules) {
+      if (rule.category !== category || !this.matches(rule, context)) continue;
+
+      const specificity = Object.keys(rule.match || {}).length;
+      if (specificity > bestSpecificity) {
+        best = rule;
+        bestSpecificity = specificity;
+      }
+    }
+
+    return best;
+  }
+
+  matches(rule, context) {
+    const match = rule.match || {};
+    const includes = (field, value) => !match[field] || match[field].includes(value);
+
+    return includes('provider', context.provider) &&
+      includes('cabin', context.cabin) &&
+      includes('region', context.region) &&
+      (!match.airline || context.airlines.some(airline => match.airline.includes(airline))) &&
+      this.countPassengers(rule, context) > 0;
+  }
+
+  /**
+   * Passengers by type that a rule applies to, travelling types only
+   */
+  getChargedPassengers(rule, context) {
+    const types = rule.match && rule.match.passengerType;
+
+    return Object.fromEntries(Object.entries(context.passengers)
+      .filter(([type, count]) => count > 0 && (!types || types.includes(type))));
+  }
+
+  /**
+   * Passengers of the types a rule applies to
+   */
+  countPassengers(rule, context) {
+    return Object.values(this.getChargedPassengers(rule, context))
+      .reduce((sum, count) => sum + count, 0);
+  }
+
+  /**
+   * Fee in ZAR charged by a rule
+   */
+  applyRule(rule, context, baseFareZAR, fx) {
+    if (rule.calculation === 'percentage') {
+      return baseFareZAR * rule.amount / 100;
+    }
+
+    let units = 1;
+    if (rule.per === 'passenger') {
+      units = this.countPassengers(rule, context);
+    } else if (rule.per === 'bag') {
+      units = Math.max(0, context.bags - (rule.freeBags || 0));
+    } else if (rule.calculation === 'fixed') {
+      units = context.tickets;
+    }
+
+    if (rule.calculation === 'per-segment') {
+      units *= context.segments;
+    }
+
+    const amount = rule.amount * units;
+    return amount === 0 ? 0 : fx.convert(amount, rule.currency, 'ZAR');
+  }
+}
+
+// Create singleton instance
+const feeRules = new FeeRules();
+
+module.exports = feeRules;
@@ -0,0 +1,211 @@
+'use strict';
+
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const Helpers = require('../utils/helpers');
+const providerRegistry = require('./provider-registry');
+const FxSnapshot = require('./fx-snapshot');
+const { AirportUtils } = require('../utils/airport-codes');
+
+/**
+ * Flexible-date search - builds a date x date price matrix around the
+ * requested dates, mostly from the providers' month-price endpoints
+ */
+
+class FlexibleDateSearch {
+  constructor() {
+    this.maxFlexibleDays = config.limits.maxFlexibleDays;
+    this.fallbackSearches = config.limits.flexibleFallbackSearches;
+  }
+
+  /**
+   * Build the price matrix for a search.
+   * Rows are outbound dates, columns are return dates ([null] for one-way).
+   */
+  async buildPriceMatrix(searchParams) {
+    const {
+      from,
+      to,
+      date,
+      returnDate = null,
+      currency = 'ZAR'
+    } = searchParams;
+
+    const days = Math.min(searchParams.flexibleDays || 0, this.maxFlexibleDays);
+    const outboundDates = this.getDateWindow(date, days);
+    const returnDates = returnDate ? this.getDateWindow(returnDate, days) : [null];
+
+    // Full-search fallback prices are converted to the matrix currency
+    const fx = await FxSnapshot.take('ZAR');
+
+    // One-way prices per day in each direction
+    const [outboundPrices, inboundPrices] = await Promise.all([
+      this.getDailyPrices(searchParams, from, to, outboundDates, fx),
+      returnDate ? this.getDailyPrices(searchParams, to, from, returnDates, fx) : new Map()
+    ]);
+
+    const cells = outboundDates.map(outboundDate =>
+      returnDates.map(inboundDate => this.buildCell(
+        outboundDate,
+        inboundDate,
+        outboundPrices,
+        inboundPrices
+      ))
+    );
+
+    const pricedCells = cells.flat().filter(cell => cell.price !== null);
+    const cheapest = pricedCells.reduce(
+      (best, cell) => (!best || cell.price < best.price ? cell : best),
+      null
+    );
+
+    logger.debug(`Flexible search ${from}->${to}: ${pricedCells.length}/${cells.flat().length} cells priced`);
+
+    return {
+      flexible: true,
+      from,
+      to,
+      date,
+      returnDate,
+      flexibleDays: days,
+      currency,
+      outboundDates,
+      returnDates,
+      cells,
+      cheapest
+    };
+  }
+
+  /**
+   * Dates from date - days to date + days, skipping the past
+   */
+  getDateWindow(date, days) {
+    const today = Helpers.formatDate(new Date(), 'YYYY-MM-DD');
+    const dates = [];
+
+    for (let offset = -days; offset <= days; offset++) {
+      const day = Helpers.addDays(date, offset);
+      if (day >= today) {
+        dates.push(day);
+      }
+    }
+
+    return dates;
+  }
+
+  /**
+   * Cheapest one-way price per date, from month prices first and full
+   * searches (within budget) for dates the month endpoints don't cover
+   */
+  async getDailyPrices(searchParams, from, to, dates, fx) {
+    const currency = searchParams.currency || 'ZAR';
+    const prices = await this.getMonthPrices(from, to, dates, currency);
+
+    const missingDates = dates
+      .filter(date => !prices.has(date))
+      .slice(0, this.fallbackSearches);
+
+    const fallbackPrices = await Promise.all(
+      missingDates.map(date => this.searchCheapestPrice({
+        ...searchParams,
+        from,
+        to,
+        date,
+        returnDate: null,
+        tripType: 'oneway'
+      }, currency, fx))
+    );
+
+    missingDates.forEach((date, index) => {
+      if (fallbackPrices[index] !== null) {
+        prices.set(date, fallbackPrices[index]);
+      }
+    });
+
+    return prices;
+  }
+
+  /**
+   * Merge month prices from all available providers and airports, keeping the cheapest per day
+   */
+  async getMonthPrices(from, to, dates, currency) {
+    const months = [...new Set(dates.map(date => date.substring(0, 7)))];
+    const providers = providerRegistry.getAvailable();
+
+    // City codes are looked up airport by airport
+    const pairs = AirportUtils.getAirportPairs(from, to);
+
+    const requests = months.flatMap(yearMonth => {
+      const [year, month] = yearMonth.split('-').map(Number);
+      return pairs.flatMap(pair => providers.map(provider =>
+        provider.getMonthPrices(pair.from, pair.to, year, month, currency)
+      ));
+    });
+
+    const results = await Promise.allSettled(requests);
+    const wanted = new Set(dates);
+    const prices = new Map();
+
+    for (const result of results) {
+      if (result.status !== 'fulfilled') {
+        logger.error('Month price lookup failed:', result.reason);
+        continue;
+      }
+
+      for (const day of result.value) {
+        if (!wanted.has(day.date)) continue;
+        if (!prices.has(day.date) || day.price < prices.get(day.date)) {
+          prices.set(day.date, day.price);
+        }
+      }
+    }
+
+    return prices;
+  }
+
+  /**
+   * Cheapest price in the given currency from a full provider search for
+   * one date; providers price in their own currencies
+   */
+  async searchCheapestPrice(searchParams, currency, fx) {
+    const pairs = AirportUtils.getAirportPairs(searchParams.from, searchParams.to);
+    const results = await Promise.allSettled(
+      pairs.flatMap(pair => providerRegistry.getAvailable().map(provider => provider.search({ ...searchParams, ...pair })))
+    );
+
+    const prices = results
+      .filter(result => result.status === 'fulfilled')
+      .flatMap(result => result.value)
+      .filter(route => typeof route.totalPrice === 'number' && route.totalPrice > 0)
+      .map(route => fx.convert(route.totalPrice, route.currency || 'ZAR', currency));
+
+    return prices.length > 0 ? Math.min(...prices) : null;
+  }
+
+  /**
+   * Price one outbound/return date pair
+   */
+  buildCell(outboundDate, returnDate, outboundPrices, inboundPrices) {
+    const outboundPrice = outboundPrices.has(outboundDate) ? outboundPrices.get(outboundDate) : null;
+
+    if (!returnDate) {
+      return { outboundDate, returnDate: null, price: outboundPrice, estimated: false };
+    }
+
+    const inboundPrice = inboundPrices.has(returnDate) ? inboundPrices.get(returnDate) : null;
+    const valid = returnDate >= outboundDate && outboundPrice !== null && inboundPrice !== null;
+
+    return {
+      outboundDate,
+      returnDate,
+      // Sum of the two one-way prices - the full search may find a cheaper return fare
+      price: valid ? outboundPrice + inboundPrice : null,
+      estimated: true
+    };
+  }
+}
+
+// Create singleton instance
+const flexibleDateSearch = new FlexibleDateSearch();
+
+module.exports = flexibleDateSearch;
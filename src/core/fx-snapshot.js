@@ -0,0 +1,131 @@
+'use strict';
+
+const crypto = require('crypto');
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const exchangeRateAPI = require('../api/exchange-rate-api');
+const redisClient = require('../database/redis-client');
+
+/**
+ * Exchange rates frozen for one search.
+ *
+ * Taken once when a search starts and used for every conversion while its
+ * routes are priced, so no rate is looked up per route and prices don't
+ * move if the rates change mid-search. Priced routes carry the snapshot's
+ * id and timestamp, and the snapshot is kept in Redis next to the cached
+ * results so a price can be reproduced and explained later.
+ */
+
+class FxSnapshot {
+  constructor({ id, base, rates, takenAt, ratesUpdatedAt = null, fallback = false }) {
+    this.id = id;
+    this.base = base;
+    // Units of each currency per unit of the base currency
+    this.rates = { ...rates, [base]: 1 };
+    this.takenAt = takenAt;
+    this.ratesUpdatedAt = ratesUpdatedAt;
+    this.fallback = fallback;
+    this.missing = new Set();
+  }
+
+  /**
+   * Snapshot of the latest rates; the built-in rates if they can't be loaded
+   */
+  static async take(base = 'ZAR') {
+    let latest;
+
+    try {
+      latest = await exchangeRateAPI.getLatestRates(base);
+    } catch (error) {
+      logger.error('Failed to load exchange rates for snapshot:', error.message);
+      latest = exchangeRateAPI.getFallbackRates(base);
+    }
+
+    return new FxSnapshot({
+      id: crypto.randomBytes(5).toString('hex'),
+      base,
+      rates: latest.rates || {},
+      takenAt: new Date().toISOString(),
+      ratesUpdatedAt: latest.lastUpdated || null,
+      fallback: Boolean(latest.isFallback)
+    });
+  }
+
+  /**
+   * Units of toCurrency per unit of fromCurrency, or null if either is unknown
+   */
+  getRate(fromCurrency, toCurrency) {
+    if (fromCurrency === toCurrency) {
+      return 1;
+    }
+
+    const fromRate = this.rates[fromCurrency];
+    const toRate = this.rates[toCurrency];
+    return fromRate && toRate ? toRate / fromRate : null;
+  }
+
+  /**
+   * Convert with the snapshot's rates; unknown currencies are left as they are
+   */
+  convert(amount, fromCurrency, toCurrency) {
+    const rate = this.getRate(fromCurrency, toCurrency);
+
+    if (rate === null) {
+      const pair = `${fromCurrency}-${toCurrency}`;
+      if (!this.missing.has(pair)) {
+        this.missing.add(pair);
+        logger.warn(`No rate from ${fromCurrency} to ${toCurrency} in exchange rate snapshot ${this.id}`);
+      }
+      return amount;
+    }
+
+    return amount * rate;
+  }
+
+  /**
+   * What a priced route records about the rates it was priced with
+   */
+  summary() {
+    return { id: this.id, takenAt: this.takenAt };
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      base: this.base,
+      rates: this.rates,
+      takenAt: this.takenAt,
+      ratesUpdatedAt: this.ratesUpdatedAt,
+      fallback: this.fallback
+    };
+  }
+
+  /**
+   * Store the snapshot for as long as the search results are cached
+   */
+  async save() {
+    if (!config.cache.enabled) {
+      return;
+    }
+
+    try {
+      await redisClient.set(FxSnapshot.getKey(this.id), this.toJSON(), config.cache.routeTtl);
+    } catch (error) {
+      logger.error('Failed to save exchange rate snapshot:', error);
+    }
+  }
+
+  /**
+   * Load a stored snapshot, or null when it expired or never existed
+   */
+  static async load(id) {
+    const stored = await redisClient.get(FxSnapshot.getKey(id));
+    return stored ? new FxSnapshot(stored) : null;
+  }
+
+  static getKey(id) {
+    return `fx:${id}`;
+  }
+}
+
+module.exports = FxSnapshot;
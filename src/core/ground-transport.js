@@ -0,0 +1,444 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const Helpers = require('../utils/helpers');
+const FxSnapshot = require('./fx-snapshot');
+const { AirportUtils } = require('../utils/airport-codes');
+
+/**
+ * Ground transport timetables - bus, train, shuttle and ferry services
+ * loaded from JSON files and GTFS feeds, turned into single-segment
+ * tickets that the interline graph can stitch with flights
+ */
+
+// GTFS route_type to segment mode (basic and extended types)
+const GTFS_MODES = {
+  0: 'train', 1: 'train', 2: 'train', 3: 'bus', 4: 'ferry'
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+class GroundTransport {
+  constructor() {
+    this.dataPath = config.groundTimetables.dataPath;
+    this.defaultTransferMinutes = config.groundTimetables.defaultTransferMinutes;
+    this.stations = new Map();
+    this.services = [];
+    this.loading = null;
+  }
+
+  /**
+   * Load every JSON timetable and GTFS folder in the data directory.
+   * Searches wait on the same load instead of reading the files again.
+   */
+  load(dataPath = this.dataPath) {
+    this.loading = this.readTimetables(dataPath);
+    return this.loading;
+  }
+
+  /**
+   * Load the timetables on first use; the bot also starts this at startup
+   */
+  ensureLoaded() {
+    return this.loading || this.load();
+  }
+
+  async readTimetables(dataPath) {
+    this.stations = new Map();
+    this.services = [];
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dataPath, { withFileTypes: true });
+    } catch (error) {
+      logger.debug(`No ground transport data at ${dataPath}`);
+      return this;
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(dataPath, entry.name);
+
+      try {
+        if (entry.isFile() && entry.name.endsWith('.json')) {
+          this.loadJson(JSON.parse(await fs.promises.readFile(entryPath, 'utf8')));
+        } else if (entry.isDirectory() && await fileExists(path.join(entryPath, 'stop_times.txt'))) {
+          await this.loadGtfs(entryPath);
+        }
+      } catch (error) {
+        logger.error(`Failed to load ground transport data ${entry.name}:`, error);
+      }
+    }
+
+    logger.info(`Loaded ${this.services.length} ground transport services`);
+    return this;
+  }
+
+  /**
+   * JSON timetable: { stations: { CODE: {...} }, services: [...] }.
+   * A service runs at fixed departure times or every n minutes.
+   */
+  loadJson(data) {
+    for (const [code, station] of Object.entries(data.stations || {})) {
+      this.addStation(code, station);
+    }
+
+    for (const service of data.services || []) {
+      const departures = service.departures || this.expandFrequency(service.frequency);
+
+      departures.forEach(departure => this.services.push({
+        id: `${service.id}-${departure.replace(':', '')}`,
+        operator: service.operator,
+        mode: service.mode || 'bus',
+        from: service.from,
+        to: service.to,
+        departure,
+        durationMinutes: service.durationMinutes,
+        price: service.price,
+        currency: service.currency || 'ZAR',
+        bookingUrl: service.bookingUrl || null,
+        days: new Set(service.days || [0, 1, 2, 3, 4, 5, 6]),
+        startDate: service.startDate || null,
+        endDate: service.endDate || null,
+        addedDates: new Set(),
+        removedDates: new Set()
+      }));
+    }
+  }
+
+  /**
+   * GTFS feed. Stops are matched to airport/station codes by stop_code,
+   * and fares come from fare_attributes and fare_rules.
+   */
+  async loadGtfs(feedPath) {
+    const files = ['agency.txt', 'stops.txt', 'calendar.txt', 'calendar_dates.txt', 'routes.txt',
+      'fare_attributes.txt', 'fare_rules.txt', 'stop_times.txt', 'trips.txt'];
+    const contents = await Promise.all(files.map(async file => {
+      const filePath = path.join(feedPath, file);
+      return await fileExists(filePath) ? parseCsv(await fs.promises.readFile(filePath, 'utf8')) : [];
+    }));
+    const feed = new Map(files.map((file, index) => [file, contents[index]]));
+    const read = file => feed.get(file);
+
+    const agencies = read('agency.txt');
+    const feedTimezone = agencies[0] ? agencies[0].agency_timezone : null;
+    const agencyNames = new Map(agencies.map(agency => [agency.agency_id || '', agency.agency_name]));
+
+    // Only stops with a location code can join flights
+    const stops = new Map();
+    for (const stop of read('stops.txt')) {
+      if (!/^[A-Z]{3}$/.test(stop.stop_code || '')) continue;
+
+      stops.set(stop.stop_id, { code: stop.stop_code, zone: stop.zone_id });
+
+      if (!this.stations.has(stop.stop_code)) {
+        this.addStation(stop.stop_code, { name: stop.stop_name, timezone: stop.stop_timezone || feedTimezone });
+      }
+    }
+
+    const calendars = new Map(read('calendar.txt').map(row => [row.service_id, {
+      days: new Set(WEEKDAYS.map((day, index) => (row[day] === '1' ? index : null)).filter(day => day !== null)),
+      startDate: gtfsDate(row.start_date),
+      endDate: gtfsDate(row.end_date),
+      addedDates: new Set(),
+      removedDates: new Set()
+    }]));
+
+    for (const row of read('calendar_dates.txt')) {
+      if (!calendars.has(row.service_id)) {
+        calendars.set(row.service_id, { days: new Set(), startDate: null, endDate: null, addedDates: new Set(), removedDates: new Set() });
+      }
+      const calendar = calendars.get(row.service_id);
+      (row.exception_type === '1' ? calendar.addedDates : calendar.removedDates).add(gtfsDate(row.date));
+    }
+
+    const routes = new Map(read('routes.txt').map(route => [route.route_id, route]));
+    const fares = this.getGtfsFares(read('fare_attributes.txt'), read('fare_rules.txt'));
+
+    const stopTimes = new Map();
+    for (const row of read('stop_times.txt')) {
+      if (!stopTimes.has(row.trip_id)) stopTimes.set(row.trip_id, []);
+      stopTimes.get(row.trip_id).push(row);
+    }
+
+    for (const trip of read('trips.txt')) {
+      const route = routes.get(trip.route_id);
+      const calendar = calendars.get(trip.service_id);
+      if (!route || !calendar) continue;
+
+      const times = (stopTimes.get(trip.trip_id) || [])
+        .filter(row => stops.has(row.stop_id))
+        .sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+
+      // Every ordered pair of coded stops on the trip is a bookable ride
+      for (let i = 0; i < times.length - 1; i++) {
+        for (let j = i + 1; j < times.length; j++) {
+          const origin = stops.get(times[i].stop_id);
+          const destination = stops.get(times[j].stop_id);
+          const price = this.getGtfsFare(fares, trip.route_id, origin.zone, destination.zone);
+
+          if (!price || origin.code === destination.code) continue;
+
+          this.services.push({
+            id: `${trip.trip_id}-${origin.code}-${destination.code}`,
+            operator: agencyNames.get(route.agency_id || '') || route.route_long_name || route.route_short_name,
+            mode: gtfsMode(route.route_type),
+            from: origin.code,
+            to: destination.code,
+            departure: times[i].departure_time,
+            durationMinutes: gtfsMinutes(times[j].arrival_time) - gtfsMinutes(times[i].departure_time),
+            price: price.price,
+            currency: price.currency,
+            bookingUrl: route.route_url || null,
+            ...calendar
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Fares by route_id, and by origin/destination zone
+   */
+  getGtfsFares(attributes, rules) {
+    const prices = new Map(attributes.map(fare => [fare.fare_id, {
+      price: Number(fare.price),
+      currency: fare.currency_type
+    }]));
+
+    return rules
+      .filter(rule => prices.has(rule.fare_id))
+      .map(rule => ({ ...rule, ...prices.get(rule.fare_id) }));
+  }
+
+  getGtfsFare(fares, routeId, originZone, destinationZone) {
+    return fares.find(fare =>
+      (!fare.route_id || fare.route_id === routeId)
+      && (!fare.origin_id || fare.origin_id === originZone)
+      && (!fare.destination_id || fare.destination_id === destinationZone)
+    ) || null;
+  }
+
+  addStation(code, station) {
+    this.stations.set(code, {
+      name: station.name || code,
+      timezone: station.timezone || AirportUtils.getAirportTimezone(code),
+      // Walk or shuttle time between the station and the airport terminal
+      transferMinutes: typeof station.transferMinutes === 'number' ? station.transferMinutes : this.defaultTransferMinutes
+    });
+  }
+
+  expandFrequency(frequency) {
+    if (!frequency) return [];
+
+    const departures = [];
+    for (let minutes = gtfsMinutes(frequency.first); minutes <= gtfsMinutes(frequency.last); minutes += frequency.everyMinutes) {
+      departures.push(`${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`);
+    }
+    return departures;
+  }
+
+  /**
+   * Ground tickets useful for a from->to search on a date: rides leaving
+   * the origin, rides into the destination (also the next day) and direct
+   * rides. Fares are converted with fx, the search's exchange rate
+   * snapshot, or one taken now.
+   */
+  async getTickets(from, to, date, fx = null) {
+    await this.ensureLoaded();
+
+    const nextDay = Helpers.addDays(date, 1);
+    const services = [
+      ...this.services.filter(service => service.from === from && this.runsOn(service, date)),
+      ...this.services.filter(service => service.to === to && service.from !== from
+        && (this.runsOn(service, date) || this.runsOn(service, nextDay))
+      )
+    ];
+
+    if (services.length === 0) {
+      return [];
+    }
+
+    const rates = fx || await FxSnapshot.take('ZAR');
+
+    return services.flatMap(service => {
+      const dates = service.from === from ? [date] : [date, nextDay].filter(day => this.runsOn(service, day));
+      return dates.map(day => this.buildTicket(service, day, rates));
+    });
+  }
+
+  /**
+   * Places with a ground link to the origin or the destination, where
+   * flights are worth searching to complete the trip
+   */
+  async getGateways(from, to) {
+    await this.ensureLoaded();
+
+    return {
+      // from -> gateway by ground, then fly gateway -> to
+      origins: [...new Set(this.services.filter(service => service.from === from && service.to !== to).map(service => service.to))],
+      // fly from -> gateway, then gateway -> to by ground
+      destinations: [...new Set(this.services.filter(service => service.to === to && service.from !== from).map(service => service.from))]
+    };
+  }
+
+  runsOn(service, date) {
+    if (service.removedDates.has(date)) return false;
+    if (service.addedDates.has(date)) return true;
+    if (service.startDate && date < service.startDate) return false;
+    if (service.endDate && date > service.endDate) return false;
+
+    return service.days.has(new Date(`${date}T00:00:00Z`).getUTCDay());
+  }
+
+  /**
+   * One ride as a route with a single ground segment
+   */
+  buildTicket(service, date, fx) {
+    const origin = this.stations.get(service.from) || {};
+    const destination = this.stations.get(service.to) || {};
+    const departure = localTimeToDate(date, service.departure, origin.timezone || AirportUtils.getAirportTimezone(service.from));
+    const arrival = new Date(departure.getTime() + service.durationMinutes * 60 * 1000);
+
+    const segment = {
+      mode: service.mode,
+      operator: service.operator,
+      airline: null,
+      flightNumber: service.id,
+      from: service.from,
+      to: service.to,
+      fromStation: origin.name || service.from,
+      toStation: destination.name || service.to,
+      fromTransferMinutes: typeof origin.transferMinutes === 'number' ? origin.transferMinutes : this.defaultTransferMinutes,
+      toTransferMinutes: typeof destination.transferMinutes === 'number' ? destination.transferMinutes : this.defaultTransferMinutes,
+      departure,
+      arrival
+    };
+
+    const priceZAR = fx.convert(service.price, service.currency, 'ZAR');
+
+    return {
+      id: Helpers.generateRouteId([{ ...segment, flightNumber: `${service.id}-${date}` }]),
+      airlines: [],
+      segments: [segment],
+      totalPrice: service.price,
+      totalPriceZAR: priceZAR,
+      currency: service.currency,
+      totalDuration: service.durationMinutes,
+      ground: true,
+      bookingEngine: 'ground',
+      source: 'ground-transport',
+      deepLink: service.bookingUrl
+    };
+  }
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.promises.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Minimal CSV parser for GTFS files (quoted fields, CRLF, BOM)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(record => record.some(value => value !== ''));
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return records.map(record => Object.fromEntries(columns.map((column, index) => [column, (record[index] || '').trim()])));
+}
+
+function gtfsDate(value) {
+  return value ? `${value.substring(0, 4)}-${value.substring(4, 6)}-${value.substring(6, 8)}` : null;
+}
+
+// GTFS times may pass 24:00 for trips running after midnight
+function gtfsMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function gtfsMode(routeType) {
+  const type = Number(routeType);
+  if (GTFS_MODES[type]) return GTFS_MODES[type];
+  if (type >= 100 && type < 200) return 'train';
+  if (type >= 1000 && type < 1100) return 'ferry';
+  if (type === 715 || type === 1500) return 'shuttle';
+  return 'bus';
+}
+
+/**
+ * Local date and HH:MM time in a timezone as an absolute Date
+ */
+function localTimeToDate(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const minutes = gtfsMinutes(time);
+  const asUtc = Date.UTC(year, month - 1, day, 0, minutes);
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(new Date(asUtc));
+
+  const part = type => Number(parts.find(item => item.type === type).value);
+  const offset = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute')) - asUtc;
+
+  return new Date(asUtc - offset);
+}
+
+// Create singleton instance
+const groundTransport = new GroundTransport();
+
+module.exports = groundTransport;
@@ -0,0 +1,117 @@
+'use strict';
+
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const Helpers = require('../utils/helpers');
+const redisClient = require('../database/redis-client');
+
+/**
+ * Per-leg cache for hub legs pulled in for stitching.
+ *
+ * Each origin->hub or hub->destination leg is cached on its own key, so
+ * JNB->LHR, JNB->DXB and JNB->CDG searches on the same day share the
+ * JNB->ADD leg instead of each calling the providers again.
+ */
+
+class HubLegCache {
+  constructor() {
+    this.maxTtl = config.cache.legTtl;
+    this.metricsTtl = 7 * 24 * 60 * 60; // keep daily metrics for a week
+  }
+
+  /**
+   * Cache key for one provider's results for a leg
+   */
+  getCacheKey(providerName, leg) {
+    return `hubleg:${providerName}:${Helpers.generateCacheKey({ ...leg, returnDate: null })}:${leg.cabinClass || 'M'}`;
+  }
+
+  /**
+   * Get a leg from cache, or search it with the provider and cache it.
+   * Cache errors never fail the leg: it is searched and the metrics are
+   * recorded in the background.
+   */
+  async fetch(provider, leg) {
+    const cacheKey = this.getCacheKey(provider.name, leg);
+
+    if (config.cache.enabled) {
+      const cached = await this.getCached(cacheKey);
+      this.recordLookup(leg, Boolean(cached));
+      if (cached) {
+        return cached;
+      }
+    }
+
+    const results = await provider.search(leg);
+
+    if (config.cache.enabled && results.length > 0) {
+      redisClient.cacheSearchResults(cacheKey, results, leg, this.maxTtl).catch(error => {
+        logger.error('Failed to cache hub leg:', error);
+      });
+    }
+
+    return results;
+  }
+
+  async getCached(cacheKey) {
+    try {
+      return await redisClient.getCachedSearchResults(cacheKey);
+    } catch (error) {
+      logger.error('Failed to read cached hub leg:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Count a cache hit or miss for a leg
+   */
+  async recordLookup(leg, hit) {
+    try {
+      const metricsKey = this.getMetricsKey();
+      const field = `${leg.from}-${leg.to}:${leg.date}:${hit ? 'hits' : 'misses'}`;
+
+      await redisClient.multi([
+        ['HINCRBY', metricsKey, field, 1],
+        ['EXPIRE', metricsKey, this.metricsTtl]
+      ]);
+    } catch (error) {
+      logger.error('Failed to record hub leg cache metric:', error);
+    }
+  }
+
+  /**
+   * Hit/miss metrics per leg for a given day (defaults to today)
+   */
+  async getStats(day = null) {
+    const raw = await redisClient.hgetall(this.getMetricsKey(day));
+    const legs = {};
+    const totals = { hits: 0, misses: 0 };
+
+    for (const [field, value] of Object.entries(raw)) {
+      const separator = field.lastIndexOf(':');
+      const leg = field.substring(0, separator);
+      const type = field.substring(separator + 1);
+      const count = Number(value) || 0;
+
+      if (!legs[leg]) legs[leg] = { hits: 0, misses: 0 };
+      legs[leg][type] = count;
+      totals[type] += count;
+    }
+
+    for (const stats of [...Object.values(legs), totals]) {
+      const lookups = stats.hits + stats.misses;
+      stats.hitRate = lookups > 0 ? stats.hits / lookups : 0;
+    }
+
+    return { day: day || Helpers.formatDate(new Date(), 'YYYY-MM-DD'), legs, totals };
+  }
+
+  getMetricsKey(day = null) {
+    return `metrics:hub_legs:${day || Helpers.formatDate(new Date(), 'YYYY-MM-DD')}`;
+  }
+}
+
+// Create singleton instance
+const hubLegCache = new HubLegCache();
+
+module.exports = hubLegCache;
@@ -0,0 +1,266 @@
+'use strict';
+
+const validator = require('./validator');
+const { AirportUtils } = require('../utils/airport-codes');
+
+/**
+ * Time-expanded flight graph for virtual interlining.
+ *
+ * Every bookable ticket (a provider route, possibly with several segments) is
+ * a node. A directed edge joins ticket A to ticket B when B departs from the
+ * airport where A arrives, or another airport in the same metro area, and the
+ * self-transfer passes the validator's connection rules. Because edges only
+ * go forward in time the graph is a DAG, so a best-first search that pops
+ * each (node, depth) label at most k times yields the k cheapest itineraries.
+ */
+
+/**
+ * Minimal binary min-heap keyed by a compare function
+ */
+class MinHeap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    this.items.push(item);
+    let index = this.items.length - 1;
+
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compare(this.items[index], this.items[parent]) >= 0) break;
+      [this.items[index], this.items[parent]] = [this.items[parent], this.items[index]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    if (this.items.length === 0) return undefined;
+
+    const top = this.items[0];
+    const last = this.items.pop();
+
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      let index = 0;
+
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+
+        if (left < this.items.length && this.compare(this.items[left], this.items[smallest]) < 0) {
+          smallest = left;
+        }
+        if (right < this.items.length && this.compare(this.items[right], this.items[smallest]) < 0) {
+          smallest = right;
+        }
+        if (smallest === index) break;
+
+        [this.items[index], this.items[smallest]] = [this.items[smallest], this.items[index]];
+        index = smallest;
+      }
+    }
+
+    return top;
+  }
+}
+
+class InterlineGraph {
+  constructor(options = {}) {
+    this.minConnectionTime = options.minConnectionTime;
+    this.maxConnectionTime = options.maxConnectionTime;
+    this.maxSelfTransfers = options.maxSelfTransfers || 1;
+    this.maxExpansions = options.maxExpansions || 20000;
+    this.deadline = options.deadline || null; // SearchDeadline, optional
+    this.partial = false; // set when the deadline cut building or searching short
+
+    this.nodes = [];
+    this.edges = [];
+    this.from = null;
+    this.to = null;
+  }
+
+  /**
+   * Build the graph from provider tickets for an origin/destination pair;
+   * either may be a metro code matching any of its airports
+   */
+  build(tickets, from, to) {
+    this.from = from;
+    this.to = to;
+
+    // Keep only usable tickets; anything leaving the destination or
+    // returning to the origin can never be part of a forward itinerary
+    this.nodes = tickets.filter(ticket => {
+      if (!ticket || !ticket.segments || ticket.segments.length === 0) return false;
+      const first = ticket.segments[0];
+      const last = ticket.segments[ticket.segments.length - 1];
+      return !AirportUtils.isInLocation(first.from, to) && !AirportUtils.isInLocation(last.to, from) && first.from !== last.to;
+    });
+
+    // Index tickets by departure airport, sorted by departure time
+    const byDeparture = new Map();
+    this.nodes.forEach((ticket, index) => {
+      const airport = ticket.segments[0].from;
+      if (!byDeparture.has(airport)) byDeparture.set(airport, []);
+      byDeparture.get(airport).push({ index, departure: this.getDeparture(ticket) });
+    });
+
+    for (const list of byDeparture.values()) {
+      list.sort((a, b) => a.departure - b.departure);
+    }
+
+    // Connect each ticket to the tickets that leave its arrival airport in
+    // time; past the deadline the remaining tickets get no onward edges
+    this.edges = this.nodes.map((ticket, index) => {
+      const lastSegment = ticket.segments[ticket.segments.length - 1];
+      if (AirportUtils.isInLocation(lastSegment.to, to) || this.deadlineReached()) return [];
+
+      const arrival = this.getArrival(ticket);
+      const airports = [lastSegment.to, ...AirportUtils.getMetroSiblings(lastSegment.to)];
+      const edges = [];
+
+      for (const airport of airports) {
+        for (const candidate of byDeparture.get(airport) || []) {
+          const connectionTime = candidate.departure - arrival;
+          if (connectionTime < 0) continue;
+          if (this.maxConnectionTime && connectionTime > this.maxConnectionTime) break;
+          if (candidate.index === index) continue;
+
+          const nextTicket = this.nodes[candidate.index];
+          const connection = validator.validateConnection(
+            lastSegment,
+            nextTicket.segments[0],
+            this.minConnectionTime,
+            this.maxConnectionTime,
+            true
+          );
+
+          if (connection.valid) {
+            edges.push({
+              target: candidate.index,
+              airport: lastSegment.to,
+              connectionTime, // milliseconds
+              airportChange: connection.airportChange || null
+            });
+          }
+        }
+      }
+
+      return edges;
+    });
+
+    return this;
+  }
+
+  /**
+   * Find the k cheapest itineraries with at least one self-transfer
+   */
+  findCheapestPaths(k = 10) {
+    const heap = new MinHeap((a, b) => (a.cost - b.cost) || (a.arrival - b.arrival));
+    const popCounts = new Map();
+    const results = [];
+    let expansions = 0;
+
+    this.nodes.forEach((ticket, index) => {
+      if (!AirportUtils.isInLocation(ticket.segments[0].from, this.from)) return;
+      if (AirportUtils.isInLocation(ticket.segments[ticket.segments.length - 1].to, this.to)) return; // direct ticket
+
+      heap.push({
+        cost: this.getTicketPrice(ticket),
+        arrival: this.getArrival(ticket),
+        node: index,
+        path: [index],
+        connections: [],
+        airports: this.getTicketAirports(ticket)
+      });
+    });
+
+    while (heap.size > 0 && results.length < k && expansions < this.maxExpansions) {
+      // Past the search deadline, settle for the cheapest paths found so far
+      if (this.deadlineReached()) break;
+
+      const label = heap.pop();
+      const depth = label.path.length;
+      const key = `${label.node}:${depth}`;
+      const count = popCounts.get(key) || 0;
+
+      if (count >= k) continue;
+      popCounts.set(key, count + 1);
+      expansions++;
+
+      const ticket = this.nodes[label.node];
+      if (AirportUtils.isInLocation(ticket.segments[ticket.segments.length - 1].to, this.to)) {
+        results.push({
+          tickets: label.path.map(index => this.nodes[index]),
+          connections: label.connections,
+          cost: label.cost
+        });
+        continue;
+      }
+
+      // A path of n tickets has n - 1 self-transfers
+      if (depth > this.maxSelfTransfers) continue;
+
+      for (const edge of this.edges[label.node]) {
+        const nextTicket = this.nodes[edge.target];
+        const nextAirports = this.getTicketAirports(nextTicket).slice(1);
+
+        // Never revisit an airport (the validator rejects backtracking)
+        if (nextAirports.some(airport => label.airports.includes(airport))) continue;
+
+        // Getting across town to another airport costs extra
+        const transferCost = edge.airportChange ? edge.airportChange.transferCostZAR || 0 : 0;
+
+        heap.push({
+          cost: label.cost + this.getTicketPrice(nextTicket) + transferCost,
+          arrival: this.getArrival(nextTicket),
+          node: edge.target,
+          path: [...label.path, edge.target],
+          connections: [...label.connections, {
+            airport: edge.airport,
+            connectionTime: edge.connectionTime,
+            airportChange: edge.airportChange
+          }],
+          airports: [...label.airports, ...nextAirports]
+        });
+      }
+    }
+
+    return results;
+  }
+
+  deadlineReached() {
+    if (!this.partial && this.deadline && this.deadline.expired) {
+      this.partial = true;
+    }
+
+    return this.partial;
+  }
+
+  /**
+   * Comparable ticket price (ZAR, priced by the route stitcher)
+   */
+  getTicketPrice(ticket) {
+    return ticket.totalPriceZAR || ticket.totalPrice || 0;
+  }
+
+  getTicketAirports(ticket) {
+    return [ticket.segments[0].from, ...ticket.segments.map(segment => segment.to)];
+  }
+
+  getDeparture(ticket) {
+    return new Date(ticket.segments[0].departure).getTime();
+  }
+
+  getArrival(ticket) {
+    return new Date(ticket.segments[ticket.segments.length - 1].arrival).getTime();
+  }
+}
+
+module.exports = InterlineGraph;
@@ -0,0 +1,211 @@
+'use strict';
+
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const Helpers = require('../utils/helpers');
+const routeStitcher = require('./route-stitcher');
+const priceNormalizer = require('./price-normalizer');
+const FxSnapshot = require('./fx-snapshot');
+const providerRegistry = require('./provider-registry');
+const redisClient = require('../database/redis-client');
+
+/**
+ * Multi-city search - prices a fixed sequence of legs, both as separate
+ * (possibly stitched) tickets per leg and as one multi-city booking
+ */
+
+class MultiCitySearch {
+  constructor() {
+    this.minLegs = config.limits.minMultiCityLegs;
+    this.maxLegs = config.limits.maxMultiCityLegs;
+    this.maxBoundOptions = config.limits.maxBoundOptions;
+    this.maxItineraries = config.limits.maxStitchedRoutes;
+    this.hubSearchBudget = config.limits.hubSearchBudget;
+  }
+
+  /**
+   * Check the legs form a searchable itinerary
+   */
+  validateLegs(legs) {
+    if (!Array.isArray(legs) || legs.length < this.minLegs || legs.length > this.maxLegs) {
+      return { valid: false, reason: `A multi-city trip needs ${this.minLegs}-${this.maxLegs} legs` };
+    }
+
+    for (let i = 0; i < legs.length; i++) {
+      const leg = legs[i];
+
+      if (!/^[A-Z]{3}$/.test(leg.from) || !/^[A-Z]{3}$/.test(leg.to) || leg.from === leg.to) {
+        return { valid: false, reason: `Leg ${i + 1} needs two different airport codes` };
+      }
+
+      if (!leg.date) {
+        return { valid: false, reason: `Leg ${i + 1} has no date` };
+      }
+
+      if (i > 0 && leg.date < legs[i - 1].date) {
+        return { valid: false, reason: `Leg ${i + 1} departs before leg ${i}` };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Find the cheapest itineraries for a sequence of legs
+   */
+  async findRoutes(searchParams) {
+    const {
+      legs,
+      bags = 0,
+      cabinClass = 'M',
+      currency = 'ZAR'
+    } = searchParams;
+
+    const legCheck = this.validateLegs(legs);
+    if (!legCheck.valid) {
+      throw new Error(legCheck.reason);
+    }
+
+    const mix = Helpers.getPassengerMix(searchParams);
+    const passengers = Helpers.countPassengers(mix);
+
+    // One set of exchange rates prices every itinerary and its display
+    const baseCurrency = priceNormalizer.defaultCurrency;
+    const fx = await FxSnapshot.take(baseCurrency);
+
+    // Searched and cached in ZAR, shown in the requested currency
+    const display = await priceNormalizer.getDisplay(currency, fx);
+    const cacheKey = `multicity:${legs.map(leg => `${leg.from}-${leg.to}-${leg.date}`).join('_')}:${mix.adults}-${mix.children}-${mix.infants}:${baseCurrency}`;
+
+    if (config.cache.enabled) {
+      const cached = await redisClient.getCachedSearchResults(cacheKey);
+      if (cached) {
+        logger.debug('Returning cached multi-city routes');
+        return priceNormalizer.applyDisplay(cached, display);
+      }
+    }
+
+    try {
+      const providers = providerRegistry.getAvailable();
+      const legBudget = Math.floor(this.hubSearchBudget / legs.length);
+
+      // Each leg as a one-way search, plus providers that book the whole trip
+      const [legRoutes, multiCityResults] = await Promise.all([
+        Promise.all(legs.map(leg => routeStitcher.searchOneWayRoutes({
+          passengers,
+          ...mix,
+          bags,
+          cabinClass,
+          currency: baseCurrency,
+          from: leg.from,
+          to: leg.to,
+          date: leg.date,
+          returnDate: null,
+          tripType: 'oneway',
+          fx
+        }, providers, legBudget))),
+        Promise.allSettled(providers.map(provider => provider.searchMultiCity(legs, { ...searchParams, ...mix, currency: baseCurrency })))
+      ]);
+
+      const legOptions = legRoutes.map(routes => routeStitcher.cheapestValidRoutes(routes, this.maxBoundOptions));
+      const separateTickets = this.combineLegs(legOptions);
+
+      const singleBookings = multiCityResults
+        .filter(result => result.status === 'fulfilled')
+        .flatMap(result => result.value)
+        .map(route => this.splitLegs(route, legs))
+        .filter(Boolean);
+
+      logger.debug(`Multi-city search (${legs.length} legs): ${singleBookings.length} single bookings, ${separateTickets.length} separate-ticket itineraries`);
+
+      const finalRoutes = await routeStitcher.finalizeRoutes(
+        [...singleBookings, ...separateTickets],
+        { passengers, ...mix, bags, cabinClass },
+        null,
+        fx
+      );
+
+      await fx.save();
+
+      if (config.cache.enabled && finalRoutes.length > 0) {
+        await redisClient.cacheSearchResults(cacheKey, finalRoutes, { date: legs[0].date });
+      }
+
+      return priceNormalizer.applyDisplay(finalRoutes, display);
+
+    } catch (error) {
+      logger.errorWithContext(error, {
+        operation: 'findMultiCityRoutes',
+        searchParams
+      });
+
+      throw new Error(`Multi-city search failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pick one route per leg, each leaving after the previous leg lands,
+   * keeping the cheapest partial itineraries at every step
+   */
+  combineLegs(legOptions) {
+    let itineraries = [{ routes: [], cost: 0, arrival: null }];
+
+    for (const options of legOptions) {
+      const next = [];
+
+      for (const itinerary of itineraries) {
+        for (const route of options) {
+          if (itinerary.arrival && new Date(route.segments[0].departure) <= itinerary.arrival) {
+            continue;
+          }
+
+          next.push({
+            routes: [...itinerary.routes, route],
+            cost: itinerary.cost + routeStitcher.ticketPrice(route),
+            arrival: new Date(route.segments[route.segments.length - 1].arrival)
+          });
+        }
+      }
+
+      itineraries = next
+        .sort((a, b) => a.cost - b.cost)
+        .slice(0, this.maxItineraries);
+    }
+
+    const directions = legOptions.map((options, index) => `leg${index + 1}`);
+
+    return itineraries
+      .filter(itinerary => itinerary.routes.length === legOptions.length)
+      .map(itinerary => ({
+        ...routeStitcher.combineBounds(itinerary.routes, directions, 'multi-city-separate'),
+        isMultiCity: true
+      }));
+  }
+
+  /**
+   * Split a single multi-city booking into one bound per leg
+   */
+  splitLegs(route, legs) {
+    const boundSegments = routeStitcher.sliceBounds(route.segments || [], legs.map(leg => leg.to));
+
+    if (!boundSegments) {
+      return null;
+    }
+
+    return {
+      ...route,
+      fareType: 'multi-city',
+      isMultiCity: true,
+      bounds: boundSegments.map((segments, index) => ({
+        direction: `leg${index + 1}`,
+        segments,
+        virtualInterline: route.virtualInterline || false
+      }))
+    };
+  }
+}
+
+// Create singleton instance
+const multiCitySearch = new MultiCitySearch();
+
+module.exports = multiCitySearch;
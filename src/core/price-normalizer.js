@@ -1,58 +1,78 @@
 const config = require('../../config/config');
 const logger = require('../utils/logger');
-const exchangeRateAPI = require('../api/exchange-rate-api');
+const feeRules = require('./fee-rules');
+const FxSnapshot = require('./fx-snapshot');
+const Helpers = require('../utils/helpers');
+const constants = require('../utils/constants');
+const { AirportUtils } = require('../utils/airport-codes');
+
+// Fee rule categories and the breakdown fields they add up in
+const FEE_FIELDS = { baggage: 'baggage', booking: 'booking', tax: 'taxes' };
 
 class PriceNormalizer {
     constructor() {
         this.defaultCurrency = 'ZAR';
-        this.baggageFees = { economy: 20, premium_economy: 30, business: 40, first: 50 };
-        this.bookingFees = { kiwi: 5, travelpayouts: 3, skyscanner: 4, 'virtual-interline': 10 };
-        this.taxRate = 0.15; // 15% VAT
     }
 
-    async addAllFees(route, userPreferences = {}) {
+    /**
+     * Price a route in ZAR with all fees. fx is the search's exchange rate
+     * snapshot; without one the latest rates are used.
+     */
+    async addAllFees(route, userPreferences = {}, fx = null) {
+        if (!route) return null;
+        
+        try {
+            await feeRules.ensureLoaded();
+            const rates = fx || await FxSnapshot.take(this.defaultCurrency);
+            return this.addAllFeesSync(route, userPreferences, rates);
+        } catch (error) {
+            logger.error('Price normalization error:', error);
+            return route;
+        }
+    }
+
+    /**
+     * addAllFees with the fee rules loaded and the exchange rate snapshot
+     * already taken
+     */
+    addAllFeesSync(route, userPreferences, fx) {
         if (!route) return null;
         
         try {
             const normalized = { ...route };
             
             // Convert to ZAR
-            if (normalized.currency !== this.defaultCurrency) {
-                normalized.totalPriceZAR = await exchangeRateAPI.convert(
-                    normalized.totalPrice,
-                    normalized.currency,
-                    this.defaultCurrency
-                );
-            } else {
-                normalized.totalPriceZAR = normalized.totalPrice;
-            }
+            normalized.totalPriceZAR = fx.convert(normalized.totalPrice, normalized.currency, this.defaultCurrency);
+            normalized.fxSnapshot = fx.summary();
             
-            // Add baggage fees
-            const baggageFee = this.calculateBaggageFee(
-                userPreferences.bags || 0,
-                userPreferences.cabinClass || 'economy'
-            );
-            normalized.baggageFeeZAR = baggageFee;
+            // Baggage, booking and tax fees from the fee rule set
+            const fees = feeRules.calculateFeesSync(normalized, normalized.totalPriceZAR, userPreferences, fx);
+            const feeTotal = category => fees
+                .filter(fee => fee.category === category)
+                .reduce((sum, fee) => sum + fee.amountZAR, 0);
             
-            // Add booking fees
-            const bookingFee = this.calculateBookingFee(
-                normalized.bookingEngine,
-                normalized.virtualInterline
-            );
-            normalized.bookingFeeZAR = bookingFee;
+            normalized.baggageFeeZAR = feeTotal('baggage');
+            normalized.bookingFeeZAR = feeTotal('booking');
+            normalized.taxAmountZAR = feeTotal('tax');
+            normalized.feeRuleIds = fees.map(fee => fee.ruleId);
+            normalized.feeRulesVersion = feeRules.version;
             
-            // Add taxes
-            normalized.taxAmountZAR = normalized.totalPriceZAR * this.taxRate;
+            // Transfers between airports in the same city
+            normalized.groundTransferZAR = route.groundTransferCostZAR || 0;
             
             // Calculate final price
             normalized.finalPriceZAR = 
                 normalized.totalPriceZAR + 
                 normalized.baggageFeeZAR + 
                 normalized.bookingFeeZAR + 
-                normalized.taxAmountZAR;
+                normalized.taxAmountZAR +
+                normalized.groundTransferZAR;
+            
+            // Where the price comes from: per ticket, per leg and per passenger
+            normalized.feeBreakdown = this.buildFeeBreakdown(normalized, fees, userPreferences, fx);
             
             // Format for display
-            normalized.displayPrice = `R${Math.round(normalized.finalPriceZAR).toLocaleString()}`;
+            normalized.displayPrice = Helpers.formatPrice(normalized.finalPriceZAR, this.defaultCurrency);
             
             return normalized;
             
@@ -62,37 +82,223 @@ class PriceNormalizer {
         }
     }
 
-    calculateBaggageFee(bagsCount, cabinClass) {
-        if (bagsCount <= 0) return 0;
-        const baseFee = this.baggageFees[cabinClass] || this.baggageFees.economy;
+    /**
+     * Itemized price of a normalized route. The fare is split over tickets
+     * by their own prices and over each ticket's legs by distance; fees go
+     * to legs the way their rule charges them: percentages by leg fare,
+     * per-segment fees evenly over flights, other fees evenly over tickets
+     * (a per-booking fee is charged once per ticket).
+     */
+    buildFeeBreakdown(route, fees, userPreferences = {}, fx = null) {
+        const baseFare = route.totalPriceZAR || 0;
+        const tickets = Helpers.getTickets(route);
         
-        if (cabinClass === 'economy') return bagsCount * baseFee;
-        if (cabinClass === 'premium_economy') return Math.max(0, bagsCount - 1) * baseFee;
-        return Math.max(0, bagsCount - 2) * baseFee; // Business/First: first 2 bags free
+        // Ticket prices may be in other currencies; scale them to the ZAR fare
+        const ticketPrices = tickets.map(ticket => ticket.totalPriceZAR || ticket.totalPrice || 0);
+        const ticketTotal = ticketPrices.reduce((sum, price) => sum + price, 0);
+        
+        const legs = tickets.flatMap((ticket, ticketIndex) => {
+            const ticketFare = ticketTotal > 0
+                ? baseFare * ticketPrices[ticketIndex] / ticketTotal
+                : baseFare / tickets.length;
+            const weights = ticket.segments.map(segment =>
+                AirportUtils.getDistanceBetween(segment.from, segment.to) || 1
+            );
+            const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+            
+            return ticket.segments.map((segment, index) => ({
+                ticket: ticketIndex,
+                from: segment.from,
+                to: segment.to,
+                carrier: Helpers.isGroundSegment(segment) ? segment.operator : segment.airline,
+                flightNumber: segment.flightNumber || null,
+                flight: !Helpers.isGroundSegment(segment),
+                baseFare: ticketFare * weights[index] / weightTotal,
+                baggage: 0,
+                booking: 0,
+                taxes: 0
+            }));
+        });
+        
+        fees.forEach(fee => this.allocateFee(fee, legs, tickets.length, baseFare));
+        
+        legs.forEach(leg => {
+            leg.total = leg.baseFare + leg.baggage + leg.booking + leg.taxes;
+        });
+        
+        const sum = (items, field) => items.reduce((total, item) => total + item[field], 0);
+        const ticketBreakdowns = tickets.map((ticket, index) => {
+            const ticketLegs = legs.filter(leg => leg.ticket === index);
+            
+            return {
+                id: ticket.id,
+                provider: ticket.bookingEngine || ticket.source,
+                path: [ticket.segments[0].from, ...ticket.segments.map(segment => segment.to)].join('-'),
+                baseFare: sum(ticketLegs, 'baseFare'),
+                baggage: sum(ticketLegs, 'baggage'),
+                booking: sum(ticketLegs, 'booking'),
+                taxes: sum(ticketLegs, 'taxes'),
+                total: sum(ticketLegs, 'total')
+            };
+        });
+        
+        return {
+            currency: this.defaultCurrency,
+            rulesVersion: route.feeRulesVersion,
+            baseFare,
+            baggage: route.baggageFeeZAR,
+            booking: route.bookingFeeZAR,
+            taxes: route.taxAmountZAR,
+            groundTransfers: route.groundTransferZAR,
+            total: route.finalPriceZAR,
+            items: fees.map(fee => ({ ruleId: fee.ruleId, category: fee.category, amount: fee.amountZAR })),
+            tickets: ticketBreakdowns,
+            legs: legs.map(({ flight, ...leg }) => leg),
+            passengers: this.getPassengerBreakdown(baseFare, fees, userPreferences),
+            // The rates the fare was converted with, to reproduce the price
+            exchangeRate: fx ? {
+                snapshotId: fx.id,
+                takenAt: fx.takenAt,
+                currency: route.currency,
+                rate: fx.getRate(route.currency, this.defaultCurrency)
+            } : null
+        };
     }
 
-    calculateBookingFee(bookingEngine, isVirtualInterline = false) {
-        return isVirtualInterline 
-            ? this.bookingFees['virtual-interline']
-            : this.bookingFees[bookingEngine] || this.bookingFees.travelpayouts;
+    /**
+     * Price per passenger of each type travelling. The party's fare is split
+     * by each type's share of an adult fare; per-passenger fees go to the
+     * passengers their rule charged, other fees follow the fare.
+     */
+    getPassengerBreakdown(baseFare, fees, userPreferences = {}) {
+        const counts = Helpers.getPassengersByType(Helpers.getPassengerMix(userPreferences));
+        const types = Object.keys(counts).filter(type => counts[type] > 0);
+        const weight = type => counts[type] * constants.PASSENGER_TYPES[type].fareShare;
+        const weightTotal = types.reduce((sum, type) => sum + weight(type), 0);
+        
+        return types.map(type => {
+            const fareShare = weightTotal > 0 ? weight(type) / weightTotal : 0;
+            const typeFees = fees.reduce((sum, fee) => {
+                if (fee.passengers && fee.calculation !== 'percentage') {
+                    const charged = Object.values(fee.passengers).reduce((total, count) => total + count, 0);
+                    return sum + (charged > 0 ? fee.amountZAR * (fee.passengers[type] || 0) / charged : 0);
+                }
+                return sum + fee.amountZAR * fareShare;
+            }, 0);
+            const typeFare = baseFare * fareShare;
+            
+            return {
+                type,
+                count: counts[type],
+                baseFare: typeFare / counts[type],
+                fees: typeFees / counts[type],
+                total: (typeFare + typeFees) / counts[type]
+            };
+        });
     }
 
-    async normalizeRoutes(routes, userPreferences = {}) {
-        if (!Array.isArray(routes)) return [];
+    /**
+     * Spread one fee over the legs the way its rule charges it
+     */
+    allocateFee(fee, legs, ticketCount, baseFare) {
+        const field = FEE_FIELDS[fee.category];
+        
+        if (fee.calculation === 'percentage' && baseFare > 0) {
+            legs.forEach(leg => {
+                leg[field] += fee.amountZAR * leg.baseFare / baseFare;
+            });
+            return;
+        }
+        
+        if (fee.calculation === 'per-segment') {
+            const flights = legs.filter(leg => leg.flight);
+            const charged = flights.length > 0 ? flights : legs;
+            charged.forEach(leg => {
+                leg[field] += fee.amountZAR / charged.length;
+            });
+            return;
+        }
         
-        const normalizedRoutes = [];
-        for (const route of routes) {
-            try {
-                const normalized = await this.addAllFees(route, userPreferences);
-                if (normalized) normalizedRoutes.push(normalized);
-            } catch (error) {
-                logger.error('Failed to normalize route:', error);
-            }
+        // Per booking, passenger or bag: each ticket carries an equal share
+        for (let ticket = 0; ticket < ticketCount; ticket++) {
+            const ticketLegs = legs.filter(leg => leg.ticket === ticket);
+            ticketLegs.forEach(leg => {
+                leg[field] += fee.amountZAR / ticketCount / ticketLegs.length;
+            });
         }
+    }
+
+    /**
+     * Price routes with one exchange rate snapshot: the search's, or one
+     * taken now. No rates are looked up per route.
+     */
+    async normalizeRoutes(routes, userPreferences = {}, fx = null) {
+        if (!Array.isArray(routes)) return [];
+        
+        await feeRules.ensureLoaded();
+        const rates = fx || await FxSnapshot.take(this.defaultCurrency);
         
-        return normalizedRoutes;
+        return routes
+            .map(route => this.addAllFeesSync(route, userPreferences, rates))
+            .filter(Boolean);
     }
 
+    /**
+     * Currency prices are shown in: the requested one if supported, else ZAR
+     */
+    getDisplayCurrency(currency) {
+        return Helpers.isSupportedCurrency(currency) ? currency : this.defaultCurrency;
+    }
+    
+    /**
+     * Display currency and its rate from ZAR, from an exchange rate snapshot
+     * (the search's, or one taken now). Without a rate for the currency,
+     * prices are shown in ZAR and the currency asked for is flagged.
+     */
+    async getDisplay(currency, fx = null) {
+        const displayCurrency = this.getDisplayCurrency(currency);
+        if (displayCurrency === this.defaultCurrency) {
+            return { currency: this.defaultCurrency, rate: 1 };
+        }
+        
+        const rates = fx || await FxSnapshot.take(this.defaultCurrency);
+        const rate = rates.getRate(this.defaultCurrency, displayCurrency);
+        
+        if (!rate) {
+            logger.warn(`No ${displayCurrency} rate in exchange rate snapshot ${rates.id}, showing prices in ZAR`);
+            return { currency: this.defaultCurrency, rate: 1, unavailableCurrency: displayCurrency };
+        }
+        
+        return { currency: displayCurrency, rate };
+    }
+    
+    /**
+     * Show normalized routes in a display currency. Prices stay in ZAR for
+     * sorting and caching; the display fields are added on copies, and
+     * properties set on the results array (searchId, partial...) are kept.
+     * Routes already shown in ZAR are returned as they are.
+     */
+    applyDisplay(routes, display) {
+        if (display.currency === this.defaultCurrency && !routes.some(route => route.displayCurrency)) {
+            return display.unavailableCurrency ? Object.assign(routes, { display }) : routes;
+        }
+        
+        const converted = routes.map(route => {
+            const amount = (route.finalPriceZAR || route.totalPriceZAR || 0) * display.rate;
+            
+            return {
+                ...route,
+                displayCurrency: display.currency,
+                displayRate: display.rate,
+                finalPriceDisplay: amount,
+                displayPrice: Helpers.formatPrice(amount, display.currency)
+            };
+        });
+        
+        const extras = Object.entries(routes).filter(([key]) => !/^\d+$/.test(key));
+        return Object.assign(converted, Object.fromEntries(extras), { display });
+    }
+    
     sortByPrice(routes) {
         return [...routes].sort((a, b) => {
             const priceA = a.finalPriceZAR || a.totalPriceZAR || a.totalPrice || 0;
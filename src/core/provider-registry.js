@@ -0,0 +1,95 @@
+'use strict';
+
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const circuitBreakers = require('../api/circuit-breakers');
+
+/**
+ * Registry of flight providers available to the search pipeline
+ */
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.enabledNames = config.providers.enabled;
+    this.fallbackName = config.providers.fallbackAffiliate;
+  }
+
+  /**
+   * Register a provider under its name
+   */
+  register(provider) {
+    if (!provider || !provider.name) {
+      throw new Error('Provider must have a name');
+    }
+
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  /**
+   * Get a registered provider by name
+   */
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * Get all registered providers
+   */
+  getAll() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * Get providers enabled in config, in configured order
+   */
+  getEnabled() {
+    return this.enabledNames
+      .map(name => {
+        const provider = this.get(name);
+        if (!provider) {
+          logger.warn(`Unknown provider in ENABLED_PROVIDERS: ${name}`);
+        }
+        return provider;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Enabled providers whose circuit breaker lets calls through
+   */
+  getAvailable() {
+    return this.getEnabled().filter(provider => circuitBreakers.isAvailable(provider.name));
+  }
+
+  /**
+   * Enabled providers skipped while their circuit breaker is open
+   */
+  getUnavailable() {
+    return this.getEnabled().filter(provider => !circuitBreakers.isAvailable(provider.name));
+  }
+
+  /**
+   * Check if a provider is enabled
+   */
+  isEnabled(name) {
+    return this.enabledNames.includes(name) && this.providers.has(name);
+  }
+
+  /**
+   * Provider used for affiliate links when a route's engine is unknown
+   */
+  getFallback() {
+    return this.get(this.fallbackName) || this.getEnabled()[0] || null;
+  }
+}
+
+// Create singleton instance with built-in providers
+const providerRegistry = new ProviderRegistry();
+
+providerRegistry.register(require('../api/providers/kiwi-provider'));
+providerRegistry.register(require('../api/providers/travelpayouts-provider'));
+providerRegistry.register(require('../api/providers/skyscanner-provider'));
+
+module.exports = providerRegistry;
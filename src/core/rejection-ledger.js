@@ -0,0 +1,205 @@
+'use strict';
+
+const crypto = require('crypto');
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const validator = require('./validator');
+const FxSnapshot = require('./fx-snapshot');
+const redisClient = require('../database/redis-client');
+
+/**
+ * Per-search record of the routes the pipeline dropped and why.
+ *
+ * The route stitcher records every route removed as a duplicate, by the
+ * validator, by the missed-connection risk filter or by the price cut-off.
+ * The ledger is kept in Redis next to the cached results so support can ask
+ * why an expected combination (e.g. JNB-ADD-DXB) wasn't shown.
+ */
+
+const STAGES = {
+  DUPLICATE: 'duplicate',
+  VALIDATION: 'validation',
+  TRANSFER_RISK: 'transfer-risk',
+  PRICE_CUTOFF: 'price-cutoff'
+};
+
+// Enough to explain a search without storing every provider result
+const MAX_ENTRIES = 500;
+
+class RejectionLedger {
+  constructor(searchId, params = {}) {
+    this.searchId = searchId;
+    this.params = params;
+    this.entries = [];
+    this.counts = {};
+    this.createdAt = new Date().toISOString();
+  }
+
+  /**
+   * Short id for a search, the same for every search with the same cache key
+   */
+  static getSearchId(cacheKey) {
+    return crypto.createHash('sha256').update(cacheKey).digest('hex').slice(0, 10);
+  }
+
+  /**
+   * Airports a route passes through, e.g. JNB-ADD-DXB
+   */
+  static getPath(route) {
+    const segments = route.segments || [];
+    if (segments.length === 0) {
+      return '';
+    }
+
+    return [segments[0].from, ...segments.map(segment => segment.to)].join('-');
+  }
+
+  /**
+   * Normalize a user-typed path ("jnb add dxb", "JNB>ADD>DXB") to JNB-ADD-DXB
+   */
+  static normalizePath(path) {
+    return String(path || '').toUpperCase().split(/[^A-Z]+/).filter(Boolean).join('-');
+  }
+
+  /**
+   * Record a dropped route with the stage that dropped it
+   */
+  record(route, stage, reason) {
+    this.counts[stage] = (this.counts[stage] || 0) + 1;
+
+    if (this.entries.length >= MAX_ENTRIES) {
+      return;
+    }
+
+    this.entries.push({
+      stage,
+      reason,
+      path: RejectionLedger.getPath(route),
+      route: this.compactRoute(route)
+    });
+  }
+
+  /**
+   * Keep only what the validation report and the explanation need
+   */
+  compactRoute(route) {
+    const compactSegments = segments => (segments || []).map(segment => ({
+      from: segment.from,
+      to: segment.to,
+      departure: segment.departure,
+      arrival: segment.arrival,
+      airline: segment.airline,
+      flightNumber: segment.flightNumber,
+      mode: segment.mode
+    }));
+
+    return {
+      id: route.id,
+      source: route.source,
+      airlines: route.airlines || [],
+      segments: compactSegments(route.segments),
+      bounds: Array.isArray(route.bounds)
+        ? route.bounds.map(bound => ({
+          direction: bound.direction,
+          virtualInterline: bound.virtualInterline || false,
+          segments: compactSegments(bound.segments)
+        }))
+        : null,
+      totalPrice: route.totalPrice,
+      totalPriceZAR: route.totalPriceZAR,
+      finalPriceZAR: route.finalPriceZAR,
+      currency: route.currency,
+      distance: route.distance,
+      virtualInterline: route.virtualInterline || false,
+      separateTickets: route.separateTickets || false
+    };
+  }
+
+  /**
+   * Rejections of routes through the given airports, each validation
+   * rejection with the validator's report on it
+   */
+  explain(path) {
+    const wanted = RejectionLedger.normalizePath(path);
+
+    return this.entries
+      .filter(entry => entry.path === wanted)
+      .map(entry => ({
+        ...entry,
+        reports: entry.stage === STAGES.VALIDATION ? this.getReports(entry.route) : []
+      }));
+  }
+
+  /**
+   * Validation report per bound for return trips, otherwise for the route
+   */
+  getReports(route) {
+    const options = {
+      minConnectionTime: config.limits.minConnectionTime,
+      maxConnectionTime: config.limits.maxConnectionTime
+    };
+
+    if (route.bounds) {
+      return route.bounds.map(bound => validator.getValidationReport({
+        ...route,
+        segments: bound.segments,
+        virtualInterline: bound.virtualInterline
+      }, options));
+    }
+
+    return [validator.getValidationReport(route, options)];
+  }
+
+  /**
+   * Store the ledger for as long as the search results are cached
+   */
+  async save() {
+    if (!config.cache.enabled) {
+      return;
+    }
+
+    try {
+      await redisClient.set(RejectionLedger.getKey(this.searchId), {
+        searchId: this.searchId,
+        params: this.params,
+        createdAt: this.createdAt,
+        counts: this.counts,
+        entries: this.entries
+      }, config.cache.routeTtl);
+    } catch (error) {
+      logger.error('Failed to save rejection ledger:', error);
+    }
+  }
+
+  /**
+   * The exchange rate snapshot the search was priced with, to reproduce
+   * its prices; null when it expired or the search recorded none
+   */
+  async loadFxSnapshot() {
+    return this.params.fxSnapshotId ? FxSnapshot.load(this.params.fxSnapshotId) : null;
+  }
+
+  /**
+   * Load a stored ledger, or null when it expired or never existed
+   */
+  static async load(searchId) {
+    const stored = await redisClient.get(RejectionLedger.getKey(searchId));
+    if (!stored) {
+      return null;
+    }
+
+    const ledger = new RejectionLedger(stored.searchId, stored.params);
+    ledger.createdAt = stored.createdAt;
+    ledger.counts = stored.counts || {};
+    ledger.entries = stored.entries || [];
+    return ledger;
+  }
+
+  static getKey(searchId) {
+    return `rejections:${searchId}`;
+  }
+}
+
+RejectionLedger.STAGES = STAGES;
+
+module.exports = RejectionLedger;
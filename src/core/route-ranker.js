@@ -0,0 +1,171 @@
+'use strict';
+
+const config = require('../../config/config');
+const transferRisk = require('./transfer-risk');
+
+/**
+ * Multi-objective route ranking - Pareto front and composite "best" score
+ * over price, duration, self-transfers and missed-connection risk
+ */
+
+const SORT_MODES = ['cheapest', 'fastest', 'best', 'safest'];
+
+class RouteRanker {
+  constructor() {
+    this.weights = config.ranking.weights;
+    this.defaultSortMode = config.ranking.defaultSortMode;
+    this.sortModes = SORT_MODES;
+  }
+
+  /**
+   * Add ranking metrics, Pareto flags and valueScore to every route
+   */
+  rankRoutes(routes) {
+    if (!Array.isArray(routes) || routes.length === 0) {
+      return [];
+    }
+
+    const withMetrics = routes.map(route => ({
+      ...route,
+      rankingMetrics: this.getMetrics(route)
+    }));
+
+    // Cheapest price and shortest duration in this result set
+    const best = {
+      price: Math.min(...withMetrics.map(route => route.rankingMetrics.price)),
+      duration: Math.min(...withMetrics.map(route => route.rankingMetrics.duration))
+    };
+
+    const front = this.paretoFront(withMetrics);
+
+    return withMetrics.map(route => ({
+      ...route,
+      paretoOptimal: front.has(route),
+      valueScore: this.compositeScore(route.rankingMetrics, best)
+    }));
+  }
+
+  /**
+   * Routes no other route dominates. In objective order a route can only be
+   * dominated by one before it, and anything dominated is dominated by a
+   * route on the front, so each route is only checked against the front.
+   */
+  paretoFront(routes) {
+    const metrics = Object.keys(this.weights);
+    const byObjectives = (a, b) => {
+      for (const metric of metrics) {
+        const difference = a.rankingMetrics[metric] - b.rankingMetrics[metric];
+        if (difference !== 0) return difference;
+      }
+      return 0;
+    };
+
+    const front = [];
+    for (const route of [...routes].sort(byObjectives)) {
+      if (!front.some(other => this.dominates(other, route))) {
+        front.push(route);
+      }
+    }
+
+    return new Set(front);
+  }
+
+  /**
+   * Objectives to minimise for a route
+   */
+  getMetrics(route) {
+    const risk = route.transferRisk || transferRisk.assessRoute(route);
+
+    return {
+      price: route.finalPriceZAR || route.totalPriceZAR || route.totalPrice || 0,
+      duration: this.getTravelMinutes(route),
+      selfTransfers: risk.connections.filter(connection => connection.selfTransfer).length,
+      // Probability of missing at least one connection
+      risk: risk.probability
+    };
+  }
+
+  /**
+   * Door-to-door minutes from segment times, summed over bounds.
+   * Provider totalDuration units differ, so it is only a fallback.
+   */
+  getTravelMinutes(route) {
+    const bounds = Array.isArray(route.bounds) ? route.bounds : [{ segments: route.segments || [] }];
+
+    const minutes = bounds.reduce((sum, bound) => {
+      if (!bound.segments || bound.segments.length === 0) return sum;
+      const departure = new Date(bound.segments[0].departure);
+      const arrival = new Date(bound.segments[bound.segments.length - 1].arrival);
+      return sum + (arrival - departure) / (1000 * 60);
+    }, 0);
+
+    return minutes > 0 ? minutes : (route.totalDuration || 0);
+  }
+
+  /**
+   * a dominates b if it is no worse on every objective and better on one
+   */
+  dominates(a, b) {
+    const metrics = Object.keys(this.weights);
+    const noWorse = metrics.every(metric => a.rankingMetrics[metric] <= b.rankingMetrics[metric]);
+    const better = metrics.some(metric => a.rankingMetrics[metric] < b.rankingMetrics[metric]);
+    return noWorse && better;
+  }
+
+  /**
+   * Weighted sum of objective penalties, 0 (best) to 100 (worst).
+   * Price and duration are relative to the best in the result set, so a
+   * small price gap doesn't count as much as doubling the travel time.
+   */
+  compositeScore(metrics, best) {
+    const relative = (value, min) => (min > 0 ? Math.min(1, (value - min) / min) : 0);
+
+    const penalties = {
+      price: relative(metrics.price, best.price),
+      duration: relative(metrics.duration, best.duration),
+      selfTransfers: Math.min(1, metrics.selfTransfers / 2),
+      risk: Math.min(1, metrics.risk / 0.3)
+    };
+
+    let score = 0;
+    let totalWeight = 0;
+
+    for (const [metric, weight] of Object.entries(this.weights)) {
+      score += weight * (penalties[metric] || 0);
+      totalWeight += weight;
+    }
+
+    return totalWeight > 0 ? Math.round((score / totalWeight) * 100) : 0;
+  }
+
+  /**
+   * Sort ranked routes by a sort mode
+   */
+  sortRoutes(routes, mode = this.defaultSortMode) {
+    const price = route => route.rankingMetrics ? route.rankingMetrics.price : (route.finalPriceZAR || route.totalPrice || 0);
+    const metric = (route, name) => (route.rankingMetrics ? route.rankingMetrics[name] : 0);
+
+    const comparators = {
+      cheapest: (a, b) => price(a) - price(b),
+      fastest: (a, b) => (metric(a, 'duration') - metric(b, 'duration')) || (price(a) - price(b)),
+      // Routes on the Pareto front first, each group by composite score
+      best: (a, b) => (Number(b.paretoOptimal === true) - Number(a.paretoOptimal === true))
+        || ((a.valueScore || 0) - (b.valueScore || 0))
+        || (price(a) - price(b)),
+      safest: (a, b) => (metric(a, 'risk') - metric(b, 'risk'))
+        || (metric(a, 'selfTransfers') - metric(b, 'selfTransfers'))
+        || (price(a) - price(b))
+    };
+
+    return [...routes].sort(comparators[mode] || comparators.cheapest);
+  }
+
+  isSortMode(mode) {
+    return this.sortModes.includes(mode);
+  }
+}
+
+// Create singleton instance
+const routeRanker = new RouteRanker();
+
+module.exports = routeRanker;
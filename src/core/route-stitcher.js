@@ -5,10 +5,19 @@ const logger = require('../utils/logger');
 const Helpers = require('../utils/helpers');
 const priceNormalizer = require('./price-normalizer');
 const validator = require('./validator');
-const kiwiAPI = require('../api/kiwi-api');
-const travelpayoutsAPI = require('../api/travelpayouts-api');
-const skyscannerAPI = require('../api/skyscanner-api');
+const InterlineGraph = require('./interline-graph');
+const hubLegCache = require('./hub-leg-cache');
+const flexibleDateSearch = require('./flexible-date-search');
+const providerRegistry = require('./provider-registry');
+const routeRanker = require('./route-ranker');
+const transferRisk = require('./transfer-risk');
+const groundTransport = require('./ground-transport');
+const searchCoalescer = require('./search-coalescer');
+const SearchDeadline = require('./search-deadline');
+const RejectionLedger = require('./rejection-ledger');
+const FxSnapshot = require('./fx-snapshot');
 const redisClient = require('../database/redis-client');
+const { AirportUtils } = require('../utils/airport-codes');
 
 /**
  * Virtual interlining engine - Stitches together separate tickets
@@ -19,37 +28,78 @@ class RouteStitcher {
     this.minConnectionTime = config.limits.minConnectionTime; // 2 hours in milliseconds
     this.maxConnectionTime = config.limits.maxConnectionTime; // 24 hours
     this.maxStitchedRoutes = config.limits.maxStitchedRoutes;
+    this.maxSelfTransfers = config.limits.maxSelfTransfers;
+    this.hubSearchBudget = config.limits.hubSearchBudget;
+    this.maxCandidateHubs = config.limits.maxCandidateHubs;
+    this.maxHubDetour = config.limits.maxHubDetour;
     this.maxRoutesPerSearch = config.limits.maxRoutesPerSearch;
+    this.maxBoundOptions = config.limits.maxBoundOptions;
+    this.searchDeadlineMs = config.limits.searchDeadlineMs;
   }
 
   /**
    * Main function to find cheapest routes with virtual interlining
    */
-  async findCheapestRoutes(searchParams) {
-    const {
-      from,
-      to,
-      date,
-      returnDate = null,
-      passengers = 1,
-      bags = 0,
-      cabinClass = 'M',
-      currency = 'ZAR',
-      tripType = 'oneway'
-    } = searchParams;
+  async findCheapestRoutes(searchParams, progress = null) {
+    // Flexible dates return a price matrix instead of routes
+    if (searchParams.flexibleDays > 0) {
+      return flexibleDateSearch.buildPriceMatrix({
+        ...searchParams,
+        currency: priceNormalizer.getDisplayCurrency(searchParams.currency)
+      });
+    }
+
+    // One set of exchange rates prices every route of the search and its display
+    const fx = await FxSnapshot.take(priceNormalizer.defaultCurrency);
+
+    // Routes are searched, cached and sorted in ZAR whatever currency the
+    // user reads prices in, so every display currency shares one search
+    const display = await priceNormalizer.getDisplay(searchParams.currency, fx);
+    const baseParams = { ...searchParams, currency: priceNormalizer.defaultCurrency };
+    this.emitProgress(progress, 'display', display);
 
     // Generate cache key
-    const cacheKey = Helpers.generateCacheKey(searchParams);
+    const cacheKey = Helpers.generateCacheKey(baseParams);
+    
+    // The rejection ledger of a search is found by its id, cached or not
+    const searchId = RejectionLedger.getSearchId(cacheKey);
     
     // Try cache first
     if (config.cache.enabled) {
       const cached = await redisClient.getCachedSearchResults(cacheKey);
       if (cached) {
         logger.debug('Returning cached routes');
-        return cached;
+        this.emitProgress(progress, 'done', { count: cached.length, bestPrice: this.bestPrice(cached), cached: true });
+        return priceNormalizer.applyDisplay(Object.assign(cached, { searchId }), display);
       }
     }
 
+    // Identical searches in flight, here or on another instance, share one result
+    const { results, shared } = await searchCoalescer.run(cacheKey, () => this.runSearch(baseParams, cacheKey, progress, fx));
+
+    if (shared) {
+      this.emitProgress(progress, 'done', { count: results.length, bestPrice: this.bestPrice(results), cached: true });
+    }
+
+    return priceNormalizer.applyDisplay(Object.assign(results, { searchId }), display);
+  }
+
+  /**
+   * Search the providers, stitch, finalize and cache the routes for a
+   * search, priced with the exchange rate snapshot fx (or one taken now)
+   */
+  async runSearch(searchParams, cacheKey, progress = null, fx = null) {
+    const {
+      from,
+      to,
+      date,
+      returnDate = null,
+      bags = 0,
+      cabinClass = 'M'
+    } = searchParams;
+    const mix = Helpers.getPassengerMix(searchParams);
+    const passengers = Helpers.countPassengers(mix);
+
     logger.search(
       searchParams.userId || 'anonymous',
       from,
@@ -59,85 +109,87 @@ class RouteStitcher {
       searchParams
     );
 
+    const rates = fx || await FxSnapshot.take(priceNormalizer.defaultCurrency);
+
+    // Routes dropped along the way, for explaining why a route wasn't shown
+    const ledger = new RejectionLedger(RejectionLedger.getSearchId(cacheKey), {
+      from, to, date, returnDate, passengers, ...mix, cabinClass, fxSnapshotId: rates.id
+    });
+
+    // Past the deadline, return what the providers found so far
+    const deadline = this.searchDeadlineMs > 0 ? new SearchDeadline(this.searchDeadlineMs) : null;
+    const params = { ...searchParams, fx: rates, ledger, ...(deadline ? { deadline } : {}) };
+
     try {
-      // 1. Query all APIs in parallel
-      const [kiwiResults, travelpayoutsResults, skyscannerResults] = await Promise.allSettled([
-        this.searchKiwi(searchParams),
-        this.searchTravelpayouts(searchParams),
-        this.searchSkyscanner(searchParams)
-      ]);
-
-      // 2. Extract successful results
-      const allDirectRoutes = [];
-      
-      if (kiwiResults.status === 'fulfilled') {
-        allDirectRoutes.push(...kiwiResults.value);
-      } else {
-        logger.error('Kiwi API search failed:', kiwiResults.reason);
-      }
-      
-      if (travelpayoutsResults.status === 'fulfilled') {
-        allDirectRoutes.push(...travelpayoutsResults.value);
-      } else {
-        logger.error('Travelpayouts API search failed:', travelpayoutsResults.reason);
-      }
-      
-      if (skyscannerResults.status === 'fulfilled') {
-        allDirectRoutes.push(...skyscannerResults.value);
-      } else {
-        logger.error('Skyscanner API search failed:', skyscannerResults.reason);
-      }
+      // 1-3. Collect direct and stitched routes; return trips are searched
+      //      as outbound and inbound bounds as well as round-trip fares
+      // Providers with an open circuit breaker are skipped instead of timing out
+      const providers = providerRegistry.getAvailable();
+      const unavailable = providerRegistry.getUnavailable();
 
-      // 3. Generate virtual interlining routes if enabled
-      let allRoutes = [...allDirectRoutes];
-      
-      if (config.features.virtualInterlining && allDirectRoutes.length > 0) {
-        const stitchedRoutes = await this.generateStitchedRoutes(
-          allDirectRoutes,
-          from,
-          to,
-          date,
-          searchParams
-        );
-        
-        allRoutes = [...allRoutes, ...stitchedRoutes];
+      if (unavailable.length > 0) {
+        logger.warn(`Skipping unavailable providers: ${unavailable.map(provider => provider.name).join(', ')}`);
       }
 
-      // 4. Remove duplicates
-      allRoutes = this.deduplicateRoutes(allRoutes);
+      // Return trips search every provider three times: round trip and both bounds
+      this.emitProgress(progress, 'start', {
+        providers: [
+          ...providers.map(provider => ({ name: provider.name, displayName: provider.displayName })),
+          ...unavailable.map(provider => ({ name: provider.name, displayName: provider.displayName, unavailable: true }))
+        ],
+        searchesPerProvider: returnDate ? 3 : 1
+      });
 
-      // 5. Validate all routes
-      allRoutes = allRoutes.filter(route => 
-        validator.validateRoute(route, this.minConnectionTime, this.maxConnectionTime)
-      );
+      // Direct-only searches (alternative airports) make no hub leg calls
+      const hubSearchBudget = searchParams.directOnly ? 0 : this.hubSearchBudget;
 
-      // 6. Add fees and normalize prices to ZAR
-      const normalizedRoutes = await priceNormalizer.normalizeRoutes(
-        allRoutes,
-        { passengers, bags, cabinClass }
-      );
+      const allRoutes = returnDate
+        ? await this.searchReturnRoutes(params, providers, hubSearchBudget, progress)
+        : await this.searchOneWayRoutes(params, providers, hubSearchBudget, progress);
+
+      // 4-9. Deduplicate, validate, price, sort and add affiliate links
+      let finalRoutes = await this.finalizeRoutes(allRoutes, { passengers, ...mix, bags, cabinClass }, ledger, rates);
 
-      // 7. Sort by final price
-      const sortedRoutes = priceNormalizer.sortByPrice(normalizedRoutes);
+      // Label whether the return ticket or two one-ways is cheaper
+      if (returnDate) {
+        finalRoutes = this.compareFareTypes(finalRoutes);
+      }
 
-      // 8. Take top results (limit for performance)
-      const topRoutes = sortedRoutes.slice(0, this.maxRoutesPerSearch);
+      // City searches fly from and to different airports; label each route
+      if (AirportUtils.isMetroCode(from) || AirportUtils.isMetroCode(to)) {
+        finalRoutes = finalRoutes.map(route => this.labelAirports(route));
+      }
 
-      // 9. Add affiliate links
-      const finalRoutes = await this.addAffiliateLinks(topRoutes);
+      // Flag results cut short by the deadline with the providers that didn't answer
+      const missingProviders = deadline ? [...deadline.missingProviders] : [];
+      if (missingProviders.length > 0) {
+        logger.warn(`Search deadline reached, missing results from: ${missingProviders.join(', ')}`);
+      }
+      if (deadline && deadline.partial) {
+        finalRoutes = Object.assign(finalRoutes, { partial: true, missingProviders });
+      }
 
-      // 10. Cache results
-      if (config.cache.enabled && finalRoutes.length > 0) {
+      // 10. Cache results; partial results would hide the fares not found in time
+      if (config.cache.enabled && finalRoutes.length > 0 && !finalRoutes.partial) {
         await redisClient.cacheSearchResults(cacheKey, finalRoutes, searchParams);
       }
 
+      await Promise.all([ledger.save(), rates.save()]);
+      finalRoutes = Object.assign(finalRoutes, { searchId: ledger.searchId });
+
+      this.emitProgress(progress, 'done', {
+        count: finalRoutes.length,
+        bestPrice: this.bestPrice(finalRoutes),
+        missingProviders
+      });
+
       logger.search(
         searchParams.userId || 'anonymous',
         from,
         to,
         date,
         finalRoutes.length,
-        { ...searchParams, hasVirtualInterlining: finalRoutes.some(r => r.virtualInterline) }
+        { ...searchParams, searchId: ledger.searchId, hasVirtualInterlining: finalRoutes.some(r => r.virtualInterline) }
       );
 
       return finalRoutes;
@@ -149,276 +201,609 @@ class RouteStitcher {
       });
       
       throw new Error(`Search failed: ${error.message}`);
+    } finally {
+      if (deadline) {
+        deadline.clear();
+      }
     }
   }
 
   /**
-   * Search Kiwi API
+   * Run found routes through the common pipeline: deduplicate, validate,
+   * add fees, sort by final price and add affiliate links. Routes are
+   * checked for the children and infants travelling, and dropped routes are
+   * recorded in the rejection ledger if given. Prices are converted with
+   * the search's exchange rate snapshot fx, or one taken now.
    */
-  async searchKiwi(params) {
-    try {
-      const kiwiParams = {
-        from: params.from,
-        to: params.to,
-        date: params.date,
-        returnDate: params.returnDate,
-        adults: params.passengers,
-        cabinClass: params.cabinClass,
-        currency: params.currency,
-        maxStops: 3
-      };
-
-      const results = await kiwiAPI.searchFlights(kiwiParams);
-      
-      return results.map(result => ({
-        ...result,
-        source: 'kiwi',
-        bookingEngine: 'kiwi'
-      }));
-      
-    } catch (error) {
-      logger.error('Kiwi search error:', error);
-      return [];
+  async finalizeRoutes(routes, userPreferences, ledger = null, fx = null) {
+    // 4. Remove duplicates
+    let allRoutes = this.deduplicateRoutes(routes, ledger);
+
+    // 5. Validate all routes
+    allRoutes = allRoutes.filter(route => {
+      const check = validator.checkRoute(route, this.minConnectionTime, this.maxConnectionTime);
+      if (!check.valid && ledger) {
+        ledger.record(route, RejectionLedger.STAGES.VALIDATION, check.reason);
+      }
+      return check.valid;
+    });
+
+    // 5b. Score missed-connection risk and drop the riskiest routes
+    allRoutes = transferRisk.filterRoutes(allRoutes, ledger);
+
+    // 6. Add fees and normalize prices to ZAR
+    const normalizedRoutes = await priceNormalizer.normalizeRoutes(allRoutes, userPreferences, fx);
+
+    // 7. Rank on price, duration, self-transfers and risk; sort by final price
+    const sortedRoutes = priceNormalizer.sortByPrice(routeRanker.rankRoutes(normalizedRoutes));
+
+    // 8. Take top results (limit for performance)
+    const topRoutes = sortedRoutes.slice(0, this.maxRoutesPerSearch);
+
+    if (ledger) {
+      sortedRoutes.slice(this.maxRoutesPerSearch).forEach((route, index) => {
+        ledger.record(route, RejectionLedger.STAGES.PRICE_CUTOFF,
+          `Ranked ${this.maxRoutesPerSearch + index + 1} of ${sortedRoutes.length} by price; only the cheapest ${this.maxRoutesPerSearch} are kept`);
+      });
     }
+
+    // 8b. Flag routes that need care with the children or infants travelling
+    const mix = Helpers.getPassengerMix(userPreferences);
+    const checkedRoutes = topRoutes.map(route => {
+      const passengerWarnings = validator.getPassengerWarnings(route, mix);
+      return passengerWarnings.length > 0 ? { ...route, passengerWarnings } : route;
+    });
+
+    // 9. Add affiliate links, booking the whole party
+    return this.addAffiliateLinks(checkedRoutes, userPreferences);
   }
 
   /**
-   * Search Travelpayouts API
+   * Search one direction: provider results plus self-transfer routes
+   * stitched from them and the hub legs
    */
-  async searchTravelpayouts(params) {
-    try {
-      const tpParams = {
-        from: params.from,
-        to: params.to,
-        date: params.date,
-        returnDate: params.returnDate,
-        adults: params.passengers,
-        cabinClass: params.cabinClass === 'M' ? 'economy' : params.cabinClass,
-        currency: params.currency,
-        tripType: params.tripType
-      };
-
-      const results = await travelpayoutsAPI.searchFlights(tpParams);
-      
-      return results.map(result => ({
-        ...result,
-        source: 'travelpayouts',
-        bookingEngine: 'travelpayouts'
-      }));
-      
-    } catch (error) {
-      logger.error('Travelpayouts search error:', error);
-      return [];
+  async searchOneWayRoutes(searchParams, providers, hubSearchBudget = this.hubSearchBudget, progress = null) {
+    const { from, to } = searchParams;
+
+    // Query all enabled providers in parallel, together with the
+    // origin->hub and hub->destination legs and the bus/train rides used for stitching
+    const [providerResults, hubLegs, groundLegs] = await Promise.all([
+      this.searchProviders(providers, searchParams, progress),
+      config.features.virtualInterlining && hubSearchBudget > 0 ? this.searchHubLegs(searchParams, providers, hubSearchBudget) : [],
+      config.features.groundTransport ? this.searchGroundLegs(searchParams) : []
+    ]);
+
+    // Extract successful results
+    const directRoutes = [];
+    
+    providerResults.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        directRoutes.push(...this.priceTickets(result.value, searchParams.fx));
+      } else if (result.reason.code !== 'SEARCH_DEADLINE') {
+        // Deadline misses are reported once the results are flagged as partial
+        logger.error(`${providers[index].displayName} API search failed:`, result.reason);
+      }
+    });
+
+    // A bus or train straight to the destination is a result on its own
+    directRoutes.push(...groundLegs.filter(ticket =>
+      AirportUtils.isInLocation(ticket.segments[0].from, from) && AirportUtils.isInLocation(ticket.segments[0].to, to)
+    ));
+
+    // Generate virtual interlining routes if enabled
+    if (!config.features.virtualInterlining || (directRoutes.length === 0 && hubLegs.length === 0)) {
+      return directRoutes;
+    }
+
+    const stitchedRoutes = this.generateInterlineRoutes(
+      [...new Set([...directRoutes, ...this.priceTickets(hubLegs, searchParams.fx), ...groundLegs])],
+      from,
+      to,
+      searchParams.deadline
+    );
+
+    this.emitProgress(progress, 'stitched', { count: stitchedRoutes.length, bestPrice: this.bestPrice(stitchedRoutes) });
+
+    return [...directRoutes, ...stitchedRoutes];
+  }
+
+  /**
+   * Search a return trip: round-trip fares from the providers, plus
+   * outbound and inbound one-ways (each possibly stitched) paired up
+   */
+  async searchReturnRoutes(searchParams, providers, hubSearchBudget = this.hubSearchBudget, progress = null) {
+    const { from, to, date, returnDate } = searchParams;
+    const boundParams = { ...searchParams, returnDate: null, tripType: 'oneway' };
+
+    // Each bound gets half of the hub leg budget
+    const boundBudget = Math.floor(hubSearchBudget / 2);
+
+    const [roundTripResults, outboundRoutes, inboundRoutes] = await Promise.all([
+      this.searchProviders(providers, searchParams, progress),
+      this.searchOneWayRoutes({ ...boundParams, from, to, date }, providers, boundBudget, progress),
+      this.searchOneWayRoutes({ ...boundParams, from: to, to: from, date: returnDate }, providers, boundBudget, progress)
+    ]);
+
+    const roundTrips = roundTripResults
+      .filter(result => result.status === 'fulfilled')
+      .flatMap(result => this.priceTickets(result.value, searchParams.fx))
+      .map(route => this.splitBounds(route, from, to))
+      .filter(Boolean);
+
+    const oneWayPairs = this.pairOneWays(
+      this.cheapestValidRoutes(outboundRoutes, this.maxBoundOptions, searchParams.ledger, 'outbound'),
+      this.cheapestValidRoutes(inboundRoutes, this.maxBoundOptions, searchParams.ledger, 'inbound')
+    );
+
+    logger.debug(`Return search ${from}<->${to}: ${roundTrips.length} round-trip fares, ${oneWayPairs.length} one-way pairs`);
+
+    this.emitProgress(progress, 'stitched', { count: oneWayPairs.length, bestPrice: this.bestPrice(oneWayPairs) });
+
+    return [...roundTrips, ...oneWayPairs];
+  }
+
+  /**
+   * Search every provider in parallel, reporting each one as it completes.
+   * Metro codes are searched airport by airport and the results merged.
+   * Providers still searching at the deadline are recorded as missing.
+   */
+  searchProviders(providers, searchParams, progress = null) {
+    const pairs = AirportUtils.getAirportPairs(searchParams.from, searchParams.to);
+    const { deadline } = searchParams;
+
+    return Promise.allSettled(providers.map(async provider => {
+      try {
+        const search = this.searchAirportPairs(provider, searchParams, pairs);
+        const results = await (deadline ? deadline.race(search) : search);
+        this.emitProgress(progress, 'provider', {
+          provider: provider.name,
+          displayName: provider.displayName,
+          ok: true,
+          count: results.length,
+          bestPrice: this.bestPrice(results)
+        });
+        return results;
+      } catch (error) {
+        const timedOut = error.code === 'SEARCH_DEADLINE';
+        if (timedOut) {
+          deadline.markMissing(provider.displayName);
+        }
+
+        this.emitProgress(progress, 'provider', {
+          provider: provider.name,
+          displayName: provider.displayName,
+          ok: false,
+          timedOut,
+          count: 0,
+          bestPrice: null
+        });
+        throw error;
+      }
+    }));
+  }
+
+  /**
+   * Search one provider for every airport pair; fails only if every pair fails
+   */
+  async searchAirportPairs(provider, searchParams, pairs) {
+    if (pairs.length === 1) {
+      return provider.search({ ...searchParams, ...pairs[0] });
     }
+
+    const results = await Promise.allSettled(pairs.map(pair => provider.search({ ...searchParams, ...pair })));
+    const fulfilled = results.filter(result => result.status === 'fulfilled');
+
+    if (fulfilled.length === 0) {
+      throw results[0].reason;
+    }
+
+    return fulfilled.flatMap(result => result.value);
   }
 
   /**
-   * Search Skyscanner API
+   * Bus and train tickets between every pair of searched airports, priced
+   * with the search's exchange rate snapshot
    */
-  async searchSkyscanner(params) {
+  async searchGroundLegs(searchParams) {
+    const tickets = await Promise.all(AirportUtils.getAirportPairs(searchParams.from, searchParams.to).map(pair =>
+      groundTransport.getTickets(pair.from, pair.to, searchParams.date, searchParams.fx)
+    ));
+
+    return tickets.flat();
+  }
+
+  /**
+   * Departure and arrival airport of a route searched between metro codes
+   */
+  labelAirports(route) {
+    const outbound = route.bounds ? route.bounds[0].segments : route.segments;
+
+    return {
+      ...route,
+      departureAirport: outbound[0].from,
+      arrivalAirport: outbound[outbound.length - 1].to
+    };
+  }
+
+  /**
+   * Emit a search progress event; listener errors never fail the search
+   */
+  emitProgress(progress, event, data) {
+    if (!progress) {
+      return;
+    }
+
     try {
-      const ssParams = {
-        from: params.from,
-        to: params.to,
-        date: params.date,
-        returnDate: params.returnDate,
-        adults: params.passengers,
-        cabinClass: params.cabinClass === 'M' ? 'economy' : params.cabinClass,
-        currency: params.currency,
-        market: 'ZA'
-      };
-
-      const results = await skyscannerAPI.searchFlights(ssParams);
-      
-      return results.map(result => ({
-        ...result,
-        source: 'skyscanner',
-        bookingEngine: 'skyscanner'
-      }));
-      
+      progress.emit(event, data);
     } catch (error) {
-      logger.error('Skyscanner search error:', error);
-      return [];
+      logger.error(`Search progress listener error (${event}):`, error);
     }
   }
 
   /**
-   * Generate stitched routes (virtual interlining)
+   * Lowest price among routes, or null
    */
-  async generateStitchedRoutes(directRoutes, from, to, date, searchParams) {
-    const stitchedRoutes = [];
-    
-    try {
-      // 1. Identify potential hub airports
-      const hubAirports = this.identifyHubAirports(directRoutes, from, to);
-      
-      // 2. Group routes by hub
-      const routesByHub = this.groupRoutesByHub(directRoutes, hubAirports, from, to);
-      
-      // 3. Generate stitched combinations
-      for (const hub of hubAirports) {
-        const hubRoutes = routesByHub[hub];
-        if (!hubRoutes || !hubRoutes.toHub || !hubRoutes.fromHub) {
-          continue;
-        }
-        
-        const combinations = this.generateCombinations(
-          hubRoutes.toHub,
-          hubRoutes.fromHub,
-          this.maxStitchedRoutes
-        );
-        
-        for (const combination of combinations) {
-          const stitchedRoute = this.stitchTwoRoutes(combination.firstLeg, combination.secondLeg);
-          if (stitchedRoute) {
-            stitchedRoutes.push(stitchedRoute);
-          }
-        }
+  bestPrice(routes) {
+    const prices = routes
+      .map(route => route.finalPriceZAR || this.ticketPrice(route))
+      .filter(price => price > 0);
+
+    return prices.length > 0 ? Math.min(...prices) : null;
+  }
+
+  /**
+   * Split a round-trip fare's flat segment list into outbound and inbound
+   * bounds at the destination. Returns null if there is no inbound bound.
+   */
+  splitBounds(route, from, to) {
+    const boundSegments = this.sliceBounds(route.segments || [], [to, from]);
+
+    if (!boundSegments) {
+      return null;
+    }
+
+    return {
+      ...route,
+      fareType: 'roundtrip',
+      bounds: boundSegments.map((segments, index) => ({
+        direction: index === 0 ? 'outbound' : 'inbound',
+        segments,
+        virtualInterline: route.virtualInterline || false
+      }))
+    };
+  }
+
+  /**
+   * Cut a flat segment list into consecutive bounds ending at the given
+   * airports. Returns null if the segments don't end each bound in order.
+   */
+  sliceBounds(segments, boundEnds) {
+    const bounds = [];
+    let start = 0;
+
+    for (const end of boundEnds) {
+      const index = segments.findIndex((segment, i) => i >= start && AirportUtils.isInLocation(segment.to, end));
+
+      if (index === -1) {
+        return null;
       }
-      
-      // 4. Generate multi-hub routes (e.g., JNB -> ADD -> DXB -> LHR)
-      const multiHubRoutes = await this.generateMultiHubRoutes(
-        directRoutes,
-        from,
-        to,
-        date,
-        searchParams
-      );
-      
-      stitchedRoutes.push(...multiHubRoutes);
-      
-      return stitchedRoutes;
-      
-    } catch (error) {
-      logger.error('Error generating stitched routes:', error);
-      return [];
+
+      bounds.push(segments.slice(start, index + 1));
+      start = index + 1;
     }
+
+    return start === segments.length ? bounds : null;
   }
 
   /**
-   * Identify hub airports from available routes
+   * Valid routes of one bound, cheapest first; routes dropped as duplicates,
+   * invalid or past the limit are recorded in the rejection ledger if given
    */
-  identifyHubAirports(routes, from, to) {
-    const airportFrequency = {};
-    
-    // Count airport appearances in routes
-    for (const route of routes) {
-      if (route.segments) {
-        for (const segment of route.segments) {
-          if (segment.from && segment.from !== from && segment.from !== to) {
-            airportFrequency[segment.from] = (airportFrequency[segment.from] || 0) + 1;
-          }
-          if (segment.to && segment.to !== from && segment.to !== to) {
-            airportFrequency[segment.to] = (airportFrequency[segment.to] || 0) + 1;
-          }
+  cheapestValidRoutes(routes, limit, ledger = null, direction = 'bound') {
+    const validRoutes = this.deduplicateRoutes(routes, ledger)
+      .filter(route => {
+        const check = validator.checkRoute(route, this.minConnectionTime, this.maxConnectionTime);
+        if (!check.valid && ledger) {
+          ledger.record(route, RejectionLedger.STAGES.VALIDATION, `${check.reason} (${direction})`);
+        }
+        return check.valid;
+      })
+      .sort((a, b) => this.ticketPrice(a) - this.ticketPrice(b));
+
+    if (ledger) {
+      validRoutes.slice(limit).forEach((route, index) => {
+        ledger.record(route, RejectionLedger.STAGES.PRICE_CUTOFF,
+          `Ranked ${limit + index + 1} of ${validRoutes.length} ${direction} options by price; only the cheapest ${limit} are paired into return trips`);
+      });
+    }
+
+    return validRoutes.slice(0, limit);
+  }
+
+  /**
+   * Pair outbound and inbound one-ways where the inbound leaves after the
+   * outbound lands
+   */
+  pairOneWays(outboundRoutes, inboundRoutes) {
+    const pairs = [];
+
+    for (const outbound of outboundRoutes) {
+      const arrival = new Date(outbound.segments[outbound.segments.length - 1].arrival);
+
+      for (const inbound of inboundRoutes) {
+        if (new Date(inbound.segments[0].departure) > arrival) {
+          pairs.push(this.buildReturnFromOneWays(outbound, inbound));
         }
       }
     }
-    
-    // Sort airports by frequency
-    const sortedAirports = Object.entries(airportFrequency)
-      .sort(([,a], [,b]) => b - a)
-      .map(([airport]) => airport);
-    
-    // Filter to known hubs
-    const knownHubs = config.africa.hubAirports;
-    const hubs = sortedAirports.filter(airport => 
-      knownHubs.includes(airport) || airportFrequency[airport] >= 3
-    );
-    
-    // Return top 10 hubs
-    return hubs.slice(0, 10);
+
+    return pairs;
   }
 
   /**
-   * Group routes by hub airport
+   * Combine an outbound and an inbound one-way into one return itinerary
    */
-  groupRoutesByHub(routes, hubs, from, to) {
-    const grouped = {};
+  buildReturnFromOneWays(outbound, inbound) {
+    return this.combineBounds([outbound, inbound], ['outbound', 'inbound'], 'two-oneways');
+  }
+
+  /**
+   * Combine separately ticketed bounds (one route each) into one itinerary
+   */
+  combineBounds(boundRoutes, directions, fareType) {
+    const segments = boundRoutes.flatMap(route => route.segments);
+    const totalPrice = boundRoutes.reduce((sum, route) => sum + this.ticketPrice(route), 0);
+    const connected = boundRoutes.find(route => route.connectionAirport);
+
+    // Flatten stitched bounds so every component is a single provider ticket
+    const components = boundRoutes.flatMap((route, index) => (
+      route.components
+        ? route.components.map(component => ({ ...component, type: `${directions[index]}-${component.type}` }))
+        : [{ route, type: directions[index] }]
+    ));
+
+    return {
+      id: Helpers.generateRouteId(segments),
+      airlines: [...new Set(boundRoutes.flatMap(route => route.airlines || []))],
+      segments,
+      totalPrice,
+      totalPriceZAR: totalPrice,
+      // Base currency: see addAffiliateLinks
+      currency: priceNormalizer.defaultCurrency,
+      totalDuration: boundRoutes.reduce((sum, route) => sum + (route.totalDuration || 0), 0),
+      fareType,
+      virtualInterline: boundRoutes.some(route => route.virtualInterline),
+      separateTickets: true,
+      bookingEngine: 'virtual-interline',
+      source: 'stitched',
+      connectionAirport: connected ? connected.connectionAirport : undefined,
+      connectionTime: connected ? connected.connectionTime : undefined,
+      bounds: boundRoutes.map((route, index) => ({
+        direction: directions[index],
+        segments: route.segments,
+        virtualInterline: route.virtualInterline || false,
+        distance: route.distance
+      })),
+      originalRoutes: boundRoutes.map(route => route.id),
+      distance: boundRoutes.reduce((sum, route) => sum + (route.distance || 0), 0),
+      transferCount: boundRoutes.reduce((sum, route) => sum + (route.transferCount || 0), 0),
+      airportChanges: boundRoutes.flatMap(route => route.airportChanges || []),
+      groundTransferCostZAR: boundRoutes.reduce((sum, route) => sum + (route.groundTransferCostZAR || 0), 0),
+      components
+    };
+  }
+
+  /**
+   * Compare the best return ticket with the best pair of one-ways and
+   * label every route with the outcome
+   */
+  compareFareTypes(routes) {
+    const price = route => route.finalPriceZAR || route.totalPriceZAR || route.totalPrice || 0;
+    const cheapestOf = fareType => routes
+      .filter(route => route.fareType === fareType)
+      .reduce((best, route) => (!best || price(route) < price(best) ? route : best), null);
+    const bestRoundTrip = cheapestOf('roundtrip');
+    const bestOneWays = cheapestOf('two-oneways');
+
+    if (!bestRoundTrip && !bestOneWays) {
+      return routes;
+    }
+
+    const roundTripPrice = bestRoundTrip ? price(bestRoundTrip) : null;
+    const twoOneWaysPrice = bestOneWays ? price(bestOneWays) : null;
+
+    let cheaper = bestRoundTrip ? 'roundtrip' : 'two-oneways';
+    if (bestRoundTrip && bestOneWays && twoOneWaysPrice < roundTripPrice) {
+      cheaper = 'two-oneways';
+    }
+
+    const fareComparison = {
+      roundTripPrice,
+      twoOneWaysPrice,
+      cheaper,
+      savings: bestRoundTrip && bestOneWays ? Math.abs(roundTripPrice - twoOneWaysPrice) : 0
+    };
+
+    return routes.map(route => ({ ...route, fareComparison }));
+  }
+
+  /**
+   * Price provider tickets in ZAR with the search's exchange rates, so
+   * fares quoted in other currencies (e.g. Kiwi in EUR) can be compared
+   * and summed. Tickets already priced in ZAR are kept as they are.
+   */
+  priceTickets(tickets, fx) {
+    if (!fx) {
+      return tickets;
+    }
+
+    const base = priceNormalizer.defaultCurrency;
+    return tickets.map(ticket => (
+      ticket.totalPriceZAR
+        ? ticket
+        : { ...ticket, totalPriceZAR: fx.convert(ticket.totalPrice || 0, ticket.currency || base, base) }
+    ));
+  }
+
+  /**
+   * Ticket price in ZAR (see priceTickets)
+   */
+  ticketPrice(route) {
+    return route.totalPriceZAR || route.totalPrice || 0;
+  }
+
+  /**
+   * Pick the hubs worth searching separate tickets through, ordered by how
+   * small a detour they add to the direct origin->destination distance
+   */
+  selectCandidateHubs(from, to) {
+    const directDistance = AirportUtils.getDistanceBetween(from, to);
     
-    for (const route of routes) {
-      if (!route.segments || route.segments.length === 0) {
-        continue;
-      }
-      
-      const firstSegment = route.segments[0];
-      const lastSegment = route.segments[route.segments.length - 1];
-      
-      // Check if route goes to a hub
-      for (const hub of hubs) {
-        // Route from origin to hub
-        if (firstSegment.from === from && lastSegment.to === hub) {
-          if (!grouped[hub]) grouped[hub] = { toHub: [], fromHub: [] };
-          grouped[hub].toHub.push(route);
-        }
+    const candidates = config.africa.hubAirports
+      .filter(hub => !AirportUtils.isInLocation(hub, from) && !AirportUtils.isInLocation(hub, to))
+      .map((hub, index) => {
+        const toHub = AirportUtils.getDistanceBetween(from, hub);
+        const fromHub = AirportUtils.getDistanceBetween(hub, to);
         
-        // Route from hub to destination
-        if (firstSegment.from === hub && lastSegment.to === to) {
-          if (!grouped[hub]) grouped[hub] = { toHub: [], fromHub: [] };
-          grouped[hub].fromHub.push(route);
+        // Unknown coordinates: keep the configured order after known hubs
+        if (!directDistance || toHub === null || fromHub === null) {
+          return { hub, detour: Infinity, index };
         }
-      }
-    }
+        
+        return { hub, detour: (toHub + fromHub) / directDistance, index };
+      })
+      .filter(candidate => candidate.detour === Infinity || candidate.detour <= this.maxHubDetour)
+      .sort((a, b) => (a.detour - b.detour) || (a.index - b.index));
     
-    return grouped;
+    return candidates
+      .slice(0, this.maxCandidateHubs)
+      .map(candidate => candidate.hub);
   }
 
   /**
-   * Generate combinations of routes
+   * Legs to search for the hub stage, grouped so that each group can
+   * complete itineraries on its own: a gateway flight, or a hub's inbound
+   * leg together with its onward legs
    */
-  generateCombinations(routesA, routesB, maxCombinations = 50) {
-    const combinations = [];
-    const maxPerRoute = Math.ceil(maxCombinations / Math.max(routesA.length, routesB.length));
+  async getHubLegGroups(searchParams) {
+    const { from, to, date } = searchParams;
+    const hubs = this.selectCandidateHubs(from, to);
     
-    for (let i = 0; i < Math.min(routesA.length, maxPerRoute); i++) {
-      for (let j = 0; j < Math.min(routesB.length, maxPerRoute); j++) {
-        combinations.push({
-          firstLeg: routesA[i],
-          secondLeg: routesB[j]
-        });
-      }
-    }
+    // Flights that complete a bus or train ride at either end go first:
+    // there are few of them and nothing else can complete those itineraries
+    const gateways = config.features.groundTransport
+      ? await groundTransport.getGateways(from, to)
+      : { origins: [], destinations: [] };
     
-    return combinations;
+    const gatewayGroups = [
+      ...gateways.origins.flatMap(gateway => [
+        [{ from: gateway, to, date }],
+        [{ from: gateway, to, date: Helpers.addDays(date, 1) }]
+      ]),
+      ...gateways.destinations.map(gateway => [{ from, to: gateway, date }])
+    ];
+    
+    // Onward legs may leave the day after arrival at the hub, or from the
+    // other airports of a metro hub, reached across town
+    const hubGroups = hubs.map(hub => [
+      { from, to: hub, date },
+      { from: hub, to, date },
+      { from: hub, to, date: Helpers.addDays(date, 1) },
+      ...AirportUtils.getMetroSiblings(hub).map(airport => ({ from: airport, to, date }))
+    ]);
+    
+    // City codes are searched airport by airport
+    return [...gatewayGroups, ...hubGroups].map(group =>
+      group.flatMap(leg => AirportUtils.getAirportPairs(leg.from, leg.to).map(pair => ({ ...leg, ...pair })))
+    );
   }
 
   /**
-   * Stitch two routes together
+   * Search standalone origin->hub and hub->destination tickets for the
+   * candidate hubs, within the per-search provider call budget. Groups are
+   * kept whole: an inbound leg without its onward legs can't be stitched.
    */
-  stitchTwoRoutes(firstLeg, secondLeg) {
-    if (!firstLeg || !secondLeg || 
-        !firstLeg.segments || firstLeg.segments.length === 0 ||
-        !secondLeg.segments || secondLeg.segments.length === 0) {
-      return null;
+  async searchHubLegs(searchParams, providers, hubSearchBudget = this.hubSearchBudget) {
+    if (providers.length === 0) {
+      return [];
     }
     
-    const lastSegmentFirst = firstLeg.segments[firstLeg.segments.length - 1];
-    const firstSegmentSecond = secondLeg.segments[0];
+    const groups = await this.getHubLegGroups(searchParams);
+    const maxRequests = Math.floor(hubSearchBudget / providers.length);
+    const budgetedRequests = [];
+    let skippedGroups = 0;
     
-    // Check if airports match
-    if (lastSegmentFirst.to !== firstSegmentSecond.from) {
-      return null;
+    for (const group of groups) {
+      if (budgetedRequests.length + group.length > maxRequests) {
+        skippedGroups++;
+        continue;
+      }
+      budgetedRequests.push(...group);
     }
     
-    // Calculate connection time
-    const connectionTime = new Date(firstSegmentSecond.departure) - new Date(lastSegmentFirst.arrival);
-    
-    // Validate connection time
-    if (connectionTime < this.minConnectionTime || connectionTime > this.maxConnectionTime) {
-      return null;
+    if (skippedGroups > 0) {
+      logger.debug(`Hub leg budget reached: ${skippedGroups}/${groups.length} leg groups skipped, ${budgetedRequests.length} legs searched`);
     }
     
-    // Ensure not same flight (avoid stitching with itself)
-    if (firstLeg.id === secondLeg.id) {
-      return null;
-    }
+    // Legs still loading at the deadline are left out of stitching
+    const { deadline } = searchParams;
+    const searches = budgetedRequests.flatMap(leg =>
+      providers.map(provider => {
+        const search = hubLegCache.fetch(provider, {
+          ...searchParams,
+          ...leg,
+          returnDate: null,
+          tripType: 'oneway'
+        });
+        return deadline ? deadline.race(search) : search;
+      })
+    );
     
-    // Combine segments
-    const combinedSegments = [...firstLeg.segments, ...secondLeg.segments];
+    const results = await Promise.allSettled(searches);
+    
+    return results
+      .filter(result => result.status === 'fulfilled')
+      .flatMap(result => result.value);
+  }
+
+  /**
+   * Generate stitched routes (virtual interlining) from a time-expanded
+   * graph of all provider tickets; past the deadline the search keeps the
+   * cheapest paths found so far
+   */
+  generateInterlineRoutes(tickets, from, to, deadline = null) {
+    try {
+      const graph = new InterlineGraph({
+        minConnectionTime: this.minConnectionTime,
+        maxConnectionTime: this.maxConnectionTime,
+        maxSelfTransfers: this.maxSelfTransfers,
+        deadline
+      }).build(tickets, from, to);
+      
+      const paths = graph.findCheapestPaths(this.maxStitchedRoutes);
+      
+      if (graph.partial && deadline) {
+        logger.warn(`Search deadline reached while stitching ${from}->${to}, keeping ${paths.length} routes`);
+        deadline.markIncompleteStitching();
+      }
+      
+      return paths.map(path => this.buildStitchedRoute(path.tickets, path.connections));
+      
+    } catch (error) {
+      logger.error('Error generating stitched routes:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Combine separate tickets into one self-transfer route
+   */
+  buildStitchedRoute(tickets, connections) {
+    const combinedSegments = tickets.flatMap(ticket => ticket.segments);
     
     // Combine airlines
     const combinedAirlines = [
-      ...new Set([...(firstLeg.airlines || []), ...(secondLeg.airlines || [])])
+      ...new Set(tickets.flatMap(ticket => ticket.airlines || []))
     ];
     
     // Calculate total duration
@@ -426,141 +811,57 @@ class RouteStitcher {
     const lastArrival = new Date(combinedSegments[combinedSegments.length - 1].arrival);
     const totalDuration = (lastArrival - firstDeparture) / (1000 * 60); // minutes
     
-    // Calculate total price
-    const totalPrice = (firstLeg.totalPrice || 0) + (secondLeg.totalPrice || 0);
+    // Sum ticket prices in ZAR (see priceTickets)
+    const totalPrice = tickets.reduce(
+      (sum, ticket) => sum + (ticket.totalPriceZAR || ticket.totalPrice || 0),
+      0
+    );
     
-    // Generate route ID
-    const routeId = Helpers.generateRouteId(combinedSegments);
+    const hubs = connections.map(connection => connection.airport);
+    const airportChanges = connections
+      .filter(connection => connection.airportChange)
+      .map(connection => connection.airportChange);
     
     return {
-      id: routeId,
+      id: Helpers.generateRouteId(combinedSegments),
       airlines: combinedAirlines,
       segments: combinedSegments,
       totalPrice,
-      currency: firstLeg.currency || 'ZAR',
+      totalPriceZAR: totalPrice,
+      // Base currency: see addAffiliateLinks
+      currency: priceNormalizer.defaultCurrency,
       totalDuration,
       virtualInterline: true,
       separateTickets: true,
       bookingEngine: 'virtual-interline',
       source: 'stitched',
-      connectionAirport: lastSegmentFirst.to,
-      connectionTime: connectionTime / (1000 * 60 * 60), // hours
-      originalRoutes: [firstLeg.id, secondLeg.id],
+      connectionAirport: hubs[0],
+      connectionTime: connections[0].connectionTime / (1000 * 60 * 60), // hours
+      connections: connections.map(connection => ({
+        airport: connection.airport,
+        connectionTime: connection.connectionTime / (1000 * 60 * 60), // hours
+        airportChange: connection.airportChange || null
+      })),
+      // Transfers between airports in the same city, paid on top of the tickets
+      airportChanges,
+      groundTransferCostZAR: airportChanges.reduce((sum, change) => sum + (change.transferCostZAR || 0), 0),
+      multiHub: hubs.length > 1,
+      intermodal: combinedSegments.some(segment => Helpers.isGroundSegment(segment)),
+      hubs,
+      originalRoutes: tickets.map(ticket => ticket.id),
       // Copy metadata for price normalization
-      distance: (firstLeg.distance || 0) + (secondLeg.distance || 0),
-      transferCount: (firstLeg.transferCount || 0) + (secondLeg.transferCount || 0) + 1,
+      distance: tickets.reduce((sum, ticket) => sum + (ticket.distance || 0), 0),
+      transferCount: tickets.reduce((sum, ticket) => sum + (ticket.transferCount || 0), 0) + connections.length,
       // Store for affiliate link generation
-      components: [
-        { route: firstLeg, type: 'firstLeg' },
-        { route: secondLeg, type: 'secondLeg' }
-      ]
+      components: tickets.map((ticket, index) => ({ route: ticket, type: `leg${index + 1}` }))
     };
   }
 
-  /**
-   * Generate multi-hub routes (more than 1 connection)
-   */
-  async generateMultiHubRoutes(routes, from, to, date, searchParams) {
-    const multiHubRoutes = [];
-    
-    try {
-      // Get all unique airports from routes
-      const allAirports = new Set();
-      for (const route of routes) {
-        if (route.segments) {
-          route.segments.forEach(segment => {
-            allAirports.add(segment.from);
-            allAirports.add(segment.to);
-          });
-        }
-      }
-      
-      // Convert to array and filter
-      const airports = Array.from(allAirports)
-        .filter(airport => airport !== from && airport !== to);
-      
-      // Find potential 2-hub routes
-      for (let i = 0; i < Math.min(airports.length, 5); i++) {
-        for (let j = 0; j < Math.min(airports.length, 5); j++) {
-          if (i === j) continue;
-          
-          const hub1 = airports[i];
-          const hub2 = airports[j];
-          
-          // Find routes: from -> hub1, hub1 -> hub2, hub2 -> to
-          const leg1Routes = routes.filter(route => 
-            route.segments && 
-            route.segments[0].from === from && 
-            route.segments[route.segments.length - 1].to === hub1
-          );
-          
-          const leg2Routes = routes.filter(route => 
-            route.segments && 
-            route.segments[0].from === hub1 && 
-            route.segments[route.segments.length - 1].to === hub2
-          );
-          
-          const leg3Routes = routes.filter(route => 
-            route.segments && 
-            route.segments[0].from === hub2 && 
-            route.segments[route.segments.length - 1].to === to
-          );
-          
-          if (leg1Routes.length > 0 && leg2Routes.length > 0 && leg3Routes.length > 0) {
-            // Try a few combinations
-            const maxCombos = Math.min(3, leg1Routes.length, leg2Routes.length, leg3Routes.length);
-            
-            for (let a = 0; a < maxCombos; a++) {
-              for (let b = 0; b < maxCombos; b++) {
-                for (let c = 0; c < maxCombos; c++) {
-                  const route1 = leg1Routes[a];
-                  const route2 = leg2Routes[b];
-                  const route3 = leg3Routes[c];
-                  
-                  // Stitch route1 and route2
-                  const partial = this.stitchTwoRoutes(route1, route2);
-                  if (!partial) continue;
-                  
-                  // Create a route object from partial for stitching with route3
-                  const partialRoute = {
-                    id: partial.id,
-                    airlines: partial.airlines,
-                    segments: partial.segments,
-                    totalPrice: partial.totalPrice,
-                    currency: partial.currency,
-                    totalDuration: partial.totalDuration
-                  };
-                  
-                  // Stitch partial with route3
-                  const finalRoute = this.stitchTwoRoutes(partialRoute, route3);
-                  if (finalRoute) {
-                    finalRoute.multiHub = true;
-                    finalRoute.hubs = [hub1, hub2];
-                    multiHubRoutes.push(finalRoute);
-                    
-                    if (multiHubRoutes.length >= 10) {
-                      return multiHubRoutes;
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-      
-    } catch (error) {
-      logger.error('Error generating multi-hub routes:', error);
-    }
-    
-    return multiHubRoutes;
-  }
-
   /**
    * Remove duplicate routes
    */
-  deduplicateRoutes(routes) {
-    const seen = new Set();
+  deduplicateRoutes(routes, ledger = null) {
+    const seen = new Map();
     const uniqueRoutes = [];
     
     for (const route of routes) {
@@ -579,8 +880,10 @@ class RouteStitcher {
       signature += `_${route.totalPrice || 0}_${route.totalDuration || 0}`;
       
       if (!seen.has(signature)) {
-        seen.add(signature);
+        seen.set(signature, route);
         uniqueRoutes.push(route);
+      } else if (ledger) {
+        ledger.record(route, RejectionLedger.STAGES.DUPLICATE, `Same flights and price as ${seen.get(signature).id} (${seen.get(signature).source || 'unknown source'})`);
       }
     }
     
@@ -588,32 +891,30 @@ class RouteStitcher {
   }
 
   /**
-   * Add affiliate links to routes
+   * Add affiliate links to routes. Links quote the currency the route was
+   * priced in (the provider's, or ZAR for self-transfer routes), not the
+   * user's display currency: finalized routes are cached and shared by
+   * every display currency, and the booking sites let the user switch.
    */
-  async addAffiliateLinks(routes) {
+  async addAffiliateLinks(routes, userPreferences = {}) {
     const routesWithLinks = [];
     
     for (const route of routes) {
       try {
         let affiliateLink = null;
         
-        if (route.virtualInterline) {
-          // For virtual interlining, use Kiwi if available
-          affiliateLink = await this.generateVirtualInterlineLink(route);
+        if (route.ground) {
+          // Bus and train rides are booked with the operator
+          affiliateLink = null;
+        } else if (route.virtualInterline || route.components) {
+          // For virtual interlining and separately ticketed bounds, use Kiwi if available
+          affiliateLink = await this.generateVirtualInterlineLink(route, userPreferences);
         } else {
-          // Use the appropriate booking engine
-          switch (route.bookingEngine) {
-            case 'kiwi':
-              affiliateLink = kiwiAPI.generateAffiliateLink(route);
-              break;
-            case 'travelpayouts':
-              affiliateLink = travelpayoutsAPI.generateAffiliateLink(route);
-              break;
-            case 'skyscanner':
-              affiliateLink = skyscannerAPI.generateAffiliateLink(route);
-              break;
-            default:
-              affiliateLink = travelpayoutsAPI.generateAffiliateLink(route);
+          // Use the route's booking engine, or the fallback provider
+          const provider = providerRegistry.get(route.bookingEngine) || providerRegistry.getFallback();
+          
+          if (provider) {
+            affiliateLink = provider.generateAffiliateLink(route);
           }
         }
         
@@ -624,11 +925,7 @@ class RouteStitcher {
         
         routesWithLinks.push({
           ...route,
-          affiliateLink,
-          displayPrice: Helpers.formatPrice(
-            route.finalPriceZAR || route.totalPriceZAR || route.totalPrice || 0,
-            'ZAR'
-          )
+          affiliateLink
         });
         
       } catch (error) {
@@ -636,11 +933,7 @@ class RouteStitcher {
         // Add route without affiliate link
         routesWithLinks.push({
           ...route,
-          affiliateLink: null,
-          displayPrice: Helpers.formatPrice(
-            route.finalPriceZAR || route.totalPriceZAR || route.totalPrice || 0,
-            'ZAR'
-          )
+          affiliateLink: null
         });
       }
     }
@@ -649,9 +942,9 @@ class RouteStitcher {
   }
 
   /**
-   * Generate link for virtual interline routes
+   * Generate link for virtual interline routes, for the search's passengers
    */
-  async generateVirtualInterlineLink(route) {
+  async generateVirtualInterlineLink(route, userPreferences = {}) {
     if (!route.components || route.components.length < 2) {
       return null;
     }
@@ -664,12 +957,12 @@ class RouteStitcher {
         if (component.route && component.route.segments) {
           const componentSegments = component.route.segments;
           
-          // Add each segment from the component
-          for (const segment of componentSegments) {
+          // Add each flight from the component; bus and train rides are booked separately
+          for (const segment of componentSegments.filter(item => !Helpers.isGroundSegment(item))) {
             segments.push({
               from: segment.from,
               to: segment.to,
-              date: segment.departure.toISOString().split('T')[0]
+              date: new Date(segment.departure).toISOString().split('T')[0]
             });
           }
         }
@@ -677,12 +970,7 @@ class RouteStitcher {
       
       if (segments.length >= 2) {
         // Use Kiwi multi-city search
-        const multiCityParams = {
-          segments,
-          passengers: 1, // Default, should come from search params
-          cabinClass: 'M',
-          currency: 'ZAR'
-        };
+        const { adults, children, infants } = Helpers.getPassengerMix(userPreferences);
         
         // Note: In production, you'd generate the link differently
         // This is a simplified example
@@ -690,7 +978,11 @@ class RouteStitcher {
         const queryParams = new URLSearchParams();
         
         queryParams.set('segments', JSON.stringify(segments));
-        queryParams.set('currency', 'ZAR');
+        queryParams.set('adults', adults);
+        queryParams.set('children', children);
+        queryParams.set('infants', infants);
+        queryParams.set('cabinClass', userPreferences.cabinClass || 'M');
+        queryParams.set('currency', priceNormalizer.defaultCurrency);
         
         if (config.apis.kiwi.affiliateId) {
           queryParams.set('affilid', config.apis.kiwi.affiliateId);
@@ -708,85 +1000,138 @@ class RouteStitcher {
   }
 
   /**
-   * Find alternative airports for a search
+   * Search airports near the origin and destination and price each
+   * alternative, including the ground transfer to and from it
    */
-  async findAlternativeAirports(from, to, date, passengers = 1) {
+  async findAlternativeAirports(searchParams) {
+    const { from, to } = searchParams;
+    
     try {
-      // Get nearby airports for origin
-      const fromAlternatives = await this.getNearbyAirports(from, 100); // 100km radius
-      
-      // Get nearby airports for destination
-      const toAlternatives = await this.getNearbyAirports(to, 100);
+      const radiusKm = config.limits.nearbyAirportRadiusKm;
+      const fromAlternatives = this.getNearbyAirports(from, radiusKm);
+      const toAlternatives = this.getNearbyAirports(to, radiusKm);
       
-      const alternativeSearches = [];
+      const candidates = [];
       
       // Generate search combinations
-      for (const altFrom of fromAlternatives.slice(0, 3)) {
-        for (const altTo of toAlternatives.slice(0, 3)) {
-          if (altFrom.code === from && altTo.code === to) {
-            continue; // Skip original combination
+      for (const altFrom of fromAlternatives) {
+        for (const altTo of toAlternatives) {
+          if (AirportUtils.isInLocation(altFrom.code, from) && AirportUtils.isInLocation(altTo.code, to)) {
+            continue; // Skip original combination and airports a city search already covers
           }
           
-          alternativeSearches.push({
-            from: altFrom.code,
-            to: altTo.code,
-            date,
-            passengers,
+          candidates.push({
+            from: altFrom,
+            to: altTo,
             reason: `Alternative: ${altFrom.name} → ${altTo.name}`,
             distanceFromOriginal: altFrom.distance + altTo.distance
           });
         }
       }
       
-      // Sort by total distance from original airports
-      alternativeSearches.sort((a, b) => a.distanceFromOriginal - b.distanceFromOriginal);
+      // Search the alternatives closest to the original airports, direct
+      // fares only: each would otherwise spend a full hub leg budget
+      const searches = candidates
+        .sort((a, b) => a.distanceFromOriginal - b.distanceFromOriginal)
+        .slice(0, config.limits.maxNearbySearches);
+      
+      const results = await Promise.allSettled(searches.map(candidate => this.findCheapestRoutes({
+        ...searchParams,
+        from: candidate.from.code,
+        to: candidate.to.code,
+        flexibleDays: 0,
+        directOnly: true
+      })));
       
-      return alternativeSearches.slice(0, 5); // Return top 5 alternatives
+      const alternatives = [];
+      
+      results.forEach((result, index) => {
+        if (result.status !== 'fulfilled') {
+          logger.error(`Alternative airport search failed (${searches[index].reason}):`, result.reason);
+          return;
+        }
+        
+        if (result.value.length === 0) {
+          return;
+        }
+        
+        alternatives.push(this.priceAlternative(searches[index], result.value, searchParams));
+      });
+      
+      return alternatives.sort((a, b) => a.totalPrice - b.totalPrice);
       
     } catch (error) {
       logger.error('Error finding alternative airports:', error);
       return [];
     }
   }
-
+  
   /**
-   * Get airports within radius
+   * Cheapest route for an alternative airport pair plus its ground transfers
    */
-  async getNearbyAirports(airportCode, radiusKm) {
-    // Simplified - in production, use proper airport database with coordinates
-    const nearbyAirports = {
-      'JNB': [{ code: 'JNB', name: 'O.R. Tambo', distance: 0 }],
-      'CPT': [{ code: 'CPT', name: 'Cape Town', distance: 0 }],
-      'LHR': [
-        { code: 'LHR', name: 'Heathrow', distance: 0 },
-        { code: 'LGW', name: 'Gatwick', distance: 45 },
-        { code: 'STN', name: 'Stansted', distance: 60 }
-      ],
-      'JFK': [
-        { code: 'JFK', name: 'JFK', distance: 0 },
-        { code: 'EWR', name: 'Newark', distance: 25 },
-        { code: 'LGA', name: 'LaGuardia', distance: 15 }
-      ]
-      // Add more airports as needed
+  priceAlternative(candidate, routes, searchParams) {
+    const route = routes.reduce((cheapest, current) =>
+      (this.routePrice(current) < this.routePrice(cheapest) ? current : cheapest)
+    );
+    
+    // Return trips need the ground transfer at each end twice
+    const trips = searchParams.returnDate ? 2 : 1;
+    const transfers = [candidate.from, candidate.to]
+      .filter(airport => airport.distance > 0)
+      .map(airport => this.estimateGroundTransfer(airport.distance));
+    
+    const groundTransfer = {
+      cost: trips * transfers.reduce((sum, transfer) => sum + transfer.cost, 0),
+      minutes: transfers.reduce((sum, transfer) => sum + transfer.minutes, 0)
     };
     
-    return nearbyAirports[airportCode] || [{ code: airportCode, name: airportCode, distance: 0 }];
+    const flightPrice = this.routePrice(route);
+    
+    return {
+      from: candidate.from,
+      to: candidate.to,
+      reason: candidate.reason,
+      route,
+      routeCount: routes.length,
+      flightPrice,
+      groundTransfer,
+      totalPrice: flightPrice + groundTransfer.cost
+    };
+  }
+  
+  routePrice(route) {
+    return route.finalPriceZAR || route.totalPriceZAR || route.totalPrice || 0;
+  }
+  
+  /**
+   * Rough road transfer time and cost (ZAR) over a straight-line distance
+   */
+  estimateGroundTransfer(distanceKm) {
+    return AirportUtils.estimateGroundTransfer(distanceKm);
+  }
+
+  /**
+   * Get airports within radius
+   */
+  getNearbyAirports(airportCode, radiusKm) {
+    return AirportUtils.getAirportsWithinRadius(airportCode, radiusKm);
   }
 
   /**
    * Validate if a stitched route is bookable
    */
   async validateBookability(route) {
-    if (!route.virtualInterline) {
+    if (!route.virtualInterline && !route.components) {
       return { bookable: true, reason: 'Direct route' };
     }
     
     try {
-      // Check each component
+      // Check each component with its provider
       for (const component of route.components || []) {
-        if (component.route && component.route.bookingEngine === 'kiwi') {
-          // Validate Kiwi route
-          const validation = await kiwiAPI.validateRoute(component.route);
+        const provider = component.route && providerRegistry.get(component.route.bookingEngine);
+        
+        if (provider) {
+          const validation = await provider.validateRoute(component.route);
           if (!validation.valid) {
             return {
               bookable: false,
@@ -806,38 +1151,28 @@ class RouteStitcher {
   }
 
   /**
-   * Estimate baggage transfer for virtual interline
+   * Estimate baggage transfer and missed-connection risk for virtual interline
    */
   estimateBaggageTransfer(route) {
-    if (!route.virtualInterline) {
-      return { selfTransfer: false, instructions: 'Checked through to destination' };
-    }
-    
-    const connectionAirport = route.connectionAirport;
-    const connectionTime = route.connectionTime || 0;
-    
-    if (connectionTime < 4) {
-      return {
-        selfTransfer: true,
-        instructions: `Collect baggage at ${connectionAirport} and re-check for next flight`,
-        minimumTime: '4 hours recommended',
-        risk: 'High - tight connection'
-      };
-    } else if (connectionTime < 8) {
-      return {
-        selfTransfer: true,
-        instructions: `Collect baggage at ${connectionAirport} and re-check for next flight`,
-        minimumTime: 'Adequate',
-        risk: 'Medium'
-      };
-    } else {
-      return {
-        selfTransfer: true,
-        instructions: `Collect baggage at ${connectionAirport} and re-check for next flight`,
-        minimumTime: 'Comfortable',
-        risk: 'Low'
-      };
+    const risk = route.transferRisk || transferRisk.assessRoute(route);
+    const selfTransfers = risk.connections.filter(connection => connection.selfTransfer);
+
+    if (selfTransfers.length === 0) {
+      return { selfTransfer: false, instructions: 'Checked through to destination', missedConnectionProbability: risk.probability };
     }
+
+    const airports = selfTransfers.map(connection => connection.airport).join(', ');
+    const tightest = selfTransfers.reduce((worst, connection) =>
+      (connection.probability > worst.probability ? connection : worst)
+    );
+
+    return {
+      selfTransfer: true,
+      instructions: `Collect baggage at ${airports} and re-check for next flight`,
+      minimumTime: `${Helpers.formatDuration(tightest.minimumMinutes)} recommended at ${tightest.airport}`,
+      risk: `${risk.level.charAt(0).toUpperCase()}${risk.level.slice(1)} - ${Math.round(risk.probability * 100)}% chance of a missed connection`,
+      missedConnectionProbability: risk.probability
+    };
   }
 
   /**
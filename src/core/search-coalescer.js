@@ -0,0 +1,149 @@
+'use strict';
+
+const crypto = require('crypto');
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const redisClient = require('../database/redis-client');
+
+/**
+ * Single-flight search coalescing.
+ *
+ * Identical searches running at the same time share one provider fan-out:
+ * callers in this process await the same promise, and other instances
+ * wait on a Redis lock (SET NX) and pick up the result the lock holder
+ * publishes under the lock's token.
+ */
+
+// How often instances waiting on another instance's search check for its result
+const POLL_INTERVAL_MS = 250;
+
+class SearchCoalescer {
+  constructor() {
+    this.inFlight = new Map();
+    this.lockTtl = config.cache.searchLockTtl;
+  }
+
+  /**
+   * Run search() once for all concurrent callers with the same key.
+   * Resolves to { results, shared } where shared is true for callers
+   * that got another caller's result.
+   */
+  run(key, search) {
+    if (this.inFlight.has(key)) {
+      logger.debug(`Joining in-flight search ${key}`);
+      return this.inFlight.get(key).then(outcome => ({ results: outcome.results, shared: true }));
+    }
+
+    const pending = this.coordinate(key, search);
+    this.inFlight.set(key, pending);
+
+    const cleanup = () => this.inFlight.delete(key);
+    pending.then(cleanup, cleanup);
+
+    return pending;
+  }
+
+  /**
+   * Take the cross-instance lock and search, or wait for the instance holding it
+   */
+  async coordinate(key, search) {
+    if (!config.cache.enabled) {
+      return { results: await search(), shared: false };
+    }
+
+    const deadline = Date.now() + this.lockTtl * 1000;
+
+    while (Date.now() < deadline) {
+      const token = crypto.randomUUID();
+      let acquired;
+
+      try {
+        acquired = await redisClient.setnx(this.getLockKey(key), token, this.lockTtl);
+      } catch (error) {
+        logger.error('Search lock unavailable, searching without coalescing:', error);
+        return { results: await search(), shared: false };
+      }
+
+      if (acquired) {
+        return { results: await this.searchAndPublish(key, token, search), shared: false };
+      }
+
+      let results;
+      try {
+        results = await this.waitForResult(key, deadline);
+      } catch (error) {
+        logger.error('Search lock unavailable while waiting, searching without coalescing:', error);
+        return { results: await search(), shared: false };
+      }
+
+      if (results) {
+        return { results, shared: true };
+      }
+      // The lock holder gave up without a result: try to take over
+    }
+
+    logger.warn(`Timed out waiting for search ${key}, searching directly`);
+    return { results: await search(), shared: false };
+  }
+
+  /**
+   * Search while holding the lock and publish the result for waiting instances
+   */
+  async searchAndPublish(key, token, search) {
+    try {
+      const results = await search();
+
+      try {
+        await redisClient.set(this.getResultKey(key), { token, results }, this.lockTtl);
+      } catch (error) {
+        logger.error('Failed to publish coalesced search result:', error);
+      }
+
+      return results;
+    } finally {
+      // The lock may have expired and been taken by another instance
+      try {
+        await redisClient.delIfEquals(this.getLockKey(key), token);
+      } catch (error) {
+        logger.error('Failed to release search lock:', error);
+      }
+    }
+  }
+
+  /**
+   * Poll for the result of the search holding the lock. Resolves to the
+   * results, or null once the lock is released without one.
+   */
+  async waitForResult(key, deadline) {
+    const token = await redisClient.get(this.getLockKey(key));
+
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+
+      const published = await redisClient.get(this.getResultKey(key));
+      if (published && token && published.token === token) {
+        logger.debug(`Using result of coalesced search ${key}`);
+        return published.results;
+      }
+
+      if (!(await redisClient.get(this.getLockKey(key)))) {
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  getLockKey(key) {
+    return `lock:${key}`;
+  }
+
+  getResultKey(key) {
+    return `coalesced:${key}`;
+  }
+}
+
+// Create singleton instance
+const searchCoalescer = new SearchCoalescer();
+
+module.exports = searchCoalescer;
@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * Overall time budget for one search.
+ *
+ * Aborts its signal when the time is up, so provider HTTP calls are
+ * cancelled and stitching stops early. Work raced against the deadline
+ * rejects with a SEARCH_DEADLINE error, and providers that hadn't answered
+ * (or stitching that was cut short) are recorded so the results can be
+ * flagged as partial.
+ */
+
+class SearchDeadline {
+  constructor(timeoutMs) {
+    this.controller = new AbortController();
+    this.signal = this.controller.signal;
+    this.missingProviders = new Set();
+    this.incompleteStitching = false;
+    this.expiresAt = timeoutMs > 0 ? Date.now() + timeoutMs : null;
+    this.timer = null;
+
+    if (this.expiresAt) {
+      this.timer = setTimeout(() => this.controller.abort(), timeoutMs);
+    }
+  }
+
+  /**
+   * Whether the time is up. Checks the clock too, so synchronous work
+   * (which the timer can't interrupt) sees the deadline on time.
+   */
+  get expired() {
+    if (!this.signal.aborted && this.expiresAt && Date.now() >= this.expiresAt) {
+      this.controller.abort();
+    }
+
+    return this.signal.aborted;
+  }
+
+  /**
+   * Settle with the promise, or reject when the deadline passes first
+   */
+  race(promise) {
+    if (this.expired) {
+      return Promise.reject(this.createError());
+    }
+
+    let onAbort;
+    const deadline = new Promise((resolve, reject) => {
+      onAbort = () => reject(this.createError());
+      this.signal.addEventListener('abort', onAbort, { once: true });
+    });
+
+    return Promise.race([promise, deadline]).finally(() => {
+      this.signal.removeEventListener('abort', onAbort);
+    });
+  }
+
+  /**
+   * Record a provider that didn't answer in time
+   */
+  markMissing(providerName) {
+    this.missingProviders.add(providerName);
+  }
+
+  /**
+   * Record that stitching stopped before every combination was checked
+   */
+  markIncompleteStitching() {
+    this.incompleteStitching = true;
+  }
+
+  get partial() {
+    return this.missingProviders.size > 0 || this.incompleteStitching;
+  }
+
+  /**
+   * Stop the timer once the search is finished
+   */
+  clear() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  createError() {
+    const error = new Error('Search deadline reached');
+    error.code = 'SEARCH_DEADLINE';
+    error.retryable = false;
+    return error;
+  }
+}
+
+module.exports = SearchDeadline;
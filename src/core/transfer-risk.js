@@ -0,0 +1,220 @@
+'use strict';
+
+const config = require('../../config/config');
+const validator = require('./validator');
+const RejectionLedger = require('./rejection-ledger');
+const Helpers = require('../utils/helpers');
+const { AirportUtils } = require('../utils/airport-codes');
+
+/**
+ * Self-transfer risk model - estimates the probability of missing each
+ * connection of a route, and the route as a whole, from the connection
+ * time and airport, carrier and time-of-day factors
+ */
+
+// Minimum connection times (minutes) for protected connections at known airports
+const AIRPORT_MCT = {
+  JNB: 75, CPT: 60, DUR: 45,
+  LOS: 120, ABV: 60,
+  NBO: 60, ADD: 60, KGL: 45, DAR: 60,
+  CAI: 90, CMN: 75, ACC: 75,
+  DXB: 90, DOH: 60, IST: 90,
+  LHR: 90, CDG: 90, AMS: 50, FRA: 45, JFK: 120
+};
+
+// Extra minutes a self-transfer needs to reclaim bags, check in again and clear security
+const SELF_TRANSFER_MINUTES = 90;
+
+// Extra minutes for immigration and customs on an international self-transfer
+const INTERNATIONAL_MINUTES = 45;
+
+// Low-cost carriers run tight rotations and don't protect onward flights
+const LOW_COST_CARRIERS = ['FA', 'JM', 'FN', 'G9', 'FZ', 'PC', 'FR', 'U2', 'W6'];
+
+// Missed-connection probability with no slack over the required time;
+// it halves with every HALF_LIFE_MINUTES of slack
+const BASE_PROBABILITY = 0.3;
+const HALF_LIFE_MINUTES = 45;
+
+const FACTOR_MULTIPLIERS = {
+  airportChange: 1.5,
+  international: 1.15,
+  lowCostCarrier: 1.3,
+  overnight: 1.2
+};
+
+const MIN_PROBABILITY = 0.005;
+const MAX_PROBABILITY = 0.95;
+
+class TransferRiskModel {
+  constructor() {
+    this.maxProbability = config.ranking.maxMissedConnectionRisk;
+  }
+
+  /**
+   * Risk of every connection on a route and the chance of missing at least one
+   */
+  assessRoute(route) {
+    const connections = this.getConnections(route).map(connection => ({
+      airport: connection.airport,
+      hours: connection.hours,
+      selfTransfer: connection.selfTransfer,
+      ...this.assessConnection(connection.arriving, connection.departing, connection.selfTransfer)
+    }));
+
+    const probability = 1 - connections.reduce((safe, connection) => safe * (1 - connection.probability), 1);
+
+    return {
+      probability,
+      level: this.getRiskLevel(probability),
+      connections
+    };
+  }
+
+  /**
+   * Add transfer risk to each route and drop routes above the configured
+   * limit, recording dropped routes in the rejection ledger if given
+   */
+  filterRoutes(routes, ledger = null) {
+    return routes
+      .map(route => ({ ...route, transferRisk: this.assessRoute(route) }))
+      .filter(route => {
+        if (route.transferRisk.probability <= this.maxProbability) {
+          return true;
+        }
+
+        if (ledger) {
+          const percent = value => `${Math.round(value * 100)}%`;
+          ledger.record(route, RejectionLedger.STAGES.TRANSFER_RISK,
+            `Missed-connection risk ${percent(route.transferRisk.probability)} is over the ${percent(this.maxProbability)} limit`);
+        }
+        return false;
+      });
+  }
+
+  /**
+   * Connections inside each bound, marking those between separate tickets
+   */
+  getConnections(route) {
+    const segments = route.segments || [];
+
+    // Segment indexes where a new ticket starts
+    const ticketStarts = new Set();
+    if (Array.isArray(route.components)) {
+      let index = 0;
+      for (const component of route.components) {
+        ticketStarts.add(index);
+        index += (component.route && component.route.segments ? component.route.segments.length : 0);
+      }
+    }
+
+    // Segment indexes where a new bound starts are not connections
+    const boundStarts = new Set();
+    if (Array.isArray(route.bounds)) {
+      let index = 0;
+      for (const bound of route.bounds) {
+        boundStarts.add(index);
+        index += bound.segments.length;
+      }
+    }
+
+    const connections = [];
+
+    for (let i = 1; i < segments.length; i++) {
+      if (boundStarts.has(i)) continue;
+
+      // Provider virtual interlining without components: treat every connection as unprotected
+      const selfTransfer = route.components
+        ? ticketStarts.has(i)
+        : Boolean(route.virtualInterline);
+
+      connections.push({
+        airport: segments[i].from,
+        hours: (new Date(segments[i].departure) - new Date(segments[i - 1].arrival)) / (1000 * 60 * 60),
+        selfTransfer,
+        arriving: segments[i - 1],
+        departing: segments[i]
+      });
+    }
+
+    return connections;
+  }
+
+  /**
+   * Probability of missing the departing flight after the arriving one
+   */
+  assessConnection(arriving, departing, selfTransfer) {
+    const connectionMinutes = (new Date(departing.departure) - new Date(arriving.arrival)) / (1000 * 60);
+    const change = validator.checkAirportChange(arriving, departing);
+    const airportChange = change.requiresChange;
+    const international = validator.isInternationalConnection(arriving, departing);
+    const lowCostCarrier = LOW_COST_CARRIERS.includes(arriving.airline);
+    const overnight = this.isOvernightArrival(arriving);
+
+    let minimumMinutes = this.getMinimumConnectionMinutes(arriving.to);
+    if (Helpers.isGroundSegment(arriving) || Helpers.isGroundSegment(departing)) {
+      // Bus and train legs follow their own station transfer rules
+      minimumMinutes = validator.getGroundConnectionMinutes(arriving, departing);
+    } else {
+      if (selfTransfer) {
+        minimumMinutes += SELF_TRANSFER_MINUTES + (international ? INTERNATIONAL_MINUTES : 0);
+      }
+      if (airportChange) {
+        minimumMinutes += change.transferMinutes;
+      }
+    }
+
+    const slack = connectionMinutes - minimumMinutes;
+    const factors = { airportChange, international, lowCostCarrier, overnight };
+
+    let probability = BASE_PROBABILITY * Math.pow(2, -slack / HALF_LIFE_MINUTES);
+    for (const [factor, present] of Object.entries(factors)) {
+      if (present) probability *= FACTOR_MULTIPLIERS[factor];
+    }
+
+    return {
+      minimumMinutes,
+      probability: Math.min(MAX_PROBABILITY, Math.max(MIN_PROBABILITY, probability)),
+      factors: Object.keys(factors).filter(factor => factors[factor])
+    };
+  }
+
+  /**
+   * Airport minimum connection time, falling back to the validator's defaults
+   */
+  getMinimumConnectionMinutes(airport) {
+    if (AIRPORT_MCT[airport]) {
+      return AIRPORT_MCT[airport];
+    }
+
+    return validator.isLargeHub(airport)
+      ? validator.minConnectionTimes.large_hub
+      : validator.minConnectionTimes.default;
+  }
+
+  /**
+   * Arrivals between 22:00 and 06:00 local time, when check-in desks,
+   * transit and ground transport are often closed
+   */
+  isOvernightArrival(segment) {
+    const timeZone = AirportUtils.getAirportTimezone(segment.to);
+    const hour = Number(new Intl.DateTimeFormat('en-GB', {
+      hour: 'numeric',
+      hourCycle: 'h23',
+      timeZone
+    }).format(new Date(segment.arrival)));
+
+    return hour >= 22 || hour < 6;
+  }
+
+  getRiskLevel(probability) {
+    if (probability < 0.05) return 'low';
+    if (probability < 0.15) return 'medium';
+    return 'high';
+  }
+}
+
+// Create singleton instance
+const transferRiskModel = new TransferRiskModel();
+
+module.exports = transferRiskModel;
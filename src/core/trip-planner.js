@@ -0,0 +1,283 @@
+'use strict';
+
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const Helpers = require('../utils/helpers');
+const flexibleDateSearch = require('./flexible-date-search');
+const multiCitySearch = require('./multi-city-search');
+const priceNormalizer = require('./price-normalizer');
+const { AirportUtils } = require('../utils/airport-codes');
+
+/**
+ * Trip planner - finds the cheapest order and dates to visit a set of
+ * cities from a home airport
+ */
+
+class TripPlanner {
+  constructor() {
+    this.maxCities = config.limits.maxPlannerCities;
+    this.maxTourDetour = config.limits.maxTourDetour;
+    this.candidateOrders = config.limits.plannerCandidateOrders;
+    this.confirmations = config.limits.plannerConfirmations;
+  }
+
+  /**
+   * Plan a tour.
+   * cities: [{ code, minStay, maxStay }] - stays in nights
+   */
+  async planTrip(params) {
+    const { home, startDate, cities, currency = 'ZAR' } = params;
+    const mix = Helpers.getPassengerMix(params);
+
+    const check = this.validatePlan(params);
+    if (!check.valid) {
+      throw new Error(check.reason);
+    }
+
+    // 1. Prune visiting orders by flown distance
+    const orders = this.rankOrders(home, cities).slice(0, this.candidateOrders);
+
+    // 2. Estimate each order's cheapest dates from month prices, in ZAR
+    //    like the confirmed prices they are compared with
+    const dates = this.getTripDates(startDate, cities);
+    const dailyPrices = await this.getPairPrices(home, orders, dates, priceNormalizer.defaultCurrency);
+
+    const estimates = orders
+      .map(order => this.estimateOrder(home, startDate, order, dailyPrices))
+      .filter(Boolean)
+      .sort((a, b) => a.estimatedPrice - b.estimatedPrice);
+
+    // Without month prices, fall back to the shortest orders at minimum stays
+    const candidates = estimates.length > 0
+      ? estimates.slice(0, this.confirmations)
+      : orders.slice(0, this.confirmations).map(order => this.minimumStayPlan(home, startDate, order));
+
+    // 3. Confirm the best candidates with full multi-city searches
+    const plans = await Promise.all(candidates.map(candidate => this.confirmPlan(candidate, mix, currency)));
+
+    logger.debug(`Trip plan from ${home}: ${orders.length} orders, ${estimates.length} priced, ${plans.filter(plan => plan.route).length} confirmed`);
+
+    // Confirmed plans first, then by price; estimates are shown in the requested currency
+    const sorted = plans.sort((a, b) =>
+      (Number(!a.route) - Number(!b.route)) || (this.planPrice(a) - this.planPrice(b))
+    );
+    return Object.assign(sorted, { display: await priceNormalizer.getDisplay(currency) });
+  }
+
+  /**
+   * Check the planner input
+   */
+  validatePlan({ home, startDate, cities }) {
+    if (!/^[A-Z]{3}$/.test(home || '')) {
+      return { valid: false, reason: 'Home airport must be an airport code' };
+    }
+
+    if (!startDate) {
+      return { valid: false, reason: 'Start date is required' };
+    }
+
+    if (!Array.isArray(cities) || cities.length === 0 || cities.length > this.maxCities) {
+      return { valid: false, reason: `Visit between 1 and ${this.maxCities} cities` };
+    }
+
+    for (const city of cities) {
+      if (!/^[A-Z]{3}$/.test(city.code || '') || city.code === home) {
+        return { valid: false, reason: `Invalid city: ${city.code}` };
+      }
+
+      if (!(city.minStay >= 1) || !(city.maxStay >= city.minStay)) {
+        return { valid: false, reason: `Invalid stay for ${city.code}` };
+      }
+    }
+
+    if (new Set(cities.map(city => city.code)).size !== cities.length) {
+      return { valid: false, reason: 'Each city can only be visited once' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * All visiting orders, shortest tours first. Orders much longer than the
+   * shortest are dropped; orders with unknown distances go last.
+   */
+  rankOrders(home, cities) {
+    const orders = this.permutations(cities).map(order => ({
+      order,
+      distance: this.tourDistance(home, order)
+    }));
+
+    const known = orders.filter(item => item.distance !== null);
+    const shortest = known.length > 0 ? Math.min(...known.map(item => item.distance)) : null;
+
+    return orders
+      .filter(item => item.distance === null || item.distance <= shortest * this.maxTourDetour)
+      .sort((a, b) => {
+        if (a.distance === null) return b.distance === null ? 0 : 1;
+        if (b.distance === null) return -1;
+        return a.distance - b.distance;
+      })
+      .map(item => item.order);
+  }
+
+  /**
+   * Distance of home -> cities -> home, or null if an airport is unknown
+   */
+  tourDistance(home, order) {
+    const stops = [home, ...order.map(city => city.code), home];
+    let total = 0;
+
+    for (let i = 0; i < stops.length - 1; i++) {
+      const distance = AirportUtils.getDistanceBetween(stops[i], stops[i + 1]);
+      if (distance === null) {
+        return null;
+      }
+      total += distance;
+    }
+
+    return total;
+  }
+
+  permutations(items) {
+    if (items.length <= 1) {
+      return [items];
+    }
+
+    return items.flatMap((item, index) =>
+      this.permutations([...items.slice(0, index), ...items.slice(index + 1)])
+        .map(rest => [item, ...rest])
+    );
+  }
+
+  /**
+   * Every date a leg could depart on
+   */
+  getTripDates(startDate, cities) {
+    const maxNights = cities.reduce((sum, city) => sum + city.maxStay, 0);
+    return Array.from({ length: maxNights + 1 }, (_, offset) => Helpers.addDays(startDate, offset));
+  }
+
+  /**
+   * Daily one-way prices for every airport pair the candidate orders fly
+   */
+  async getPairPrices(home, orders, dates, currency) {
+    const pairs = new Set();
+
+    for (const order of orders) {
+      const stops = [home, ...order.map(city => city.code), home];
+      for (let i = 0; i < stops.length - 1; i++) {
+        pairs.add(`${stops[i]}-${stops[i + 1]}`);
+      }
+    }
+
+    const pairList = [...pairs];
+    const prices = await Promise.all(pairList.map(pair => {
+      const [from, to] = pair.split('-');
+      return flexibleDateSearch.getMonthPrices(from, to, dates, currency);
+    }));
+
+    return new Map(pairList.map((pair, index) => [pair, prices[index]]));
+  }
+
+  /**
+   * Cheapest dates for one visiting order, by dynamic programming over the
+   * departure date of each leg. Returns null if no date combination is priced.
+   */
+  estimateOrder(home, startDate, order, dailyPrices) {
+    const stops = [home, ...order.map(city => city.code), home];
+
+    // date -> { cost, dates } for the cheapest way to depart leg i on that date
+    let states = new Map([[startDate, { cost: 0, dates: [] }]]);
+
+    for (let i = 0; i < stops.length - 1; i++) {
+      const prices = dailyPrices.get(`${stops[i]}-${stops[i + 1]}`) || new Map();
+      const next = new Map();
+
+      for (const [date, state] of states) {
+        if (!prices.has(date)) continue;
+
+        const cost = state.cost + prices.get(date);
+        const dates = [...state.dates, date];
+
+        // Last leg flies home; otherwise stay in the city before the next leg
+        const stays = i < order.length ? this.stayRange(order[i]) : [null];
+
+        for (const nights of stays) {
+          const key = nights === null ? date : Helpers.addDays(date, nights);
+          if (!next.has(key) || cost < next.get(key).cost) {
+            next.set(key, { cost, dates });
+          }
+        }
+      }
+
+      states = next;
+    }
+
+    const best = [...states.values()].reduce(
+      (cheapest, state) => (!cheapest || state.cost < cheapest.cost ? state : cheapest),
+      null
+    );
+
+    if (!best) {
+      return null;
+    }
+
+    return {
+      order: order.map(city => city.code),
+      legs: this.buildLegs(stops, best.dates),
+      estimatedPrice: best.cost
+    };
+  }
+
+  stayRange(city) {
+    return Array.from({ length: city.maxStay - city.minStay + 1 }, (_, offset) => city.minStay + offset);
+  }
+
+  /**
+   * Plan with the minimum stay in every city, used when nothing is priced
+   */
+  minimumStayPlan(home, startDate, order) {
+    const stops = [home, ...order.map(city => city.code), home];
+    const dates = [startDate];
+
+    order.forEach(city => dates.push(Helpers.addDays(dates[dates.length - 1], city.minStay)));
+
+    return {
+      order: order.map(city => city.code),
+      legs: this.buildLegs(stops, dates),
+      estimatedPrice: null
+    };
+  }
+
+  buildLegs(stops, dates) {
+    return dates.map((date, index) => ({ from: stops[index], to: stops[index + 1], date }));
+  }
+
+  /**
+   * Run the full multi-city search for a candidate plan and passenger mix
+   */
+  async confirmPlan(candidate, mix, currency) {
+    try {
+      const routes = await multiCitySearch.findRoutes({ legs: candidate.legs, ...mix, currency });
+      return { ...candidate, route: routes[0] || null };
+    } catch (error) {
+      logger.error('Trip plan confirmation failed:', error);
+      return { ...candidate, route: null };
+    }
+  }
+
+  /**
+   * Confirmed price where available, otherwise the estimate
+   */
+  planPrice(plan) {
+    if (plan.route) {
+      return plan.route.finalPriceZAR || plan.route.totalPriceZAR || plan.route.totalPrice || 0;
+    }
+    return plan.estimatedPrice === null ? Infinity : plan.estimatedPrice;
+  }
+}
+
+// Create singleton instance
+const tripPlanner = new TripPlanner();
+
+module.exports = tripPlanner;
@@ -2,6 +2,8 @@
 
 const logger = require('../utils/logger');
 const Helpers = require('../utils/helpers');
+const constants = require('../utils/constants');
+const { AirportUtils } = require('../utils/airport-codes');
 
 /**
  * Route validation engine
@@ -15,7 +17,11 @@ class RouteValidator {
       international: 90, // 1.5 hours for international
       large_hub: 120, // 2 hours for large hubs
       self_transfer: 180, // 3 hours for self-transfer
-      virtual_interline: 240 // 4 hours for virtual interline
+      virtual_interline: 240, // 4 hours for virtual interline
+      airport_change: 180, // 3 hours self-transfer, plus the transfer between airports
+      ground_after_flight: 45, // deplane and collect bags before a bus or train
+      ground_before_flight: 90, // check in and clear security after a bus or train
+      ground_to_ground: 10 // change between buses or trains
     };
     
     // Maximum connection times (in minutes)
@@ -48,15 +54,28 @@ class RouteValidator {
    * Validate a complete route
    */
   validateRoute(route, minConnectionTimeMs, maxConnectionTimeMs) {
+    return this.checkRoute(route, minConnectionTimeMs, maxConnectionTimeMs).valid;
+  }
+
+  /**
+   * Validate a complete route, returning { valid, reason } with the first
+   * failed check
+   */
+  checkRoute(route, minConnectionTimeMs, maxConnectionTimeMs) {
     if (!route || !route.segments || route.segments.length === 0) {
-      return false;
+      return { valid: false, reason: 'No segments' };
+    }
+    
+    // Return itineraries are validated bound by bound
+    if (Array.isArray(route.bounds) && route.bounds.length > 0) {
+      return this.validateBounds(route, minConnectionTimeMs, maxConnectionTimeMs);
     }
     
     try {
       // 1. Validate individual segments
-      for (const segment of route.segments) {
+      for (const [index, segment] of route.segments.entries()) {
         if (!this.validateSegment(segment)) {
-          return false;
+          return { valid: false, reason: `Segment ${index + 1} is invalid` };
         }
       }
       
@@ -75,7 +94,7 @@ class RouteValidator {
         
         if (!connectionValid.valid) {
           logger.debug(`Invalid connection: ${connectionValid.reason}`);
-          return false;
+          return { valid: false, reason: `Connection ${i + 1} (${currentSegment.to}): ${connectionValid.reason}` };
         }
       }
       
@@ -83,29 +102,66 @@ class RouteValidator {
       const visaCheck = this.validateVisaRequirements(route.segments);
       if (!visaCheck.valid) {
         logger.debug(`Visa requirement failed: ${visaCheck.reason}`);
-        return false;
+        return { valid: false, reason: visaCheck.reason };
       }
       
       // 4. Validate airport changes
       const airportChangeCheck = this.validateAirportChanges(route.segments);
       if (!airportChangeCheck.valid) {
         logger.debug(`Airport change failed: ${airportChangeCheck.reason}`);
-        return false;
+        return { valid: false, reason: airportChangeCheck.reason };
       }
       
       // 5. Validate total duration
       const durationCheck = this.validateTotalDuration(route);
       if (!durationCheck.valid) {
         logger.debug(`Duration check failed: ${durationCheck.reason}`);
-        return false;
+        return { valid: false, reason: durationCheck.reason };
       }
       
-      return true;
+      return { valid: true };
       
     } catch (error) {
       logger.error('Route validation error:', error);
-      return false;
+      return { valid: false, reason: `Validation error: ${error.message}` };
+    }
+  }
+
+  /**
+   * Validate each bound of a return itinerary as its own route, and check
+   * that each bound departs after the previous one arrives
+   */
+  validateBounds(route, minConnectionTimeMs, maxConnectionTimeMs) {
+    let previousArrival = null;
+    
+    for (const bound of route.bounds) {
+      if (!bound.segments || bound.segments.length === 0) {
+        return { valid: false, reason: `${bound.direction} bound has no segments` };
+      }
+      
+      const boundCheck = this.checkRoute(
+        {
+          segments: bound.segments,
+          virtualInterline: bound.virtualInterline || false,
+          distance: bound.distance
+        },
+        minConnectionTimeMs,
+        maxConnectionTimeMs
+      );
+      
+      if (!boundCheck.valid) {
+        return { valid: false, reason: `${bound.direction} bound: ${boundCheck.reason}` };
+      }
+      
+      if (previousArrival && new Date(bound.segments[0].departure) <= previousArrival) {
+        logger.debug(`Invalid return: ${bound.direction} bound departs before the previous bound arrives`);
+        return { valid: false, reason: `${bound.direction} bound departs before the previous bound arrives` };
+      }
+      
+      previousArrival = new Date(bound.segments[bound.segments.length - 1].arrival);
     }
+    
+    return { valid: true };
   }
 
   /**
@@ -163,8 +219,10 @@ class RouteValidator {
       return { valid: false, reason: 'Missing segments' };
     }
     
-    // Check airports match
-    if (segmentA.to !== segmentB.from) {
+    // Check airports match, or are in the same metro area
+    const airportChange = this.checkAirportChange(segmentA, segmentB);
+    
+    if (segmentA.to !== segmentB.from && !airportChange.requiresChange) {
       return { 
         valid: false, 
         reason: `Airport mismatch: ${segmentA.to} != ${segmentB.from}` 
@@ -187,7 +245,10 @@ class RouteValidator {
     // Determine minimum required connection time
     let requiredMinTimeMs = minConnectionTimeMs;
     
-    if (isVirtualInterline) {
+    if (Helpers.isGroundSegment(segmentA) || Helpers.isGroundSegment(segmentB)) {
+      // Bus and train legs: no baggage re-check, but time to reach the station
+      requiredMinTimeMs = this.getGroundConnectionMinutes(segmentA, segmentB) * 60 * 1000;
+    } else if (isVirtualInterline) {
       // Virtual interline requires more time for baggage collection/re-check
       requiredMinTimeMs = this.minConnectionTimes.virtual_interline * 60 * 1000;
     } else {
@@ -204,6 +265,14 @@ class RouteValidator {
       }
     }
     
+    // Changing airports: a self-transfer plus the trip across town
+    if (airportChange.requiresChange) {
+      requiredMinTimeMs = Math.max(
+        requiredMinTimeMs,
+        (this.minConnectionTimes.airport_change + airportChange.transferMinutes) * 60 * 1000
+      );
+    }
+    
     // Check minimum connection time
     if (connectionTimeMs < requiredMinTimeMs) {
       return { 
@@ -222,22 +291,30 @@ class RouteValidator {
       };
     }
     
-    // Check for same terminal/airport change
-    const airportChange = this.checkAirportChange(segmentA, segmentB);
-    if (airportChange.requiresChange && connectionTimeMs < (180 * 60 * 1000)) {
-      return {
-        valid: false,
-        reason: `Insufficient time for airport change: ${airportChange.details}`
-      };
-    }
-    
     return { 
       valid: true, 
       connectionTime: connectionTimeMs / (1000 * 60), // minutes
-      connectionTimeFormatted: Helpers.formatDuration(connectionTimeMs / (1000 * 60))
+      connectionTimeFormatted: Helpers.formatDuration(connectionTimeMs / (1000 * 60)),
+      airportChange: airportChange.requiresChange ? airportChange : null
     };
   }
 
+  /**
+   * Minimum minutes between a flight and a bus/train leg, or two ground legs,
+   * including the time between the station and the terminal
+   */
+  getGroundConnectionMinutes(segmentA, segmentB) {
+    if (Helpers.isGroundSegment(segmentA) && Helpers.isGroundSegment(segmentB)) {
+      return this.minConnectionTimes.ground_to_ground;
+    }
+    
+    if (Helpers.isGroundSegment(segmentB)) {
+      return this.minConnectionTimes.ground_after_flight + (segmentB.fromTransferMinutes || 0);
+    }
+    
+    return this.minConnectionTimes.ground_before_flight + (segmentA.toTransferMinutes || 0);
+  }
+
   /**
    * Check if connection is international
    */
@@ -265,33 +342,23 @@ class RouteValidator {
    * Check if airport change is required
    */
   checkAirportChange(segmentA, segmentB) {
-    const airport = segmentA.to;
-    
-    // Known multi-airport cities
-    const multiAirportCities = {
-      'LON': ['LHR', 'LGW', 'STN', 'LTN'],
-      'NYC': ['JFK', 'EWR', 'LGA'],
-      'PAR': ['CDG', 'ORY'],
-      'TYO': ['HND', 'NRT'],
-      'CHI': ['ORD', 'MDW'],
-      'LAX': ['LAX', 'BUR', 'SNA', 'ONT', 'LGB']
-    };
+    const transfer = AirportUtils.getAirportTransfer(segmentA.to, segmentB.from);
     
-    // Check if both airports are in same multi-airport city
-    for (const [city, airports] of Object.entries(multiAirportCities)) {
-      if (airports.includes(segmentA.to) && airports.includes(segmentB.from)) {
-        if (segmentA.to !== segmentB.from) {
-          return {
-            requiresChange: true,
-            details: `Change airports in ${city}: ${segmentA.to} to ${segmentB.from}`,
-            distance: 'Varies',
-            estimatedTransferTime: '60-120 minutes'
-          };
-        }
-      }
+    if (!transfer) {
+      return { requiresChange: false };
     }
     
-    return { requiresChange: false };
+    return {
+      requiresChange: true,
+      details: `Change airports in ${transfer.metro}: ${segmentA.to} to ${segmentB.from}`,
+      from: segmentA.to,
+      to: segmentB.from,
+      metro: transfer.metro,
+      via: transfer.via,
+      transferMinutes: transfer.minutes,
+      transferCostZAR: transfer.costZAR,
+      estimatedTransferTime: Helpers.formatDuration(transfer.minutes)
+    };
   }
 
   /**
@@ -381,10 +448,12 @@ class RouteValidator {
       };
     }
     
-    // Minimum reasonable duration based on distance
-    const totalDistance = route.distance || this.estimateTotalDistance(route.segments);
+    // Minimum reasonable duration based on distance; bus and train legs
+    // run to their own timetable, so only flights are estimated
+    const flightSegments = route.segments.filter(segment => !Helpers.isGroundSegment(segment));
+    const totalDistance = route.distance || this.estimateTotalDistance(flightSegments);
     const estimatedFlightTime = totalDistance / 800; // hours at 800 km/h
-    const estimatedTotalTime = estimatedFlightTime + (route.segments.length * 1.5); // +1.5h per segment for ground time
+    const estimatedTotalTime = estimatedFlightTime + (flightSegments.length * 1.5); // +1.5h per segment for ground time
     
     if (totalDurationHours < estimatedTotalTime * 0.5) {
       // Duration seems too short for the distance
@@ -522,6 +591,43 @@ class RouteValidator {
     return { valid: true, reason: 'No baggage issues detected' };
   }
 
+  /**
+   * Check a passenger mix can be booked: at least one adult, at most 9
+   * seated passengers and one lap infant per adult
+   */
+  validatePassengerMix({ adults, children, infants }) {
+    const { MAX_PASSENGERS, MAX_CHILDREN, MAX_INFANTS } = constants.SEARCH;
+    
+    if (adults < 1) {
+      return { valid: false, reason: 'At least one adult must travel' };
+    }
+    
+    if (adults + children > MAX_PASSENGERS) {
+      return { valid: false, reason: `At most ${MAX_PASSENGERS} adults and children can book together` };
+    }
+    
+    if (children > MAX_CHILDREN) {
+      return { valid: false, reason: `At most ${MAX_CHILDREN} children can book together` };
+    }
+    
+    if (infants > adults || infants > MAX_INFANTS) {
+      return { valid: false, reason: 'Each infant travels on an adult\'s lap: at most one infant per adult' };
+    }
+    
+    return { valid: true, reason: 'Passenger mix OK' };
+  }
+
+  /**
+   * Warnings from the passenger type checks for every type travelling
+   */
+  getPassengerWarnings(route, mix) {
+    const counts = Helpers.getPassengersByType(mix);
+    
+    return Object.keys(counts)
+      .filter(type => counts[type] > 0)
+      .flatMap(type => (this.validateForPassengerType(route, type).warnings || []).map(warning => warning.message));
+  }
+
   /**
    * Validate route for specific passenger types
    */
@@ -175,6 +175,32 @@ class UserModel {
     return result.rows[0];
   }
 
+  /**
+   * Get the currency a user reads prices in, or null for unknown users
+   */
+  static async getCurrency(telegramId) {
+    const query = 'SELECT currency FROM users WHERE telegram_id = $1;';
+    const result = await db.query(query, [telegramId]);
+    return result.rows[0]?.currency || null;
+  }
+
+  /**
+   * Set the currency a user reads prices in
+   */
+  static async setCurrency(telegramId, currency) {
+    const query = `
+      INSERT INTO users (telegram_id, currency, created_at, updated_at)
+      VALUES ($1, $2, NOW(), NOW())
+      ON CONFLICT (telegram_id) DO UPDATE SET
+        currency = EXCLUDED.currency,
+        updated_at = NOW()
+      RETURNING currency;
+    `;
+    
+    const result = await db.query(query, [telegramId, currency]);
+    return result.rows[0].currency;
+  }
+
   /**
    * Get user by ID
    */
@@ -783,10 +809,14 @@ async function initializeTables() {
       first_name VARCHAR(255),
       last_name VARCHAR(255),
       language_code VARCHAR(10),
+      currency CHAR(3) DEFAULT 'ZAR',
       searches_count INTEGER DEFAULT 0,
       created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
       updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
     );
+    
+    -- Display currency, for databases created before it existed
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS currency CHAR(3) DEFAULT 'ZAR';
 
     -- Searches table
     CREATE TABLE IF NOT EXISTS searches (
@@ -8,6 +8,20 @@ const logger = require('../utils/logger');
  * Redis client for caching and rate limiting
  */
 
+// Sliding window check-and-add: ARGV = now, window (ms), max requests, member.
+// Returns [allowed (1/0), requests already in the window, oldest score].
+const RATE_LIMIT_SCRIPT = `
+  redis.call('ZREMRANGEBYSCORE', KEYS[1], 0, ARGV[1] - ARGV[2])
+  local count = redis.call('ZCARD', KEYS[1])
+  if count >= tonumber(ARGV[3]) then
+    local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+    return { 0, count, oldest[2] or ARGV[1] }
+  end
+  redis.call('ZADD', KEYS[1], ARGV[1], ARGV[4])
+  redis.call('PEXPIRE', KEYS[1], ARGV[2])
+  return { 1, count, ARGV[1] }
+`;
+
 class RedisClient {
   constructor() {
     this.client = null;
@@ -205,6 +219,25 @@ class RedisClient {
     }
   }
 
+  /**
+   * Delete key only if it still holds value (e.g. a lock's own token),
+   * atomically so another holder's lock is never deleted
+   */
+  async delIfEquals(key, value) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    try {
+      const script = 'if redis.call("GET", KEYS[1]) == ARGV[1] then return redis.call("DEL", KEYS[1]) else return 0 end';
+      const result = await this.client.eval(script, { keys: [key], arguments: [JSON.stringify(value)] });
+      return result === 1;
+    } catch (error) {
+      logger.error('Redis delIfEquals error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Increment key value
    */
@@ -528,6 +561,26 @@ class RedisClient {
     }
   }
 
+  /**
+   * Run several commands in one round-trip, e.g. [['HINCRBY', key, field, 1], ['EXPIRE', key, 60]]
+   */
+  async multi(commands) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    try {
+      const transaction = this.client.multi();
+      for (const command of commands) {
+        transaction.addCommand(command.map(String));
+      }
+      return await transaction.exec();
+    } catch (error) {
+      logger.error('Redis multi error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get all keys matching pattern
    */
@@ -596,7 +649,9 @@ class RedisClient {
   }
 
   /**
-   * Rate limiting using Redis
+   * Rate limiting using Redis. The window is trimmed, counted and the
+   * request added in one script, so concurrent callers can't all read the
+   * same count and pass.
    */
   async rateLimit(key, windowMs, maxRequests) {
     if (!this.initialized) {
@@ -605,19 +660,16 @@ class RedisClient {
 
     try {
       const now = Date.now();
-      const windowStart = now - windowMs;
-      
-      // Remove old requests
-      await this.client.zRemRangeByScore(key, 0, windowStart);
-      
-      // Count current requests
-      const currentRequests = await this.client.zCard(key);
+      // Unique member so requests in the same millisecond are all counted
+      const member = `${now}:${Math.random().toString(36).slice(2)}`;
+      const [allowed, currentRequests, oldestScore] = await this.client.eval(RATE_LIMIT_SCRIPT, {
+        keys: [key],
+        arguments: [String(now), String(windowMs), String(maxRequests), member]
+      });
       
-      if (currentRequests >= maxRequests) {
-        // Get oldest request to calculate wait time
-        const oldest = await this.client.zRange(key, 0, 0, { WITHSCORES: true });
-        const oldestTime = parseInt(oldest[1], 10);
-        const waitTime = windowStart + windowMs - now;
+      if (!allowed) {
+        // A slot frees up when the oldest request leaves the window
+        const waitTime = Math.max(0, Number(oldestScore) + windowMs - now);
         
         return {
           allowed: false,
@@ -627,10 +679,6 @@ class RedisClient {
         };
       }
       
-      // Add current request
-      await this.client.zAdd(key, { score: now, value: now.toString() });
-      await this.client.expire(key, Math.ceil(windowMs / 1000));
-      
       return {
         allowed: true,
         remaining: maxRequests - currentRequests - 1,
@@ -652,7 +700,7 @@ class RedisClient {
   /**
    * Cache search results with intelligent TTL
    */
-  async cacheSearchResults(key, results, searchParams) {
+  async cacheSearchResults(key, results, searchParams, maxTtlSeconds = null) {
     if (!this.initialized) {
       await this.initialize();
     }
@@ -662,7 +710,7 @@ class RedisClient {
       let ttl = config.cache.routeTtl;
       
       if (searchParams) {
-        const { travelDate } = searchParams;
+        const travelDate = searchParams.travelDate || searchParams.date;
         const daysUntilTravel = Math.ceil((new Date(travelDate) - new Date()) / (1000 * 60 * 60 * 24));
         
         if (daysUntilTravel <= 1) {
@@ -674,6 +722,10 @@ class RedisClient {
         }
       }
       
+      if (maxTtlSeconds) {
+        ttl = Math.min(ttl, maxTtlSeconds);
+      }
+      
       await this.set(key, {
         results,
         cachedAt: new Date().toISOString(),
@@ -1,5 +1,6 @@
 'use strict';
 
+const crypto = require('crypto');
 const TelegramBot = require('node-telegram-bot-api');
 const express = require('express');
 const config = require('../../config/config');
@@ -7,8 +8,23 @@ const logger = require('../utils/logger');
 const { initializeTables } = require('../database/models');
 const redisClient = require('../database/redis-client');
 const routeStitcher = require('../core/route-stitcher');
+const providerRegistry = require('../core/provider-registry');
+const hubLegCache = require('../core/hub-leg-cache');
+const groundTransport = require('../core/ground-transport');
+const feeRules = require('../core/fee-rules');
+const outboundLimiter = require('../api/outbound-limiter');
+const circuitBreakers = require('../api/circuit-breakers');
+const RejectionLedger = require('../core/rejection-ledger');
 const botCommands = require('./commands');
 const botFormatter = require('./formatter');
+const Keyboards = require('./keyboards');
+const SearchProgress = require('./search-progress');
+const ChatCache = require('./chat-cache');
+const routeRanker = require('../core/route-ranker');
+const priceNormalizer = require('../core/price-normalizer');
+const validator = require('../core/validator');
+const constants = require('../utils/constants');
+const multiCitySearch = require('../core/multi-city-search');
 const { UserModel } = require('../database/models');
 
 /**
@@ -22,6 +38,10 @@ class TravelBot {
     this.server = null;
     this.isShuttingDown = false;
     this.userSessions = new Map(); // In-memory session storage
+    // chatId -> { results, searchParams } for re-sorting
+    this.lastResults = new ChatCache({ ttlMs: config.limits.chatStateTtl, maxEntries: config.limits.maxChatStates });
+    // chatId -> passenger mix of the last search, for follow-up searches
+    this.passengerMixes = new ChatCache({ ttlMs: config.limits.chatStateTtl, maxEntries: config.limits.maxChatStates });
   }
 
   /**
@@ -70,6 +90,12 @@ class TravelBot {
       await redisClient.initialize();
       logger.info('✅ Redis initialized');
       
+      // Load fee rules, and bus and train timetables, before the first search needs them
+      await feeRules.ensureLoaded();
+      if (config.features.groundTransport) {
+        await groundTransport.ensureLoaded();
+      }
+      
       // Test API connections
       await this.testAPIConnections();
       
@@ -84,9 +110,10 @@ class TravelBot {
    */
   async testAPIConnections() {
     const apis = [
-      { name: 'Kiwi', test: () => require('../api/kiwi-api').testConnection() },
-      { name: 'Travelpayouts', test: () => require('../api/travelpayouts-api').testConnection() },
-      { name: 'Skyscanner', test: () => require('../api/skyscanner-api').testConnection() },
+      ...providerRegistry.getEnabled().map(provider => ({
+        name: provider.displayName,
+        test: () => provider.testConnection()
+      })),
       { name: 'Exchange Rate', test: () => require('../api/exchange-rate-api').testConnection() }
     ];
     
@@ -104,6 +131,23 @@ class TravelBot {
     }
   }
 
+  /**
+   * Let a request through only with the admin API token as its bearer
+   * token; without a configured token admin endpoints stay closed
+   */
+  requireAdmin(req, res, next) {
+    const token = config.security.adminApiToken;
+    const [scheme, given] = (req.get('authorization') || '').split(' ');
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    
+    if (!token || scheme !== 'Bearer' || !given || !crypto.timingSafeEqual(digest(given), digest(token))) {
+      res.status(401).json({ success: false, error: 'Unauthorized' });
+      return;
+    }
+    
+    next();
+  }
+
   /**
    * Setup Express server
    */
@@ -115,18 +159,72 @@ class TravelBot {
     this.app.use(express.urlencoded({ extended: true }));
     this.app.use(logger.httpLogger);
     
-    // Health check endpoint
+    // Health check endpoint, degraded while any provider's circuit breaker is open
     this.app.get('/health', (req, res) => {
+      const providers = circuitBreakers.getStatus();
+      const degraded = Object.values(providers).some(breaker => breaker.state !== 'closed');
+      
       res.json({
-        status: 'healthy',
+        status: degraded ? 'degraded' : 'healthy',
         service: 'telegram-travel-bot',
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         memory: process.memoryUsage(),
-        redis: redisClient.initialized ? 'connected' : 'disconnected'
+        redis: redisClient.initialized ? 'connected' : 'disconnected',
+        providers
       });
     });
     
+    // Hub leg cache hit/miss metrics
+    this.app.get('/api/metrics/hub-legs', async (req, res) => {
+      try {
+        const stats = await hubLegCache.getStats(req.query.day || null);
+        res.json({ success: true, ...stats });
+      } catch (error) {
+        logger.error('Hub leg metrics error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load metrics' });
+      }
+    });
+    
+    // Outbound API consumption per provider and API key (admins only, like /quota)
+    this.app.get('/api/metrics/providers', this.requireAdmin, async (req, res) => {
+      try {
+        const usage = await outboundLimiter.getUsage();
+        res.json({ success: true, day: outboundLimiter.getDay(), usage });
+      } catch (error) {
+        logger.error('Provider usage metrics error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load metrics' });
+      }
+    });
+    
+    // Why routes through the given airports were dropped from a search (admins only, like /why)
+    this.app.get('/api/searches/:searchId/rejections', this.requireAdmin, async (req, res) => {
+      try {
+        const ledger = await RejectionLedger.load(req.params.searchId);
+        
+        if (!ledger) {
+          res.status(404).json({ success: false, error: 'No rejection record for this search' });
+          return;
+        }
+        
+        const path = req.query.route ? RejectionLedger.normalizePath(req.query.route) : null;
+        const fx = await ledger.loadFxSnapshot();
+        
+        res.json({
+          success: true,
+          searchId: ledger.searchId,
+          params: ledger.params,
+          // The rates the search's prices were converted with
+          fxSnapshot: fx ? fx.toJSON() : null,
+          counts: ledger.counts,
+          rejections: path ? ledger.explain(path) : ledger.entries
+        });
+      } catch (error) {
+        logger.error('Rejection ledger error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load rejections' });
+      }
+    });
+    
     // Webhook endpoint for Telegram
     if (config.telegram.webhookUrl) {
       this.app.post(`/webhook/${config.telegram.token}`, (req, res) => {
@@ -138,20 +236,48 @@ class TravelBot {
     // API endpoints for future web interface
     this.app.post('/api/search', async (req, res) => {
       try {
-        const { from, to, date, returnDate, passengers, currency } = req.body;
+        const { from, to, date, returnDate, currency } = req.body;
+        
+        // adults/children/infants; a bare passengers count means adults
+        const mix = Helpers.getPassengerMix(req.body);
+        const passengerCheck = validator.validatePassengerMix(mix);
+        
+        if (!passengerCheck.valid) {
+          return res.status(400).json({
+            success: false,
+            error: passengerCheck.reason
+          });
+        }
+        
+        if (currency && !Helpers.isSupportedCurrency(currency)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Unsupported currency',
+            supportedCurrencies: Object.keys(constants.CURRENCIES)
+          });
+        }
         
         const results = await routeStitcher.findCheapestRoutes({
           from,
           to,
           date,
           returnDate,
-          passengers: passengers || 1,
-          currency: currency || 'ZAR'
+          ...mix,
+          passengers: Helpers.countPassengers(mix),
+          currency: currency || priceNormalizer.defaultCurrency
         });
         
         res.json({
           success: true,
-          results: results.slice(0, 10) // Limit to 10 for API
+          // Routes carry ZAR prices plus displayPrice/finalPriceDisplay in this currency
+          currency: results.display ? results.display.currency : priceNormalizer.defaultCurrency,
+          passengers: mix,
+          results: results.slice(0, 10), // Limit to 10 for API
+          searchId: results.searchId,
+          unavailableProviders: providerRegistry.getUnavailable().map(provider => provider.displayName),
+          // Set when the search deadline cut the search short
+          partial: Boolean(results.partial),
+          missingProviders: results.missingProviders || []
         });
         
       } catch (error) {
@@ -219,9 +345,11 @@ class TravelBot {
       const commands = [
         { command: 'start', description: 'Start the bot and see welcome message' },
         { command: 'search', description: 'Search for flights' },
+        { command: 'plan', description: 'Plan the cheapest multi-city tour' },
         { command: 'help', description: 'Get help and instructions' },
         { command: 'history', description: 'View your search history' },
         { command: 'popular', description: 'See popular routes' },
+        { command: 'currency', description: 'Choose the currency prices are shown in' },
         { command: 'settings', description: 'Change your settings' }
       ];
       
@@ -368,7 +496,94 @@ class TravelBot {
           
         case 'price_alert':
           const [alertFrom, alertTo, alertDate] = params;
-          await this.setPriceAlert(message.chat.id, alertFrom, alertTo, alertDate);
+          await this.setPriceAlert(message.chat.id, alertFrom, alertTo, alertDate, from.id);
+          break;
+          
+        case 'flex_search':
+          const [flexFrom, flexTo, flexDate, flexReturn] = params;
+          await this.startSearch(message.chat.id, {
+            from: flexFrom,
+            to: flexTo,
+            date: flexDate,
+            returnDate: flexReturn || null,
+            flexibleDays: config.limits.maxFlexibleDays,
+            ...this.getPassengerMix(message.chat.id)
+          }, from.id);
+          break;
+          
+        case 'flex_pick':
+          const [pickFrom, pickTo, pickDate, pickReturn] = params;
+          await this.startSearch(message.chat.id, {
+            from: pickFrom,
+            to: pickTo,
+            date: pickDate,
+            returnDate: pickReturn || null,
+            tripType: pickReturn ? 'return' : 'oneway',
+            ...this.getPassengerMix(message.chat.id)
+          }, from.id);
+          break;
+          
+        case 'nearby':
+          const [nearbyFrom, nearbyTo, nearbyDate, nearbyReturn] = params;
+          await this.showNearbyAirports(message.chat.id, {
+            from: nearbyFrom,
+            to: nearbyTo,
+            date: nearbyDate,
+            returnDate: nearbyReturn || null,
+            tripType: nearbyReturn ? 'return' : 'oneway',
+            ...this.getPassengerMix(message.chat.id)
+          }, from.id);
+          break;
+          
+        case 'multi_city':
+          await this.startMultiCity(message.chat.id);
+          break;
+          
+        case 'multi_city_add':
+          await this.askMultiCityLeg(message.chat.id);
+          break;
+          
+        case 'multi_city_search':
+          await this.runMultiCitySearch(message.chat.id, from.id);
+          break;
+          
+        case 'multi_city_cancel':
+          this.userSessions.delete(message.chat.id);
+          await this.bot.sendMessage(message.chat.id, 'Multi-city search cancelled.');
+          break;
+          
+        case 'sort':
+          const [sortMode] = params;
+          await this.resortResults(message.chat.id, sortMode);
+          break;
+          
+        case 'settings':
+          if (params[0] === 'currency') {
+            await this.showCurrencyChoice(message.chat.id, from.id);
+          }
+          break;
+          
+        case 'currency':
+          await this.setUserCurrency(message.chat.id, from.id, params[0]);
+          break;
+          
+        case 'passengers_menu':
+          await this.showPassengerSelector(message.chat.id);
+          break;
+          
+        case 'passengers':
+          await this.updatePassengerSelector(message.chat.id, message.message_id, params);
+          break;
+          
+        case 'passengers_search':
+          await this.searchWithPassengers(message.chat.id, params, from.id);
+          break;
+          
+        case 'route_details':
+          await this.showRouteDetails(message.chat.id, params.join(':'));
+          break;
+          
+        case 'noop':
           break;
           
         default:
@@ -402,6 +617,13 @@ class TravelBot {
       const chatId = msg.chat.id;
       const text = msg.text.trim();
       
+      // Multi-city wizard collects legs as plain messages
+      const session = this.userSessions.get(chatId);
+      if (session && session.mode === 'multi_city') {
+        await this.handleMultiCityLeg(chatId, text);
+        return;
+      }
+      
       // Parse natural language search
       const searchParams = this.parseNaturalLanguage(text);
       
@@ -429,10 +651,12 @@ class TravelBot {
   }
 
   /**
-   * Parse natural language into search parameters
+   * Parse natural language into search parameters; a passenger mix
+   * ("2 adults 1 child") can be named anywhere in the message
    */
-  parseNaturalLanguage(text) {
-    const lowerText = text.toLowerCase();
+  parseNaturalLanguage(message) {
+    const mix = Helpers.parsePassengerMix(message) || Helpers.getPassengerMix({});
+    const text = Helpers.removePassengerMix(message);
     
     // Common patterns
     const patterns = [
@@ -474,8 +698,8 @@ class TravelBot {
           from,
           to,
           date,
-          passengers: 1,
-          currency: 'ZAR'
+          ...mix,
+          passengers: Helpers.countPassengers(mix)
         };
       }
     }
@@ -484,7 +708,8 @@ class TravelBot {
   }
 
   /**
-   * Convert city name to airport code
+   * Convert city name to airport code; cities with several airports map to
+   * their metro code so every airport is searched
    */
   cityNameToAirportCode(cityName) {
     const cityMap = {
@@ -505,12 +730,12 @@ class TravelBot {
       'abidjan': 'ABJ',
       'kampala': 'EBB',
       'kigali': 'KGL',
-      'london': 'LHR',
-      'new york': 'JFK',
+      'london': 'LON',
+      'new york': 'NYC',
       'dubai': 'DXB',
       'doha': 'DOH',
       'istanbul': 'IST',
-      'paris': 'CDG',
+      'paris': 'PAR',
       'amsterdam': 'AMS',
       'frankfurt': 'FRA'
     };
@@ -532,8 +757,7 @@ class TravelBot {
         from,
         to,
         date,
-        passengers: 1,
-        currency: 'ZAR'
+        passengers: 1
       };
       
       await this.startSearch(chatId, searchParams);
@@ -547,43 +771,197 @@ class TravelBot {
     }
   }
 
+  /**
+   * Start the multi-city wizard
+   */
+  async startMultiCity(chatId) {
+    this.userSessions.set(chatId, { mode: 'multi_city', legs: [] });
+    
+    await this.bot.sendMessage(chatId,
+      `🌍 *Multi-City Search*\n\n` +
+      `Send each leg as a separate message, e.g. \`JNB NBO 2025-03-10\`.\n` +
+      `You can add ${config.limits.minMultiCityLegs}-${config.limits.maxMultiCityLegs} legs.`,
+      { parse_mode: 'Markdown' }
+    );
+    
+    await this.askMultiCityLeg(chatId);
+  }
+
+  /**
+   * Prompt for the next multi-city leg
+   */
+  async askMultiCityLeg(chatId) {
+    const session = this.userSessions.get(chatId);
+    
+    if (!session || session.mode !== 'multi_city') {
+      await this.startMultiCity(chatId);
+      return;
+    }
+    
+    const previous = session.legs[session.legs.length - 1];
+    const hint = previous ? ` (e.g. \`${previous.to} XXX ${Helpers.addDays(previous.date, 3)}\`)` : '';
+    
+    await this.bot.sendMessage(chatId,
+      `✈️ *Leg ${session.legs.length + 1}:* from, to and date${hint}`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  /**
+   * Add a leg from a wizard message
+   */
+  async handleMultiCityLeg(chatId, text) {
+    const session = this.userSessions.get(chatId);
+    const leg = this.parseNaturalLanguage(text);
+    
+    if (!leg || !/^[A-Z]{3}$/.test(leg.from) || !/^[A-Z]{3}$/.test(leg.to)) {
+      await this.bot.sendMessage(chatId,
+        `I couldn't read that leg. Please send it as \`FROM TO YYYY-MM-DD\`, e.g. \`JNB NBO 2025-03-10\`.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    const legs = [...session.legs, { from: leg.from, to: leg.to, date: leg.date }];
+    const legCheck = multiCitySearch.validateLegs(legs);
+    
+    // Too few legs is expected while the wizard is still collecting them
+    if (!legCheck.valid && legs.length >= config.limits.minMultiCityLegs) {
+      await this.bot.sendMessage(chatId, `❌ ${legCheck.reason}. Please send leg ${legs.length} again.`);
+      return;
+    }
+    
+    session.legs = legs;
+    
+    if (legs.length >= config.limits.maxMultiCityLegs) {
+      await this.runMultiCitySearch(chatId);
+      return;
+    }
+    
+    if (legs.length < config.limits.minMultiCityLegs) {
+      await this.askMultiCityLeg(chatId);
+      return;
+    }
+    
+    await this.bot.sendMessage(chatId,
+      `🗺 *Your trip so far:*\n${botFormatter.formatLegsString(legs)}\n\nAdd another leg or search now?`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: Keyboards.multiCityActions()
+      }
+    );
+  }
+
+  /**
+   * Search the legs collected by the multi-city wizard
+   */
+  async runMultiCitySearch(chatId, userId = null) {
+    const session = this.userSessions.get(chatId);
+    
+    if (!session || session.mode !== 'multi_city') {
+      await this.startMultiCity(chatId);
+      return;
+    }
+    
+    this.userSessions.delete(chatId);
+    
+    const { legs } = session;
+    const searchParams = {
+      legs,
+      from: legs[0].from,
+      to: legs[legs.length - 1].to,
+      date: legs[0].date,
+      ...this.getPassengerMix(chatId),
+      currency: await this.getUserCurrency(userId || chatId)
+    };
+    
+    try {
+      await this.bot.sendMessage(chatId,
+        `🔍 *Searching ${legs.length}-leg trip...*\n\n${botFormatter.formatLegsString(legs)}`,
+        { parse_mode: 'Markdown' }
+      );
+      
+      const results = await multiCitySearch.findRoutes({
+        ...searchParams,
+        userId: userId || chatId
+      });
+      
+      if (results.length === 0) {
+        await this.handleNoResults(chatId, searchParams);
+        return;
+      }
+      
+      await this.sendSearchResults(chatId, results, searchParams);
+      
+    } catch (error) {
+      logger.error('Multi-city search error:', error);
+      await this.handleSearchError(chatId, error);
+    }
+  }
+
   /**
    * Start a flight search
    */
   async startSearch(chatId, searchParams, userId = null) {
+    let progress = null;
+    
     try {
+      // Prices are shown in the user's currency unless the search names one
+      if (!searchParams.currency) {
+        searchParams = { ...searchParams, currency: await this.getUserCurrency(userId || chatId) };
+      }
+      
+      const mix = Helpers.getPassengerMix(searchParams);
+      const passengerCheck = validator.validatePassengerMix(mix);
+      
+      if (!passengerCheck.valid) {
+        await this.bot.sendMessage(chatId, `❌ ${passengerCheck.reason}. Please change the passengers and search again.`);
+        return;
+      }
+      
+      searchParams = { ...searchParams, ...mix, passengers: Helpers.countPassengers(mix) };
+      this.passengerMixes.set(chatId, mix);
+      
       // Send searching message
       const searchMessage = await this.bot.sendMessage(chatId,
         `🔍 *Searching for the cheapest routes...*\n\n` +
         `*From:* ${searchParams.from}\n` +
         `*To:* ${searchParams.to}\n` +
         `*Date:* ${Helpers.formatDate(searchParams.date)}\n` +
-        `*Passengers:* ${searchParams.passengers || 1}\n\n` +
+        `*Passengers:* ${botFormatter.formatPassengerMix(searchParams)}\n\n` +
         `I'm scanning all airlines and creating custom routes... This may take a moment.`,
         { parse_mode: 'Markdown' }
       );
       
-      // Perform search
+      // Perform search, editing the searching message as providers report in
+      progress = new SearchProgress(this.bot, chatId, searchMessage.message_id, searchParams);
+      
       const results = await routeStitcher.findCheapestRoutes({
         ...searchParams,
         userId: userId || chatId
-      });
-      
-      // Delete searching message
-      try {
-        await this.bot.deleteMessage(chatId, searchMessage.message_id);
-      } catch (error) {
-        // Ignore delete errors
-      }
+      }, progress.emitter);
       
-      // Handle results
-      if (results.length === 0) {
-        await this.handleNoResults(chatId, searchParams);
+      // Flexible-date searches return a price matrix
+      if (results.flexible || results.length === 0) {
+        await progress.finish();
+        
+        // Delete searching message
+        try {
+          await this.bot.deleteMessage(chatId, searchMessage.message_id);
+        } catch (error) {
+          // Ignore delete errors
+        }
+        
+        if (results.flexible) {
+          await this.sendPriceMatrix(chatId, results);
+        } else {
+          await this.handleNoResults(chatId, searchParams);
+        }
         return;
       }
       
-      // Format and send results
-      await this.sendSearchResults(chatId, results, searchParams);
+      // Swap the progress message for the summary and send results
+      await this.sendSearchResults(chatId, results, searchParams, progress);
       
       // Store search in history
       if (userId) {
@@ -592,6 +970,11 @@ class TravelBot {
       
     } catch (error) {
       logger.error('Search error:', error);
+      
+      if (progress) {
+        await progress.finish();
+      }
+      
       await this.handleSearchError(chatId, error);
     }
   }
@@ -613,19 +996,72 @@ class TravelBot {
       `Use /search to try again.`;
     
     await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    
+    // Multi-city trips have no single origin and destination to swap
+    if (!searchParams.legs) {
+      await this.showNearbyAirports(chatId, searchParams);
+    }
+  }
+
+  /**
+   * Search airports near the origin and destination and send the priced alternatives
+   */
+  async showNearbyAirports(chatId, searchParams, userId = null) {
+    try {
+      if (!searchParams.currency) {
+        searchParams = { ...searchParams, currency: await this.getUserCurrency(userId || chatId) };
+      }
+      
+      await this.bot.sendMessage(chatId,
+        `📍 Checking airports near ${searchParams.from} and ${searchParams.to}...`
+      );
+      
+      const alternatives = await routeStitcher.findAlternativeAirports(searchParams);
+      
+      if (alternatives.length === 0) {
+        await this.bot.sendMessage(chatId, 'No flights found from nearby airports either.');
+        return;
+      }
+      
+      const formatted = botFormatter.formatNearbyAirports(alternatives, searchParams);
+      
+      await this.bot.sendMessage(chatId, formatted.message, {
+        parse_mode: 'Markdown',
+        reply_markup: formatted.keyboard
+      });
+      
+    } catch (error) {
+      logger.error('Nearby airport search error:', error);
+      await this.handleSearchError(chatId, error);
+    }
   }
 
   /**
    * Send search results to user
    */
-  async sendSearchResults(chatId, results, searchParams) {
+  async sendSearchResults(chatId, results, searchParams, progress = null, sortMode = routeRanker.defaultSortMode) {
     try {
+      // Keep results so the user can re-sort without searching again
+      const missingProviders = results.missingProviders || [];
+      const partial = Boolean(results.partial);
+      this.lastResults.set(chatId, { results: Object.assign(results.slice(0, 100), { partial, missingProviders }), searchParams });
+      
       // Limit to top 5 results for Telegram
-      const topResults = results.slice(0, 5);
+      const topResults = routeRanker.sortRoutes(results, sortMode).slice(0, 5);
       
-      // Send summary message
-      const summary = botFormatter.formatSearchSummary(topResults, searchParams);
-      await this.bot.sendMessage(chatId, summary, { parse_mode: 'Markdown' });
+      // Send summary message, replacing the live progress message if there is one
+      const summary = botFormatter.formatSearchSummary(topResults, searchParams, sortMode, {
+        unavailableProviders: providerRegistry.getUnavailable(),
+        partial,
+        missingProviders,
+        display: results.display
+      });
+      
+      if (progress) {
+        await progress.finish(summary);
+      } else {
+        await this.bot.sendMessage(chatId, summary, { parse_mode: 'Markdown' });
+      }
       
       // Send each result
       for (const result of topResults) {
@@ -648,6 +1084,7 @@ class TravelBot {
       // Send follow-up options
       const optionsKeyboard = {
         inline_keyboard: [
+          Keyboards.sortModes(sortMode).inline_keyboard[0],
           [
             { text: '💾 Save Search', callback_data: 'save_search' },
             { text: '🔔 Price Alert', callback_data: `price_alert:${searchParams.from}:${searchParams.to}:${searchParams.date}` }
@@ -659,6 +1096,24 @@ class TravelBot {
         ]
       };
       
+      // Flexible dates and nearby airports only apply to single-destination searches
+      if (!searchParams.legs) {
+        const searchKey = `${searchParams.from}:${searchParams.to}:${searchParams.date}:${searchParams.returnDate || ''}`;
+        
+        optionsKeyboard.inline_keyboard.splice(2, 0, [
+          {
+            text: `📅 ±${config.limits.maxFlexibleDays} days`,
+            callback_data: `flex_search:${searchKey}`
+          },
+          {
+            text: '📍 Try nearby airports',
+            callback_data: `nearby:${searchKey}`
+          }
+        ], [
+          { text: `👥 Passengers: ${botFormatter.formatPassengerMix(searchParams)}`, callback_data: 'passengers_menu' }
+        ]);
+      }
+      
       await this.bot.sendMessage(
         chatId,
         `Found ${topResults.length} route(s). What would you like to do next?`,
@@ -671,6 +1126,157 @@ class TravelBot {
     }
   }
 
+  /**
+   * Currency the user reads prices in; ZAR until they pick one
+   */
+  async getUserCurrency(userId) {
+    try {
+      return priceNormalizer.getDisplayCurrency(await UserModel.getCurrency(userId));
+    } catch (error) {
+      logger.error('Error loading user currency:', error);
+      return priceNormalizer.defaultCurrency;
+    }
+  }
+
+  /**
+   * Send the currency picker
+   */
+  async showCurrencyChoice(chatId, userId) {
+    const current = await this.getUserCurrency(userId);
+    
+    await this.bot.sendMessage(chatId, botFormatter.formatCurrencyChoice(current), {
+      parse_mode: 'Markdown',
+      reply_markup: Keyboards.currencySelector(current)
+    });
+  }
+
+  /**
+   * Store the user's display currency and convert the last results to it
+   */
+  async setUserCurrency(chatId, userId, currency) {
+    if (!Helpers.isSupportedCurrency(currency)) {
+      await this.bot.sendMessage(chatId, 'That currency is not supported.');
+      return;
+    }
+    
+    try {
+      await UserModel.setCurrency(userId, currency);
+    } catch (error) {
+      logger.error('Error saving user currency:', error);
+      await this.bot.sendMessage(chatId, '❌ Could not save your currency. Please try again.');
+      return;
+    }
+    
+    const info = constants.CURRENCIES[currency];
+    await this.bot.sendMessage(chatId, `✅ Prices will now be shown in ${currency} (${info.name}).`);
+    
+    // Re-sorting and route details of the last search use the new currency too
+    const lastSearch = this.lastResults.get(chatId);
+    if (lastSearch) {
+      const display = await priceNormalizer.getDisplay(currency);
+      this.lastResults.set(chatId, {
+        results: priceNormalizer.applyDisplay(lastSearch.results, display),
+        searchParams: { ...lastSearch.searchParams, currency }
+      });
+    }
+  }
+
+  /**
+   * Passenger mix of the chat's last search, or one adult
+   */
+  getPassengerMix(chatId) {
+    return this.passengerMixes.get(chatId) || Helpers.getPassengerMix({});
+  }
+
+  /**
+   * Send the passenger stepper for searching the last route again
+   */
+  async showPassengerSelector(chatId) {
+    if (!this.lastResults.has(chatId)) {
+      await this.bot.sendMessage(chatId, 'These results have expired. Please search again.');
+      return;
+    }
+    
+    await this.bot.sendMessage(chatId,
+      `👥 *Who's travelling?*\n\nChildren are 2-11 years old; infants under 2 travel on an adult's lap.`,
+      { parse_mode: 'Markdown', reply_markup: Keyboards.passengerSelector(this.getPassengerMix(chatId)) }
+    );
+  }
+
+  /**
+   * Redraw the passenger stepper with the mix the user stepped to
+   */
+  async updatePassengerSelector(chatId, messageId, params) {
+    const [adults, children, infants] = params;
+    const mix = Helpers.getPassengerMix({ adults, children, infants });
+    
+    try {
+      await this.bot.editMessageReplyMarkup(Keyboards.passengerSelector(mix), {
+        chat_id: chatId,
+        message_id: messageId
+      });
+    } catch (error) {
+      logger.debug('Could not update passenger selector:', error.message);
+    }
+  }
+
+  /**
+   * Search the last route again for another passenger mix
+   */
+  async searchWithPassengers(chatId, params, userId) {
+    const [adults, children, infants] = params;
+    const mix = Helpers.getPassengerMix({ adults, children, infants });
+    const lastSearch = this.lastResults.get(chatId);
+    
+    if (!lastSearch) {
+      await this.bot.sendMessage(chatId, 'These results have expired. Please search again.');
+      return;
+    }
+    
+    await this.startSearch(chatId, { ...lastSearch.searchParams, ...mix }, userId);
+  }
+
+  /**
+   * Send the full details of a route from the last results, price breakdown included
+   */
+  async showRouteDetails(chatId, routeId) {
+    const lastSearch = this.lastResults.get(chatId);
+    const route = lastSearch && lastSearch.results.find(result => result.id === routeId);
+    
+    if (!route) {
+      await this.bot.sendMessage(chatId, 'These results have expired. Please search again.');
+      return;
+    }
+    
+    await this.bot.sendMessage(chatId, botFormatter.formatRouteDetails(route), { parse_mode: 'Markdown' });
+  }
+
+  /**
+   * Re-send the last results in another sort mode, without searching again
+   */
+  async resortResults(chatId, sortMode) {
+    const lastSearch = this.lastResults.get(chatId);
+    
+    if (!lastSearch || !routeRanker.isSortMode(sortMode)) {
+      await this.bot.sendMessage(chatId, 'These results have expired. Please search again.');
+      return;
+    }
+    
+    await this.sendSearchResults(chatId, lastSearch.results, lastSearch.searchParams, null, sortMode);
+  }
+
+  /**
+   * Send flexible-date price matrix to user
+   */
+  async sendPriceMatrix(chatId, matrix) {
+    const formatted = botFormatter.formatPriceMatrix(matrix);
+    
+    await this.bot.sendMessage(chatId, formatted.message, {
+      parse_mode: 'Markdown',
+      reply_markup: formatted.keyboard
+    });
+  }
+
   /**
    * Handle search errors
    */
@@ -810,12 +1416,15 @@ class TravelBot {
   /**
    * Set price alert
    */
-  async setPriceAlert(chatId, from, to, date) {
+  async setPriceAlert(chatId, from, to, date, userId = null) {
+    // The preference is saved per user, not per (group) chat
+    const currency = await this.getUserCurrency(userId || chatId);
+    
     await this.bot.sendMessage(chatId,
       `🔔 Price alert set!\n\n` +
       `I'll notify you if prices drop for:\n` +
       `${from} → ${to} on ${Helpers.formatDate(date)}\n\n` +
-      `You'll receive updates in this chat.`,
+      `You'll receive updates in this chat, with prices in ${currency}.`,
       { parse_mode: 'Markdown' }
     );
   }
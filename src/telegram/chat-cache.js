@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * Per-chat state kept in memory between messages (e.g. the last search's
+ * results for re-sorting). Entries expire after ttlMs and the least
+ * recently used chats are dropped past maxEntries, so the bot's memory
+ * doesn't grow with every chat it has ever served.
+ */
+
+class ChatCache {
+  constructor({ ttlMs, maxEntries }) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    // Map keeps insertion order: the first key is the least recently used
+    this.entries = new Map();
+  }
+
+  get(chatId) {
+    const entry = this.entries.get(chatId);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(chatId);
+      return undefined;
+    }
+
+    this.entries.delete(chatId);
+    this.entries.set(chatId, entry);
+    return entry.value;
+  }
+
+  has(chatId) {
+    return this.get(chatId) !== undefined;
+  }
+
+  set(chatId, value) {
+    this.entries.delete(chatId);
+    this.entries.set(chatId, { value, expiresAt: Date.now() + this.ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    return this;
+  }
+
+  delete(chatId) {
+    return this.entries.delete(chatId);
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = ChatCache;
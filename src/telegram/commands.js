@@ -1,7 +1,15 @@
+const config = require('../../config/config');
 const routeEngine = require('../core/route-stitcher');
+const outboundLimiter = require('../api/outbound-limiter');
+const tripPlanner = require('../core/trip-planner');
+const RejectionLedger = require('../core/rejection-ledger');
+const priceNormalizer = require('../core/price-normalizer');
+const validator = require('../core/validator');
 const formatter = require('./formatter');
+const Keyboards = require('./keyboards');
 const logger = require('../utils/logger');
-const { saveSearch, getUser } = require('../database/models');
+const Helpers = require('../utils/helpers');
+const { saveSearch, getUser, UserModel } = require('../database/models');
 
 class BotCommands {
     setup(bot) {
@@ -21,7 +29,59 @@ class BotCommands {
         // Search command with inline keyboard
         bot.onText(/\/search/, (msg) => {
             const chatId = msg.chat.id;
-            this.askSearchParameters(bot, chatId);
+            this.askSearchParameters(bot, chatId, msg.from.id);
+        });
+
+        // Trip planner: /plan JNB 2025-03-01 NBO:3-5 KGL:2-4
+        bot.onText(/\/plan(?:\s+(.+))?/, async (msg, match) => {
+            await this.handlePlanCommand(bot, msg.chat.id, match[1], msg.from.id);
+        });
+
+        // Currency prices are shown in; the pick is handled with the other callbacks in bot.js
+        bot.onText(/\/currency/, async (msg) => {
+            const current = await this.getUserCurrency(msg.from.id);
+            await bot.sendMessage(msg.chat.id, formatter.formatCurrencyChoice(current), {
+                parse_mode: 'Markdown',
+                reply_markup: Keyboards.currencySelector(current)
+            });
+        });
+
+        // Outbound API usage per provider and key (admins only)
+        bot.onText(/\/quota/, async (msg) => {
+            if (!config.telegram.adminIds.includes(msg.from.id)) {
+                return;
+            }
+
+            try {
+                const usage = await outboundLimiter.getUsage();
+                await bot.sendMessage(msg.chat.id, formatter.formatProviderUsage(usage), { parse_mode: 'Markdown' });
+            } catch (error) {
+                logger.error('Quota command error:', error);
+                bot.sendMessage(msg.chat.id, '❌ Could not load API usage.');
+            }
+        });
+
+        // Why a route was dropped from a search: /why <searchId> JNB-ADD-DXB (admins only)
+        bot.onText(/\/why(?:\s+(\S+)\s+(.+))?/, async (msg, match) => {
+            if (!config.telegram.adminIds.includes(msg.from.id)) {
+                return;
+            }
+
+            if (!match[1]) {
+                bot.sendMessage(msg.chat.id, 'Usage: /why <search id> JNB-ADD-DXB');
+                return;
+            }
+
+            try {
+                const path = RejectionLedger.normalizePath(match[2]);
+                const ledger = await RejectionLedger.load(match[1]);
+                const matches = ledger ? ledger.explain(path) : [];
+                const fx = ledger ? await ledger.loadFxSnapshot() : null;
+                await bot.sendMessage(msg.chat.id, formatter.formatRejections(match[1], path, ledger, matches, fx), { parse_mode: 'Markdown' });
+            } catch (error) {
+                logger.error('Why command error:', error);
+                bot.sendMessage(msg.chat.id, '❌ Could not load the rejection record.');
+            }
         });
 
         // Handle callback queries from inline keyboards
@@ -92,6 +152,7 @@ Ready to find your cheapest route?`;
 *Basic Commands:*
 /start - Welcome message and setup
 /search - Start a new flight search
+/currency - Choose the currency prices are shown in
 /help - Show this help message
 
 *How to Search:*
@@ -100,6 +161,7 @@ Ready to find your cheapest route?`;
    • "JNB to CPT tomorrow"
    • "Lagos to London next week return"
    • "Nairobi to Dubai one-way"
+   • "JNB to CPT tomorrow 2 adults 1 child"
 
 *What is Virtual Interlining?*
 I combine separate tickets from different airlines to create cheaper routes that other search engines can't find.
@@ -114,7 +176,7 @@ I combine separate tickets from different airlines to create cheaper routes that
 Need support? Contact @your_support_handle`;
     }
 
-    askSearchParameters(bot, chatId) {
+    askSearchParameters(bot, chatId, userId = null) {
         const questions = [
             {
                 text: "📍 *Where are you flying from?*\n\nPlease enter city or airport code (e.g. 'Johannesburg' or 'JNB'):",
@@ -128,6 +190,10 @@ Need support? Contact @your_support_handle`;
                 text: "📅 *When are you traveling?*\n\nPlease enter date (e.g. '2024-12-25' or 'next Friday'):",
                 callback: "travel_date"
             },
+            {
+                text: "👥 *Who's travelling?*\n\nE.g. '2 adults' or '2 adults 1 child 1 infant' (infants are under 2 and sit on an adult's lap):",
+                callback: "passengers"
+            },
             {
                 text: "🔄 *Return trip?*\n\nIs this one-way or return?",
                 callback: "trip_type",
@@ -135,13 +201,13 @@ Need support? Contact @your_support_handle`;
             }
         ];
 
-        this.askQuestionSequentially(bot, chatId, questions);
+        this.askQuestionSequentially(bot, chatId, questions, {}, 0, userId);
     }
 
-    async askQuestionSequentially(bot, chatId, questions, answers = {}, index = 0) {
+    async askQuestionSequentially(bot, chatId, questions, answers = {}, index = 0, userId = null) {
         if (index >= questions.length) {
             // All questions answered, start search
-            await this.performSearch(bot, chatId, answers);
+            await this.performSearch(bot, chatId, answers, userId);
             return;
         }
 
@@ -167,7 +233,7 @@ Need support? Contact @your_support_handle`;
             bot.once('message', async (msg) => {
                 if (msg.chat.id === chatId && msg.text) {
                     answers[question.callback] = msg.text;
-                    this.askQuestionSequentially(bot, chatId, questions, answers, index + 1);
+                    this.askQuestionSequentially(bot, chatId, questions, answers, index + 1, userId || msg.from.id);
                 }
             });
         }
@@ -182,7 +248,7 @@ Need support? Contact @your_support_handle`;
             
             switch (action) {
                 case 'start_search':
-                    this.askSearchParameters(bot, chatId);
+                    this.askSearchParameters(bot, chatId, callbackQuery.from.id);
                     break;
                     
                 case 'from_city':
@@ -227,7 +293,15 @@ I'll show you option 2! 🎯`,
         }
     }
 
-    async performSearch(bot, chatId, searchParams) {
+    async performSearch(bot, chatId, searchParams, userId = null) {
+        const mix = Helpers.parsePassengerMix(searchParams.passengers) || Helpers.getPassengerMix({});
+        const passengerCheck = validator.validatePassengerMix(mix);
+
+        if (!passengerCheck.valid) {
+            await bot.sendMessage(chatId, `❌ ${passengerCheck.reason}. Please use /search to try again.`);
+            return;
+        }
+
         try {
             // Show searching message
             const searchMessage = await bot.sendMessage(chatId, 
@@ -235,19 +309,22 @@ I'll show you option 2! 🎯`,
                 `From: ${searchParams.from_city}\n` +
                 `To: ${searchParams.to_city}\n` +
                 `Date: ${searchParams.travel_date}\n` +
+                `Passengers: ${formatter.formatPassengerMix(mix)}\n` +
                 `Trip: ${searchParams.trip_type || 'One-way'}\n\n` +
                 `*Please wait while I scan all airlines and create custom routes...*`,
                 { parse_mode: 'Markdown' }
             );
 
             // Perform actual search
-            const results = await routeEngine.findCheapestRoutes(
-                searchParams.from_city,
-                searchParams.to_city,
-                searchParams.travel_date,
-                searchParams.trip_type === 'Return' ? searchParams.return_date : null,
-                1 // Default to 1 passenger for now
-            );
+            const results = await routeEngine.findCheapestRoutes({
+                from: searchParams.from_city,
+                to: searchParams.to_city,
+                date: searchParams.travel_date,
+                returnDate: searchParams.trip_type === 'Return' ? searchParams.return_date : null,
+                ...mix,
+                passengers: Helpers.countPassengers(mix),
+                currency: await this.getUserCurrency(userId || chatId)
+            });
 
             // Delete searching message
             await bot.deleteMessage(chatId, searchMessage.message_id);
@@ -314,6 +391,75 @@ I'll show you option 2! 🎯`,
         }
     }
 
+    async handlePlanCommand(bot, chatId, argsText, userId = chatId) {
+        const params = this.parsePlanArgs(argsText);
+
+        if (!params) {
+            await bot.sendMessage(chatId,
+                "🗺 *Trip Planner*\n\n" +
+                "Send your home airport, start date and the cities to visit with min-max nights:\n" +
+                "`/plan JNB 2025-03-01 NBO:3-5 KGL:2-4 ADD:2-3`\n\n" +
+                "Add who's travelling if it isn't just you, e.g. `2 adults 1 child`.\n\n" +
+                "I'll find the cheapest order and dates.",
+                { parse_mode: 'Markdown' }
+            );
+            return;
+        }
+
+        const passengerCheck = validator.validatePassengerMix(params);
+        if (!passengerCheck.valid) {
+            await bot.sendMessage(chatId, `❌ ${passengerCheck.reason}.`);
+            return;
+        }
+
+        try {
+            await bot.sendMessage(chatId, "🔍 *Planning your tour...* This may take a minute.", { parse_mode: 'Markdown' });
+
+            const plans = await tripPlanner.planTrip({ ...params, currency: await this.getUserCurrency(userId) });
+
+            await bot.sendMessage(chatId, formatter.formatTripPlans(plans, params.home), {
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true
+            });
+        } catch (error) {
+            logger.error('Trip planner error:', error);
+            await bot.sendMessage(chatId, `❌ Couldn't plan this trip: ${error.message}`);
+        }
+    }
+
+    // Currency the user reads prices in; ZAR until they pick one
+    async getUserCurrency(userId) {
+        try {
+            return priceNormalizer.getDisplayCurrency(await UserModel.getCurrency(userId));
+        } catch (error) {
+            logger.error('Error loading user currency:', error);
+            return priceNormalizer.defaultCurrency;
+        }
+    }
+
+    parsePlanArgs(argsText) {
+        // "2 adults 1 child" may follow the cities
+        const mix = Helpers.parsePassengerMix(argsText) || Helpers.getPassengerMix({});
+        const tokens = Helpers.removePassengerMix(argsText).toUpperCase().split(/\s+/);
+        const [home, startDate, ...cityTokens] = tokens;
+
+        if (!/^[A-Z]{3}$/.test(home || '') || !/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || cityTokens.length === 0) {
+            return null;
+        }
+
+        const cities = [];
+        for (const token of cityTokens) {
+            // NBO:3-5 = 3 to 5 nights, NBO:3 = exactly 3 nights
+            const match = token.match(/^([A-Z]{3}):(\d+)(?:-(\d+))?$/);
+            if (!match) return null;
+
+            const minStay = parseInt(match[2], 10);
+            cities.push({ code: match[1], minStay, maxStay: match[3] ? parseInt(match[3], 10) : minStay });
+        }
+
+        return { home, startDate, cities, ...mix };
+    }
+
     async showPopularRoutes(bot, chatId) {
         const popularRoutes = [
             { from: "JNB", to: "CPT", name: "🇿🇦 Johannesburg → Cape Town" },
@@ -400,7 +546,7 @@ I'll show you option 2! 🎯`,
                 to_city: searchParams.to,
                 travel_date: actualDate,
                 trip_type: 'One-way'
-            });
+            }, msg.from.id);
         }
     }
 
@@ -3,11 +3,52 @@
 const config = require('../../config/config');
 const Helpers = require('../utils/helpers');
 const constants = require('../utils/constants');
+const Keyboards = require('./keyboards');
+const { AirportUtils } = require('../utils/airport-codes');
 
 /**
  * Telegram message formatters and templates
  */
 
+const BOUND_LABELS = {
+  outbound: 'Outbound',
+  inbound: 'Return'
+};
+
+const SORT_MODE_LABELS = {
+  cheapest: 'Cheapest',
+  fastest: 'Fastest',
+  best: 'Best value',
+  safest: 'Safest connections'
+};
+
+const GROUND_ICONS = {
+  bus: '🚌',
+  train: '🚆',
+  shuttle: '🚐',
+  ferry: '⛴️'
+};
+
+const RISK_LABELS = {
+  low: '🟢 low',
+  medium: '🟡 medium',
+  high: '🔴 high'
+};
+
+const RISK_FACTOR_LABELS = {
+  airportChange: 'airport change',
+  international: 'international',
+  lowCostCarrier: 'low-cost first flight',
+  overnight: 'overnight arrival'
+};
+
+const FARE_TYPE_LABELS = {
+  roundtrip: 'Return ticket',
+  'two-oneways': 'Two one-way tickets',
+  'multi-city': 'One multi-city ticket',
+  'multi-city-separate': 'Separate ticket per leg'
+};
+
 class TelegramFormatter {
   /**
    * Format welcome message
@@ -23,7 +64,7 @@ I'm your intelligent African flight search assistant that finds the *cheapest po
 ${emoji.STAR} *What I can do:*
 • Find cheapest flights across Africa & worldwide
 • Combine different airlines for maximum savings (Virtual Interlining)
-• Show all fees upfront in ZAR
+• Show all fees upfront, in your currency (/currency)
 • Search 1000+ airlines simultaneously
 
 ${emoji.FIRE} *Perfect for African routes like:*
@@ -64,6 +105,7 @@ ${emoji.AIRPLANE} *How to Search:*
    • "JNB to CPT tomorrow"
    • "Flights Lagos London return"
    • "Nairobi Dubai one-way"
+   • "JNB to CPT tomorrow 2 adults 1 child"
 
 ${emoji.MONEY} *Virtual Interlining Explained:*
 I combine separate tickets to create cheaper routes that other search engines can't find.
@@ -89,35 +131,101 @@ Need more help? Contact @travelscout_support
     `.trim();
   }
 
+  /**
+   * Format live search progress
+   */
+  static formatSearchProgress(state, searchParams) {
+    const emoji = constants.EMOJIS;
+    
+    let message = `${emoji.SEARCH} *${state.done ? 'Ranking results...' : 'Searching for the cheapest routes...'}*\n\n`;
+    message += `*From:* ${searchParams.from}\n`;
+    message += `*To:* ${searchParams.to}\n`;
+    message += `*Date:* ${Helpers.formatDate(searchParams.date)}\n`;
+    
+    if (state.providers.length > 0) {
+      message += `\n`;
+      state.providers.forEach(provider => {
+        if (provider.unavailable) {
+          message += `⚠️ ${provider.displayName}: temporarily unavailable\n`;
+        } else if (provider.timedOut && provider.count === 0) {
+          message += `⏱️ ${provider.displayName}: timed out\n`;
+        } else if (provider.pending > 0) {
+          message += `⏳ ${provider.displayName}${provider.count > 0 ? `: ${provider.count} so far` : ''}\n`;
+        } else if (provider.failed && provider.count === 0) {
+          message += `❌ ${provider.displayName}: unavailable\n`;
+        } else {
+          message += `✅ ${provider.displayName}: ${provider.count} result(s)\n`;
+        }
+      });
+    }
+    
+    if (state.stitchedCount > 0) {
+      message += `🧩 Self-transfer combinations: ${state.stitchedCount}\n`;
+    }
+    
+    if (state.bestPrice !== null) {
+      message += `\n${emoji.MONEY} *Best so far:* ${this.formatDisplayPrice(state.bestPrice, state.display)} (before fees)`;
+    }
+    
+    return message.trim();
+  }
+
   /**
    * Format search summary
    */
-  static formatSearchSummary(results, searchParams) {
+  static formatSearchSummary(results, searchParams, sortMode = null, { unavailableProviders = [], partial = false, missingProviders = [], display = null } = {}) {
     const emoji = constants.EMOJIS;
     
     if (results.length === 0) {
       return this.formatNoResultsMessage(searchParams);
     }
     
-    const cheapest = results[0];
+    const price = route => route.finalPriceZAR || route.totalPriceZAR || route.totalPrice || 0;
+    const cheapest = results.reduce((best, route) => (price(route) < price(best) ? route : best), results[0]);
     const hasVirtualInterline = results.some(r => r.virtualInterline);
     
     let summary = `
 ${emoji.SEARCH} *Search Results Summary*
 
-📍 *Route:* ${searchParams.from} → ${searchParams.to}
-📅 *Date:* ${Helpers.formatDate(searchParams.date)}
-👥 *Passengers:* ${searchParams.passengers || 1}
+📍 *Route:* ${searchParams.legs ? this.formatLegsString(searchParams.legs) : `${this.formatLocation(searchParams.from)} → ${this.formatLocation(searchParams.to)}`}
+📅 *Date:* ${Helpers.formatDate(searchParams.date)}${searchParams.returnDate ? ` – ${Helpers.formatDate(searchParams.returnDate)}` : ''}
+👥 *Passengers:* ${this.formatPassengerMix(searchParams)}
 
 ${emoji.MONEY} *Found ${results.length} route(s):*
     `.trim();
     
+    if (sortMode) {
+      summary += `\n↕️ *Sorted by:* ${SORT_MODE_LABELS[sortMode] || sortMode}`;
+    }
+    
     // Add cheapest option
     if (cheapest) {
       summary += `\n\n${emoji.FIRE} *Cheapest Option:*`;
       summary += `\n${this.formatRouteSummary(cheapest)}`;
     }
     
+    // Add return ticket vs two one-ways comparison
+    if (cheapest && cheapest.fareComparison) {
+      summary += `\n\n${this.formatFareComparison(cheapest.fareComparison, this.getRouteDisplay(cheapest))}`;
+    }
+    
+    // Providers skipped while their circuit breaker is open
+    unavailableProviders.forEach(provider => {
+      summary += `\n\n${emoji.WARNING} ${provider.displayName} temporarily unavailable - results may be incomplete`;
+    });
+    
+    // The user's currency had no exchange rate
+    if (display && display.unavailableCurrency) {
+      summary += `\n\n${emoji.WARNING} No ${display.unavailableCurrency} exchange rate available - prices are shown in ZAR`;
+    }
+    
+    // Providers still searching when the search deadline passed
+    if (missingProviders.length > 0) {
+      summary += `\n\n⏱️ *Partial results:* ${missingProviders.join(', ')} didn't answer in time`;
+    } else if (partial) {
+      summary += `\n\n⏱️ *Partial results:* not every self-transfer combination was checked in time`;
+    }
+    
     // Add virtual interline notice
     if (hasVirtualInterline) {
       summary += `\n\n${emoji.INFO} *Virtual Interlining Detected:*`;
@@ -134,16 +242,114 @@ ${emoji.MONEY} *Found ${results.length} route(s):*
     return summary;
   }
 
+  /**
+   * Format return ticket vs two one-ways comparison
+   */
+  static formatFareComparison(comparison, display = null) {
+    const { roundTripPrice, twoOneWaysPrice, cheaper, savings } = comparison;
+    
+    if (roundTripPrice === null || twoOneWaysPrice === null) {
+      return cheaper === 'two-oneways'
+        ? `⚖️ *Fares:* Only separate one-way tickets found`
+        : `⚖️ *Fares:* Only return tickets found`;
+    }
+    
+    const roundTrip = this.formatDisplayPrice(roundTripPrice, display);
+    const twoOneWays = this.formatDisplayPrice(twoOneWaysPrice, display);
+    
+    let message = `⚖️ *Return ticket vs two one-ways:*`;
+    message += `\n• Return ticket: ${roundTrip}`;
+    message += `\n• Two one-ways: ${twoOneWays}`;
+    
+    if (savings > 0) {
+      const winner = cheaper === 'two-oneways' ? 'Two one-ways' : 'The return ticket';
+      message += `\n${winner} is cheaper by ${this.formatDisplayPrice(savings, display)}`;
+    }
+    
+    return message;
+  }
+
+  /**
+   * Format flexible-date price matrix with its calendar keyboard
+   */
+  static formatPriceMatrix(matrix) {
+    const emoji = constants.EMOJIS;
+    const { cheapest } = matrix;
+    
+    let message = `
+${emoji.CALENDAR} *Flexible Dates (±${matrix.flexibleDays} days)*
+
+📍 *Route:* ${matrix.from} → ${matrix.to}
+📅 *Around:* ${Helpers.formatDate(matrix.date)}${matrix.returnDate ? ` – ${Helpers.formatDate(matrix.returnDate)}` : ''}
+    `.trim();
+    
+    if (cheapest) {
+      const dates = cheapest.returnDate
+        ? `${Helpers.formatDate(cheapest.outboundDate)} – ${Helpers.formatDate(cheapest.returnDate)}`
+        : Helpers.formatDate(cheapest.outboundDate);
+      
+      message += `\n\n${emoji.FIRE} *Cheapest:* ${dates}`;
+      message += `\n${emoji.MONEY} From ${Helpers.formatPrice(cheapest.price, matrix.currency)}`;
+    } else {
+      message += `\n\n${emoji.WARNING} No prices found for these dates.`;
+    }
+    
+    if (matrix.returnDate) {
+      message += `\n\nRows are outbound dates, columns are return dates.`;
+      message += `\n*Note:* Return prices are estimated from two one-way fares.`;
+    }
+    
+    message += `\n\nTap a date to run the full search.`;
+    
+    return {
+      message,
+      keyboard: Keyboards.priceMatrix(matrix)
+    };
+  }
+
+  /**
+   * Format priced alternative airports with a keyboard to search each one
+   */
+  static formatNearbyAirports(alternatives, searchParams) {
+    const emoji = constants.EMOJIS;
+    
+    let message = `${emoji.AIRPLANE} *Nearby airports for ${searchParams.from} → ${searchParams.to}*\n`;
+    
+    alternatives.forEach((alternative, index) => {
+      const ends = [alternative.from, alternative.to]
+        .filter(airport => airport.distance > 0)
+        .map(airport => `${airport.code} ${Math.round(airport.distance)} km`);
+      
+      const display = this.getRouteDisplay(alternative.route);
+      
+      message += `\n${index + 1}. *${alternative.from.code} → ${alternative.to.code}* (${ends.join(', ')})\n`;
+      message += `   ${emoji.MONEY} Flight: ${this.formatDisplayPrice(alternative.flightPrice, display)}\n`;
+      message += `   🚗 Ground transfer: ~${this.formatDisplayPrice(alternative.groundTransfer.cost, display)}, ~${Helpers.formatDuration(alternative.groundTransfer.minutes)}\n`;
+      message += `   *Total: ${this.formatDisplayPrice(alternative.totalPrice, display)}*\n`;
+    });
+    
+    message += `\nGround transfers are rough road estimates${searchParams.returnDate ? ' for both directions' : ''}. Tap a route to see its flights.`;
+    
+    return {
+      message,
+      keyboard: Keyboards.nearbyAirports(alternatives, searchParams)
+    };
+  }
+
   /**
    * Format route result for Telegram
    */
   static formatRouteResult(route) {
     const emoji = constants.EMOJIS;
     
-    // Format airlines
-    const airlines = route.airlines
-      ?.map(code => Helpers.getAirlineName(code))
-      .join(' + ') || 'Multiple Airlines';
+    // Format airlines, plus bus and train operators
+    const operators = [...new Set((route.segments || [])
+      .filter(segment => Helpers.isGroundSegment(segment))
+      .map(segment => segment.operator))];
+    const airlines = [
+      ...(route.airlines || []).map(code => Helpers.getAirlineName(code)),
+      ...operators
+    ].join(' + ') || 'Multiple Airlines';
     
     // Format route string
     const routeString = this.formatRouteString(route.segments);
@@ -164,8 +370,20 @@ ${emoji.MONEY} *Found ${results.length} route(s):*
     const index = route._index ? `${route._index}️⃣ ` : '';
     message += `${index}*${airlines}*\n`;
     
-    // Route
-    message += `${emoji.AIRPLANE} ${routeString}\n`;
+    // Route, bound by bound for return itineraries
+    if (route.bounds) {
+      route.bounds.forEach(bound => {
+        const label = BOUND_LABELS[bound.direction] || bound.direction.replace('leg', 'Leg ');
+        message += `${emoji.AIRPLANE} *${label}:* ${this.formatRouteString(bound.segments)}\n`;
+      });
+    } else {
+      message += `${emoji.AIRPLANE} ${routeString}\n`;
+    }
+    
+    // Airports used by a city search (e.g. London: LHR, LGW, STN, LTN)
+    if (route.departureAirport && route.arrivalAirport) {
+      message += `🛫 ${AirportUtils.getAirportDisplayName(route.departureAirport)} → 🛬 ${AirportUtils.getAirportDisplayName(route.arrivalAirport)}\n`;
+    }
     
     // Duration
     message += `${emoji.CLOCK} ${duration}\n`;
@@ -173,6 +391,13 @@ ${emoji.MONEY} *Found ${results.length} route(s):*
     // Price
     message += `${emoji.MONEY} ${price}\n`;
     
+    // Fare type for return itineraries
+    if (route.fareType) {
+      const fareLabel = FARE_TYPE_LABELS[route.fareType] || route.fareType;
+      const cheaper = route.fareComparison && route.fareComparison.cheaper === route.fareType;
+      message += `${emoji.TICKET} *Fare:* ${fareLabel}${cheaper ? ' (cheaper option)' : ''}\n`;
+    }
+    
     // Virtual interline notice
     if (route.virtualInterline) {
       message += `${emoji.TICKET} *Separate tickets:* Yes\n`;
@@ -181,6 +406,26 @@ ${emoji.MONEY} *Found ${results.length} route(s):*
       message += `${emoji.TICKET} *Separate tickets:* No\n`;
     }
     
+    // Changing airports within a city
+    (route.airportChanges || []).forEach(change => {
+      message += `${emoji.WARNING} *Change airports:* ${change.from} → ${change.to} (${this.formatAirportChange(change, this.getRouteDisplay(route))})\n`;
+    });
+    
+    // Bus and train legs are booked with the operator
+    if (operators.length > 0) {
+      message += `${GROUND_ICONS.bus} *Ground transport:* book ${operators.join(', ')} separately\n`;
+    }
+    
+    // Missed-connection risk
+    if (route.transferRisk && route.transferRisk.connections.length > 0) {
+      message += `${emoji.WARNING} *Missed-connection risk:* ${this.formatRiskPercent(route.transferRisk.probability)} (${RISK_LABELS[route.transferRisk.level]})\n`;
+    }
+    
+    // Checks for the children and infants travelling
+    (route.passengerWarnings || []).forEach(warning => {
+      message += `${emoji.WARNING} ${warning}\n`;
+    });
+    
     // Transfer count
     const transfers = route.transferCount || (route.segments?.length - 1) || 0;
     if (transfers > 0) {
@@ -188,7 +433,7 @@ ${emoji.MONEY} *Found ${results.length} route(s):*
     }
     
     // Value score if available
-    if (route.valueScore && route.valueScore < 50) {
+    if (typeof route.valueScore === 'number' && route.valueScore < 50) {
       message += `⭐ *Great Value*\n`;
     }
     
@@ -244,16 +489,112 @@ ${emoji.MONEY} *Found ${results.length} route(s):*
       return 'Direct';
     }
     
+    // Airport changes show both airports, e.g. LGW/LHR
+    const changeAt = (segment, index) => {
+      const previous = segments[index - 1];
+      return previous && previous.to !== segment.from ? `/${segment.from}` : '';
+    };
+    
+    // Bus and train legs show their own icon instead of an arrow
+    if (segments.some(segment => Helpers.isGroundSegment(segment))) {
+      return segments.reduce(
+        (text, segment, index) => `${text}${changeAt(segment, index)} ${Helpers.isGroundSegment(segment) ? this.formatGroundIcon(segment) : '→'} ${segment.to}`,
+        segments[0].from
+      );
+    }
+    
     if (segments.length === 1) {
       return `Direct: ${segments[0].from} → ${segments[0].to}`;
     }
     
-    const routeParts = segments.map(segment => segment.from);
+    const routeParts = segments.map((segment, index) =>
+      (index > 0 ? `${segments[index - 1].to}${changeAt(segment, index)}` : segment.from)
+    );
     routeParts.push(segments[segments.length - 1].to);
     
     return routeParts.join(' → ');
   }
 
+  static formatLocation(code) {
+    return AirportUtils.isMetroCode(code)
+      ? `${code} (${AirportUtils.expandLocation(code).join('/')})`
+      : code;
+  }
+
+  /**
+   * Describe a transfer between airports, its cost in the route's display currency
+   */
+  static formatAirportChange(change, display = null) {
+    const cost = typeof change.transferCostZAR === 'number' ? `, ~${this.formatDisplayPrice(change.transferCostZAR, display)}` : '';
+    return `${change.via}, ~${Helpers.formatDuration(change.transferMinutes)}${cost}`;
+  }
+
+  static formatGroundIcon(segment) {
+    return GROUND_ICONS[segment.mode] || GROUND_ICONS.bus;
+  }
+
+  /**
+   * Format multi-city legs as a route string
+   */
+  static formatLegsString(legs) {
+    return legs.reduce((text, leg, index) => {
+      if (index === 0) return `${leg.from} → ${leg.to}`;
+      
+      // Open jaw: the next leg starts somewhere else
+      const joint = legs[index - 1].to === leg.from ? '' : ` / ${leg.from}`;
+      return `${text}${joint} → ${leg.to}`;
+    }, '');
+  }
+
+  /**
+   * Format a passenger mix, e.g. "2 adults, 1 child"
+   */
+  static formatPassengerMix(mix) {
+    const counts = Helpers.getPassengersByType(Helpers.getPassengerMix(mix));
+    
+    return Object.entries(counts)
+      .filter(([, count]) => count > 0)
+      .map(([type, count]) => {
+        const { label, plural } = constants.PASSENGER_TYPES[type];
+        return `${count} ${count === 1 ? label : plural}`;
+      })
+      .join(', ');
+  }
+
+  /**
+   * Format trip planner results
+   */
+  static formatTripPlans(plans, home) {
+    const emoji = constants.EMOJIS;
+    
+    if (plans.length === 0) {
+      return `${emoji.WARNING} *No trip plans found*\n\nTry other dates or longer stays.`;
+    }
+    
+    let message = `🗺 *Cheapest Tours from ${home}*`;
+    
+    plans.forEach((plan, index) => {
+      const price = plan.route
+        ? plan.route.displayPrice || Helpers.formatPrice(plan.route.finalPriceZAR || plan.route.totalPrice || 0, 'ZAR')
+        : plan.estimatedPrice !== null
+          ? `~${this.formatDisplayPrice(plan.estimatedPrice, plans.display)} (estimate)`
+          : 'No price found';
+      
+      message += `\n\n*${index + 1}. ${this.formatLegsString(plan.legs)}*`;
+      message += `\n${emoji.MONEY} ${price}`;
+      
+      plan.legs.forEach(leg => {
+        message += `\n${emoji.CALENDAR} ${Helpers.formatDate(leg.date)}: ${leg.from} → ${leg.to}`;
+      });
+      
+      if (plan.route && plan.route.affiliateLink) {
+        message += `\n${emoji.LINK} [Book this tour](${plan.route.affiliateLink})`;
+      }
+    });
+    
+    return message;
+  }
+
   /**
    * Format route summary (compact)
    */
@@ -285,7 +626,7 @@ ${emoji.WARNING} *No Flights Found*
 I couldn't find any available flights for:
 📍 ${searchParams.from} → ${searchParams.to}
 📅 ${Helpers.formatDate(searchParams.date)}
-👥 ${searchParams.passengers || 1} passenger(s)
+👥 ${this.formatPassengerMix(searchParams)}
 
 ${emoji.INFO} *Suggestions:*
 1. Try different dates
@@ -396,16 +737,17 @@ Error details: ${error.message || 'Unknown error'}
   /**
    * Format settings message
    */
-  static formatSettingsMessage() {
+  static formatSettingsMessage(currency = 'ZAR') {
     const emoji = constants.EMOJIS;
+    const currencyInfo = constants.CURRENCIES[currency] || constants.CURRENCIES.ZAR;
     
     return `
 ${emoji.SETTINGS} *Bot Settings*
 
 Configure your Travel Scout experience:
 
-${emoji.MONEY} *Currency:* ZAR (South African Rand)
-Change to USD, EUR, GBP, etc.
+${emoji.MONEY} *Currency:* ${currency} (${currencyInfo.name})
+Change with /currency
 
 ${emoji.GLOBE} *Region:* Africa-focused
 Optimized for African routes and airports
@@ -416,7 +758,7 @@ ${emoji.BELL} *Notifications:*
 • Special deals
 
 ${emoji.SEARCH} *Search Preferences:*
-• Default passengers: 1
+• Default passengers: 1 adult (add children and infants with 👥 Passengers after a search)
 • Include virtual interlining: Yes
 • Maximum stops: 2
 • Preferred airlines: None
@@ -479,6 +821,99 @@ Support: @travelscout_support
     `.trim();
   }
 
+  /**
+   * Format outbound API consumption per provider and key (admin)
+   */
+  static formatProviderUsage(usage) {
+    const limit = (used, max) => (max > 0 ? `${used}/${max} (${Math.round((used / max) * 100)}%)` : `${used}`);
+    
+    let message = `📡 *API Usage*\n`;
+    
+    if (usage.length === 0) {
+      return `${message}\nNo API clients registered yet.`;
+    }
+    
+    usage.forEach(item => {
+      message += `\n*${item.provider.replace(/_/g, ' ')}* (key \`${item.key}\`)\n`;
+      message += `• Last minute: ${limit(item.lastMinute, item.limits.perMinute)}\n`;
+      message += `• Today: ${limit(item.daily, item.limits.daily)}\n`;
+      message += `• This month: ${limit(item.monthly, item.limits.monthly)}\n`;
+      
+      if (item.queued || item.throttled || item.rejected) {
+        message += `• Queued ${item.queued}, throttled ${item.throttled}, over quota ${item.rejected}\n`;
+      }
+    });
+    
+    return message;
+  }
+
+  /**
+   * Format why routes through the given airports were dropped from a search
+   * (admin), converting fares with the search's exchange rate snapshot fx
+   */
+  static formatRejections(searchId, path, ledger, matches, fx = null) {
+    const stageLabels = {
+      duplicate: 'Duplicate',
+      validation: 'Failed validation',
+      'transfer-risk': 'Missed-connection risk',
+      'price-cutoff': 'Price cut-off'
+    };
+
+    let message = `🔎 *Why not ${path}?*\n`;
+
+    if (!ledger) {
+      return `${message}\nNo rejection record for search \`${searchId}\`. It may have expired or the id is wrong.`;
+    }
+
+    const { params } = ledger;
+    message += `Search \`${searchId}\`: ${params.from} → ${params.to}, ${Helpers.formatDate(params.date)}${params.returnDate ? ` – ${Helpers.formatDate(params.returnDate)}` : ''}\n`;
+
+    if (fx) {
+      message += `Prices converted with exchange rate snapshot \`${fx.id}\` of ${Helpers.formatDate(fx.takenAt)} ${Helpers.formatTime(fx.takenAt)}`;
+      message += `${fx.fallback ? ' (built-in fallback rates)' : ''}\n`;
+    } else if (params.fxSnapshotId) {
+      message += `Prices converted with exchange rate snapshot \`${params.fxSnapshotId}\` (no longer stored)\n`;
+    }
+
+    if (matches.length === 0) {
+      message += `\nNo ${path} route was dropped. No provider returned it and it couldn't be stitched from the tickets found.`;
+
+      const counts = Object.entries(ledger.counts);
+      if (counts.length > 0) {
+        message += `\n\n*Dropped in this search:* ${counts.map(([stage, count]) => `${stageLabels[stage] || stage} ${count}`).join(', ')}`;
+      }
+      return message;
+    }
+
+    matches.slice(0, 5).forEach((match, index) => {
+      const { route } = match;
+      const price = route.finalPriceZAR || route.totalPriceZAR || route.totalPrice;
+
+      message += `\n*${index + 1}. ${stageLabels[match.stage] || match.stage}*\n`;
+      message += `${route.airlines.join(', ') || route.source || 'Unknown airline'}`;
+      message += `${price ? ` · ${Helpers.formatPrice(price, route.finalPriceZAR || route.totalPriceZAR ? 'ZAR' : route.currency)}` : ''}\n`;
+      message += `• ${match.reason}\n`;
+
+      // Reproduce the conversion of fares quoted in another currency
+      const rate = fx && route.currency && route.totalPrice ? fx.getRate(route.currency, 'ZAR') : null;
+      if (rate && route.currency !== 'ZAR') {
+        message += `• Fare ${Helpers.formatPrice(route.totalPrice, route.currency)} = ${Helpers.formatPrice(route.totalPrice * rate, 'ZAR')} at 1 ${route.currency} = ${Number(rate.toPrecision(6))} ZAR\n`;
+      }
+
+      match.reports.forEach(report => {
+        report.checks.forEach(check => {
+          message += `  ${check.valid ? '✅' : '❌'} ${check.check}: ${check.details}\n`;
+        });
+      });
+    });
+
+    if (matches.length > 5) {
+      message += `\n…and ${matches.length - 5} more`;
+    }
+
+    return message.trim();
+  }
+
   /**
    * Format stats message (admin)
    */
@@ -516,6 +951,60 @@ Support: @travelscout_support
     return message.trim();
   }
 
+  /**
+   * Format an itemized price: totals, then subtotals per ticket, leg and passenger
+   */
+  static formatFeeBreakdown(breakdown, display = null) {
+    const emoji = constants.EMOJIS;
+    const money = amount => this.formatDisplayPrice(amount, display);
+    const fees = item => item.baggage + item.booking + item.taxes;
+    
+    let message = `${emoji.MONEY} *Price Breakdown:*\n`;
+    message += `• Base fare: ${money(breakdown.baseFare)}\n`;
+    message += `• Baggage: ${money(breakdown.baggage)}\n`;
+    message += `• Booking fee: ${money(breakdown.booking)}\n`;
+    message += `• Taxes: ${money(breakdown.taxes)}\n`;
+    
+    if (breakdown.groundTransfers > 0) {
+      message += `• Airport transfers: ${money(breakdown.groundTransfers)}\n`;
+    }
+    
+    message += `• *Total: ${money(breakdown.total)}*\n`;
+    
+    // Separate tickets are paid separately
+    if (breakdown.tickets.length > 1) {
+      message += `\n*Per ticket:*\n`;
+      breakdown.tickets.forEach((ticket, index) => {
+        message += `${index + 1}. ${ticket.path} (${ticket.provider || 'unknown'}): ${money(ticket.total)}`;
+        message += ` = ${money(ticket.baseFare)} fare + ${money(fees(ticket))} fees\n`;
+      });
+    }
+    
+    message += `\n*Per leg:*\n`;
+    breakdown.legs.forEach(leg => {
+      message += `• ${leg.from} → ${leg.to}${leg.carrier ? ` ${leg.carrier}` : ''}: ${money(leg.total)}`;
+      message += ` (fare ${money(leg.baseFare)}, fees ${money(fees(leg))})\n`;
+    });
+    
+    breakdown.passengers.forEach(passenger => {
+      message += `\n*Per ${passenger.type}${passenger.count > 1 ? ` (×${passenger.count})` : ''}:* ${money(passenger.total)}`;
+      message += ` = ${money(passenger.baseFare)} fare + ${money(passenger.fees)} fees`;
+    });
+    
+    if (breakdown.rulesVersion) {
+      message += `\nFee rules v${breakdown.rulesVersion}`;
+    }
+    
+    // The exchange rates the search was priced with
+    const fx = breakdown.exchangeRate;
+    if (fx) {
+      const rate = fx.currency !== 'ZAR' && fx.rate ? `1 ${fx.currency} = ${Number(fx.rate.toPrecision(6))} ZAR, ` : '';
+      message += `\nExchange rates: ${rate}snapshot ${fx.snapshotId} of ${Helpers.formatDate(fx.takenAt)} ${Helpers.formatTime(fx.takenAt)}`;
+    }
+    
+    return `${message}\n\n`;
+  }
+
   /**
    * Format route details for callback
    */
@@ -536,6 +1025,15 @@ Support: @travelscout_support
       route.segments.forEach((segment, index) => {
         const departure = Helpers.formatTime(segment.departure);
         const arrival = Helpers.formatTime(segment.arrival);
+        
+        if (Helpers.isGroundSegment(segment)) {
+          message += `${index + 1}. ${this.formatGroundIcon(segment)} ${segment.from} → ${segment.to}\n`;
+          message += `   ${segment.operator} (${segment.mode})\n`;
+          message += `   ${segment.fromStation} → ${segment.toStation}\n`;
+          message += `   ${departure} - ${arrival}\n\n`;
+          return;
+        }
+        
         const airline = Helpers.getAirlineName(segment.airline);
         
         message += `${index + 1}. ${segment.from} → ${segment.to}\n`;
@@ -552,12 +1050,7 @@ Support: @travelscout_support
     
     // Price breakdown
     if (route.feeBreakdown) {
-      message += `${emoji.MONEY} *Price Breakdown:*\n`;
-      message += `• Base fare: ${Helpers.formatPrice(route.feeBreakdown.baseFare, 'ZAR')}\n`;
-      message += `• Baggage: ${Helpers.formatPrice(route.feeBreakdown.baggage, 'ZAR')}\n`;
-      message += `• Booking fee: ${Helpers.formatPrice(route.feeBreakdown.booking, 'ZAR')}\n`;
-      message += `• Taxes: ${Helpers.formatPrice(route.feeBreakdown.taxes, 'ZAR')}\n`;
-      message += `• *Total: ${Helpers.formatPrice(route.feeBreakdown.total, 'ZAR')}*\n\n`;
+      message += this.formatFeeBreakdown(route.feeBreakdown, this.getRouteDisplay(route));
     }
     
     // Virtual interline details
@@ -569,8 +1062,38 @@ Support: @travelscout_support
       message += `• Separate tickets for each airline\n\n`;
     }
     
+    // Airport changes
+    if (route.airportChanges && route.airportChanges.length > 0) {
+      message += `${emoji.WARNING} *Change Airports:*\n`;
+      route.airportChanges.forEach(change => {
+        message += `• ${change.from} → ${change.to}: ${this.formatAirportChange(change, this.getRouteDisplay(route))}\n`;
+      });
+      message += `• Collect bags, clear immigration and check in again\n\n`;
+    }
+    
+    // Connection risk
+    if (route.transferRisk && route.transferRisk.connections.length > 0) {
+      message += `${emoji.WARNING} *Missed-connection risk:* ${this.formatRiskPercent(route.transferRisk.probability)} (${RISK_LABELS[route.transferRisk.level]})\n`;
+      route.transferRisk.connections.forEach(connection => {
+        const factors = connection.factors.map(factor => RISK_FACTOR_LABELS[factor] || factor);
+        message += `• ${connection.airport}: ${Helpers.formatDuration(Math.round(connection.hours * 60))}`;
+        message += `${connection.selfTransfer ? ' self-transfer' : ''}, ${this.formatRiskPercent(connection.probability)}`;
+        message += `${factors.length > 0 ? ` (${factors.join(', ')})` : ''}\n`;
+      });
+      message += `\n`;
+    }
+    
+    // Children and infants
+    if (route.passengerWarnings && route.passengerWarnings.length > 0) {
+      message += `${emoji.WARNING} *Travelling with children:*\n`;
+      route.passengerWarnings.forEach(warning => {
+        message += `• ${warning}\n`;
+      });
+      message += `\n`;
+    }
+    
     // Value score
-    if (route.valueScore) {
+    if (typeof route.valueScore === 'number') {
       message += `${emoji.STAR} *Value Score:* ${Math.round(route.valueScore)}/100\n`;
       if (route.valueScore < 30) message += `Excellent value! 🎉\n`;
       else if (route.valueScore < 60) message += `Good value 👍\n`;
@@ -580,6 +1103,13 @@ Support: @travelscout_support
     return message.trim();
   }
 
+  /**
+   * Missed-connection probability as a percentage
+   */
+  static formatRiskPercent(probability) {
+    return probability < 0.01 ? '<1%' : `${Math.round(probability * 100)}%`;
+  }
+
   /**
    * Get country from airport code (simplified)
    */
@@ -627,6 +1157,40 @@ Support: @travelscout_support
     return `${emoji} ${Helpers.formatDate(dateString)}`;
   }
 
+  /**
+   * Currency a route is shown in and its rate from ZAR
+   */
+  static getRouteDisplay(route) {
+    return {
+      currency: (route && route.displayCurrency) || 'ZAR',
+      rate: (route && route.displayRate) || 1
+    };
+  }
+
+  /**
+   * Format a ZAR amount in a display currency ({ currency, rate }), or in ZAR
+   */
+  static formatDisplayPrice(amountZAR, display = null) {
+    if (!display) {
+      return Helpers.formatPrice(amountZAR, 'ZAR');
+    }
+    
+    return Helpers.formatPrice(amountZAR * display.rate, display.currency);
+  }
+
+  /**
+   * List the supported display currencies, marking the user's
+   */
+  static formatCurrencyChoice(current) {
+    const emoji = constants.EMOJIS;
+    const info = constants.CURRENCIES[current] || constants.CURRENCIES.ZAR;
+    
+    let message = `${emoji.MONEY} *Display currency:* ${current} (${info.name})\n\n`;
+    message += `Prices are searched and ranked in ZAR and shown in the currency you pick:`;
+    
+    return message;
+  }
+
   /**
    * Format price with trend indicator
    */
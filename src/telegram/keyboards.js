@@ -38,19 +38,33 @@ class Keyboards {
         };
     }
 
-    static passengerSelector() {
+    /**
+     * Stepper for adults, children and infants. Each button carries the whole
+     * mix it leads to, so no session is needed: passengers:A:C:I redraws the
+     * keyboard and passengers_search:A:C:I searches again with that mix.
+     */
+    static passengerSelector(mix = { adults: 1, children: 0, infants: 0 }) {
+        const { adults, children, infants } = mix;
+        const { MAX_PASSENGERS, MAX_CHILDREN, MAX_INFANTS } = constants.SEARCH;
+        const step = changed => {
+            const next = { adults, children, infants, ...changed };
+            return `passengers:${next.adults}:${next.children}:${next.infants}`;
+        };
+        const seated = adults + children;
+
+        // Steps that can't be booked show as disabled
+        const row = (label, count, canRemove, canAdd, param) => [
+            { text: canRemove ? '➖' : '·', callback_data: canRemove ? step({ [param]: count - 1 }) : 'noop' },
+            { text: `${label}: ${count}`, callback_data: 'noop' },
+            { text: canAdd ? '➕' : '·', callback_data: canAdd ? step({ [param]: count + 1 }) : 'noop' }
+        ];
+
         return {
             inline_keyboard: [
-                [
-                    { text: '1 Adult', callback_data: 'passengers:1' },
-                    { text: '2 Adults', callback_data: 'passengers:2' },
-                    { text: '3 Adults', callback_data: 'passengers:3' }
-                ],
-                [
-                    { text: '4 Adults', callback_data: 'passengers:4' },
-                    { text: '5 Adults', callback_data: 'passengers:5' },
-                    { text: 'Custom', callback_data: 'passengers:custom' }
-                ]
+                row('Adults', adults, adults > 1 && infants < adults, seated < MAX_PASSENGERS, 'adults'),
+                row('Children', children, children > 0, seated < MAX_PASSENGERS && children < MAX_CHILDREN, 'children'),
+                row('Infants', infants, infants > 0, infants < adults && infants < MAX_INFANTS, 'infants'),
+                [{ text: '🔍 Search again', callback_data: `passengers_search:${adults}:${children}:${infants}` }]
             ]
         };
     }
@@ -96,6 +110,38 @@ class Keyboards {
         };
     }
 
+    static sortModes(currentMode) {
+        const modes = [
+            { mode: 'cheapest', text: '💰 Cheapest' },
+            { mode: 'fastest', text: '⚡ Fastest' },
+            { mode: 'best', text: '⭐ Best' },
+            { mode: 'safest', text: '🛡 Safest' }
+        ];
+
+        return {
+            inline_keyboard: [
+                modes.map(({ mode, text }) => ({
+                    text: mode === currentMode ? `✓ ${text}` : text,
+                    callback_data: `sort:${mode}`
+                }))
+            ]
+        };
+    }
+
+    static multiCityActions() {
+        return {
+            inline_keyboard: [
+                [
+                    { text: '➕ Add Leg', callback_data: 'multi_city_add' },
+                    { text: '🔍 Search Now', callback_data: 'multi_city_search' }
+                ],
+                [
+                    { text: '❌ Cancel', callback_data: 'multi_city_cancel' }
+                ]
+            ]
+        };
+    }
+
     static routeActions(routeId, affiliateLink) {
         const keyboard = {
             inline_keyboard: []
@@ -209,6 +255,79 @@ class Keyboards {
             ]
         };
     }
+
+    static currencySelector(current = 'ZAR') {
+        const buttons = Object.entries(constants.CURRENCIES).map(([code, info]) => ({
+            text: `${code === current ? '✅ ' : ''}${code} ${info.symbol}`,
+            callback_data: `currency:${code}`
+        }));
+
+        const rows = [];
+        for (let i = 0; i < buttons.length; i += 3) {
+            rows.push(buttons.slice(i, i + 3));
+        }
+
+        return { inline_keyboard: rows };
+    }
+
+    static priceMatrix(matrix) {
+        const keyboard = [];
+        const cheapestPrice = matrix.cheapest ? matrix.cheapest.price : null;
+        const dayLabel = date => `${date.substring(8, 10)}/${date.substring(5, 7)}`;
+
+        const cellButton = (cell, text) => {
+            if (cell.price === null) {
+                return { text: cell.returnDate && cell.returnDate < cell.outboundDate ? '·' : '—', callback_data: 'noop' };
+            }
+
+            const star = cell.price === cheapestPrice ? '⭐' : '';
+            return {
+                text: `${star}${text}`,
+                callback_data: `flex_pick:${matrix.from}:${matrix.to}:${cell.outboundDate}:${cell.returnDate || ''}`
+            };
+        };
+
+        if (!matrix.returnDate) {
+            // One-way: one row per outbound date
+            matrix.cells.forEach(([cell]) => {
+                const price = cell.price === null ? 'no price' : Keyboards.shortPrice(cell.price);
+                keyboard.push([cellButton(cell, `${dayLabel(cell.outboundDate)} · ${price}`)]);
+            });
+        } else {
+            // Return: outbound dates down, return dates across
+            keyboard.push([
+                { text: 'Out/Ret', callback_data: 'noop' },
+                ...matrix.returnDates.map(date => ({ text: dayLabel(date), callback_data: 'noop' }))
+            ]);
+
+            matrix.cells.forEach((row, index) => {
+                keyboard.push([
+                    { text: dayLabel(matrix.outboundDates[index]), callback_data: 'noop' },
+                    ...row.map(cell => cellButton(cell, Keyboards.shortPrice(cell.price)))
+                ]);
+            });
+        }
+
+        keyboard.push([{ text: '🔍 New Search', callback_data: 'new_search' }]);
+
+        return { inline_keyboard: keyboard };
+    }
+
+    static nearbyAirports(alternatives, searchParams) {
+        const keyboard = alternatives.map(alternative => [{
+            text: `✈️ ${alternative.from.code} → ${alternative.to.code} · ${Keyboards.shortPrice(alternative.totalPrice)}`,
+            callback_data: `flex_pick:${alternative.from.code}:${alternative.to.code}:${searchParams.date}:${searchParams.returnDate || ''}`
+        }]);
+
+        keyboard.push([{ text: '🔍 New Search', callback_data: 'new_search' }]);
+
+        return { inline_keyboard: keyboard };
+    }
+
+    static shortPrice(price) {
+        if (typeof price !== 'number') return '—';
+        return price >= 1000 ? `${(price / 1000).toFixed(1)}k` : `${Math.round(price)}`;
+    }
 }
 
 module.exports = Keyboards;
@@ -0,0 +1,149 @@
+'use strict';
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const botFormatter = require('./formatter');
+
+// Telegram throttles message edits; keep in-place updates at most this often
+const EDIT_INTERVAL_MS = 1000;
+
+/**
+ * Live search progress message - listens to route stitcher progress events
+ * and edits the "Searching..." message in place
+ */
+
+class SearchProgress {
+  constructor(bot, chatId, messageId, searchParams) {
+    this.bot = bot;
+    this.chatId = chatId;
+    this.messageId = messageId;
+    this.searchParams = searchParams;
+
+    this.state = {
+      providers: [],
+      stitchedCount: 0,
+      bestPrice: null,
+      display: null,
+      done: false
+    };
+
+    this.lastText = null;
+    this.lastEditAt = 0;
+    this.editTimer = null;
+    this.pendingEdit = Promise.resolve();
+    this.finished = false;
+
+    this.emitter = new EventEmitter();
+    this.emitter.on('display', data => this.handleDisplay(data));
+    this.emitter.on('start', data => this.handleStart(data));
+    this.emitter.on('provider', data => this.handleProvider(data));
+    this.emitter.on('stitched', data => this.handleStitched(data));
+    this.emitter.on('done', data => this.handleDone(data));
+  }
+
+  handleDisplay(display) {
+    this.state.display = display;
+  }
+
+  handleStart({ providers, searchesPerProvider }) {
+    this.state.providers = providers.map(provider => ({
+      ...provider,
+      pending: provider.unavailable ? 0 : searchesPerProvider,
+      count: 0,
+      failed: false,
+      timedOut: false
+    }));
+    this.scheduleEdit();
+  }
+
+  handleProvider({ provider, ok, timedOut = false, count, bestPrice }) {
+    const status = this.state.providers.find(item => item.name === provider);
+
+    if (status) {
+      status.pending = Math.max(0, status.pending - 1);
+      status.count += count;
+      status.failed = status.failed || !ok;
+      status.timedOut = status.timedOut || timedOut;
+    }
+
+    this.updateBestPrice(bestPrice);
+    this.scheduleEdit();
+  }
+
+  handleStitched({ count, bestPrice }) {
+    this.state.stitchedCount += count;
+    this.updateBestPrice(bestPrice);
+    this.scheduleEdit();
+  }
+
+  handleDone() {
+    this.state.done = true;
+    this.scheduleEdit();
+  }
+
+  updateBestPrice(price) {
+    if (price && (this.state.bestPrice === null || price < this.state.bestPrice)) {
+      this.state.bestPrice = price;
+    }
+  }
+
+  /**
+   * Edit now if the last edit is old enough, otherwise once the interval passes
+   */
+  scheduleEdit() {
+    if (this.finished || this.editTimer) {
+      return;
+    }
+
+    const wait = Math.max(0, this.lastEditAt + EDIT_INTERVAL_MS - Date.now());
+
+    this.editTimer = setTimeout(() => {
+      this.editTimer = null;
+      this.pendingEdit = this.edit();
+    }, wait);
+  }
+
+  async edit(text = botFormatter.formatSearchProgress(this.state, this.searchParams), options = {}) {
+    if (text === this.lastText) {
+      return;
+    }
+
+    this.lastText = text;
+    this.lastEditAt = Date.now();
+
+    try {
+      await this.bot.editMessageText(text, {
+        chat_id: this.chatId,
+        message_id: this.messageId,
+        parse_mode: 'Markdown',
+        ...options
+      });
+    } catch (error) {
+      // Edits race with the final swap and may be "not modified"
+      logger.debug('Search progress edit failed:', error.message);
+    }
+  }
+
+  /**
+   * Stop live updates and replace the progress message with final content
+   */
+  async finish(text, options = {}) {
+    this.finished = true;
+
+    if (this.editTimer) {
+      clearTimeout(this.editTimer);
+      this.editTimer = null;
+    }
+
+    this.emitter.removeAllListeners();
+
+    // Let an in-flight progress edit land before the final one
+    await this.pendingEdit;
+
+    if (text) {
+      await this.edit(text, options);
+    }
+  }
+}
+
+module.exports = SearchProgress;
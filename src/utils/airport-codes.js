@@ -1,5 +1,7 @@
 'use strict';
 
+const config = require('../../config/config');
+
 /**
  * Airport codes and helper functions for African airports
  */
@@ -12,6 +14,7 @@ const africanAirports = {
   'GRJ': { name: 'George Airport', city: 'George', country: 'ZA', latitude: -34.0056, longitude: 22.3789, hub: false },
   'PLZ': { name: 'Port Elizabeth Airport', city: 'Gqeberha', country: 'ZA', latitude: -33.9849, longitude: 25.6173, hub: false },
   'BFN': { name: 'Bram Fischer International Airport', city: 'Bloemfontein', country: 'ZA', latitude: -29.0925, longitude: 26.3025, hub: false },
+  'HLA': { name: 'Lanseria International Airport', city: 'Johannesburg', country: 'ZA', latitude: -25.9385, longitude: 27.9261, hub: false },
 
   // Nigeria
   'LOS': { name: 'Murtala Muhammed International Airport', city: 'Lagos', country: 'NG', latitude: 6.5774, longitude: 3.321, hub: true },
@@ -93,7 +96,7 @@ const africanAirports = {
   'BZV': { name: 'Maya-Maya Airport', city: 'Brazzaville', country: 'CG', latitude: -4.2517, longitude: 15.2530, hub: true },
 
   // DRC
-  'FIH': { name: 'N'djili Airport', city: 'Kinshasa', country: 'CD', latitude: -4.3858, longitude: 15.4446, hub: true },
+  'FIH': { name: 'N\'djili Airport', city: 'Kinshasa', country: 'CD', latitude: -4.3858, longitude: 15.4446, hub: true },
 
   // Sudan
   'KRT': { name: 'Khartoum International Airport', city: 'Khartoum', country: 'SD', latitude: 15.5895, longitude: 32.5532, hub: true },
@@ -114,7 +117,11 @@ const middleEasternHubs = {
 // European hubs (common connections for Africa)
 const europeanHubs = {
   'LHR': { name: 'Heathrow Airport', city: 'London', country: 'GB', latitude: 51.4700, longitude: -0.4543, hub: true },
+  'LGW': { name: 'Gatwick Airport', city: 'London', country: 'GB', latitude: 51.1537, longitude: -0.1821, hub: false },
+  'STN': { name: 'London Stansted Airport', city: 'London', country: 'GB', latitude: 51.8860, longitude: 0.2389, hub: false },
+  'LTN': { name: 'London Luton Airport', city: 'London', country: 'GB', latitude: 51.8747, longitude: -0.3683, hub: false },
   'CDG': { name: 'Charles de Gaulle Airport', city: 'Paris', country: 'FR', latitude: 49.0097, longitude: 2.5479, hub: true },
+  'ORY': { name: 'Paris Orly Airport', city: 'Paris', country: 'FR', latitude: 48.7262, longitude: 2.3652, hub: false },
   'AMS': { name: 'Amsterdam Airport Schiphol', city: 'Amsterdam', country: 'NL', latitude: 52.3081, longitude: 4.7642, hub: true },
   'FRA': { name: 'Frankfurt Airport', city: 'Frankfurt', country: 'DE', latitude: 50.0379, longitude: 8.5622, hub: true },
   'IST': { name: 'Istanbul Airport', city: 'Istanbul', country: 'TR', latitude: 41.2753, longitude: 28.7519, hub: true },
@@ -125,8 +132,10 @@ const europeanHubs = {
 // Major airports worldwide
 const majorAirports = {
   'JFK': { name: 'John F. Kennedy International Airport', city: 'New York', country: 'US', latitude: 40.6413, longitude: -73.7781, hub: true },
+  'EWR': { name: 'Newark Liberty International Airport', city: 'New York', country: 'US', latitude: 40.6895, longitude: -74.1745, hub: false },
+  'LGA': { name: 'LaGuardia Airport', city: 'New York', country: 'US', latitude: 40.7769, longitude: -73.8740, hub: false },
   'LAX': { name: 'Los Angeles International Airport', city: 'Los Angeles', country: 'US', latitude: 33.9416, longitude: -118.4085, hub: true },
-  'ORD': { name: 'O'Hare International Airport', city: 'Chicago', country: 'US', latitude: 41.9742, longitude: -87.9073, hub: true },
+  'ORD': { name: 'O\'Hare International Airport', city: 'Chicago', country: 'US', latitude: 41.9742, longitude: -87.9073, hub: true },
   'HKG': { name: 'Hong Kong International Airport', city: 'Hong Kong', country: 'HK', latitude: 22.3080, longitude: 113.9185, hub: true },
   'SIN': { name: 'Singapore Changi Airport', city: 'Singapore', country: 'SG', latitude: 1.3644, longitude: 103.9915, hub: true },
   'BKK': { name: 'Suvarnabhumi Airport', city: 'Bangkok', country: 'TH', latitude: 13.6811, longitude: 100.7475, hub: true },
@@ -141,14 +150,63 @@ const allAirports = {
   ...majorAirports,
 };
 
+// Cities served by several airports, with the usual transfer between them
+// (minutes door to door, cost in ZAR per person)
+const metroAreas = {
+  'LON': {
+    city: 'London',
+    airports: ['LHR', 'LGW', 'STN', 'LTN'],
+    transfers: {
+      'LGW-LHR': { minutes: 80, costZAR: 850, via: 'National Express coach' },
+      'LHR-STN': { minutes: 110, costZAR: 800, via: 'National Express coach' },
+      'LHR-LTN': { minutes: 80, costZAR: 800, via: 'National Express coach' },
+      'LGW-STN': { minutes: 140, costZAR: 900, via: 'Rail via London' },
+      'LGW-LTN': { minutes: 120, costZAR: 900, via: 'Thameslink rail' },
+      'LTN-STN': { minutes: 90, costZAR: 750, via: 'National Express coach' },
+    },
+  },
+  'NYC': {
+    city: 'New York',
+    airports: ['JFK', 'EWR', 'LGA'],
+    transfers: {
+      'JFK-LGA': { minutes: 45, costZAR: 1000, via: 'Taxi' },
+      'EWR-JFK': { minutes: 90, costZAR: 1800, via: 'Taxi' },
+      'EWR-LGA': { minutes: 75, costZAR: 1600, via: 'Taxi' },
+    },
+  },
+  'PAR': {
+    city: 'Paris',
+    airports: ['CDG', 'ORY'],
+    transfers: {
+      'CDG-ORY': { minutes: 75, costZAR: 500, via: 'RER B and Orlyval' },
+    },
+  },
+  'TYO': {
+    city: 'Tokyo',
+    airports: ['HND', 'NRT'],
+    transfers: {
+      'HND-NRT': { minutes: 90, costZAR: 400, via: 'Airport limousine bus' },
+    },
+  },
+  'CHI': {
+    city: 'Chicago',
+    airports: ['ORD', 'MDW'],
+    transfers: {
+      'MDW-ORD': { minutes: 75, costZAR: 900, via: 'Taxi' },
+    },
+  },
+};
+
 // Helper functions
 class AirportUtils {
   /**
-   * Get airport information by IATA code
+   * Get airport information by IATA code; metro codes resolve to their main airport
    */
   static getAirport(code) {
     if (!code) return null;
-    return allAirports[code.toUpperCase()] || null;
+    const upper = code.toUpperCase();
+    if (metroAreas[upper]) return allAirports[metroAreas[upper].airports[0]] || null;
+    return allAirports[upper] || null;
   }
 
   /**
@@ -194,6 +252,26 @@ class AirportUtils {
       .slice(0, limit);
   }
 
+  /**
+   * Airports within radiusKm of an airport, nearest first, including the airport itself
+   */
+  static getAirportsWithinRadius(code, radiusKm) {
+    const origin = this.getAirport(code);
+    if (!origin) return [{ code, name: code, city: code, distance: 0 }];
+    
+    return Object.entries(allAirports)
+      .map(([otherCode, airport]) => ({
+        code: otherCode,
+        name: airport.name,
+        city: airport.city,
+        distance: otherCode === code
+          ? 0
+          : this.calculateDistance(origin.latitude, origin.longitude, airport.latitude, airport.longitude)
+      }))
+      .filter(airport => airport.distance <= radiusKm)
+      .sort((a, b) => a.distance - b.distance);
+  }
+
   /**
    * Calculate distance between two coordinates (Haversine formula)
    */
@@ -220,6 +298,7 @@ class AirportUtils {
    * Get airport name with city
    */
   static getAirportDisplayName(code) {
+    if (this.isMetroCode(code)) return `${metroAreas[code].city} (all airports)`;
     const airport = this.getAirport(code);
     if (!airport) return code;
     return `${airport.city} (${code})`;
@@ -285,6 +364,7 @@ class AirportUtils {
     const timezones = {
       // South Africa
       'JNB': 'Africa/Johannesburg',
+      'HLA': 'Africa/Johannesburg',
       'CPT': 'Africa/Johannesburg',
       'DUR': 'Africa/Johannesburg',
       
@@ -313,9 +393,13 @@ class AirportUtils {
       
       // UK
       'LHR': 'Europe/London',
+      'LGW': 'Europe/London',
+      'STN': 'Europe/London',
+      'LTN': 'Europe/London',
       
       // France
       'CDG': 'Europe/Paris',
+      'ORY': 'Europe/Paris',
       
       // Netherlands
       'AMS': 'Europe/Amsterdam',
@@ -328,6 +412,8 @@ class AirportUtils {
       
       // USA
       'JFK': 'America/New_York',
+      'EWR': 'America/New_York',
+      'LGA': 'America/New_York',
       'LAX': 'America/Los_Angeles',
     };
     
@@ -390,6 +476,95 @@ class AirportUtils {
     );
   }
 
+  /**
+   * Region of a trip between two airports: domestic, regional (within
+   * Africa) or intercontinental
+   */
+  static getRouteRegion(from, to) {
+    if (this.areSameCountry(from, to)) return 'domestic';
+    if (africanAirports[from] && africanAirports[to]) return 'regional';
+    return 'intercontinental';
+  }
+
+  /**
+   * Metro code for an airport served as part of a multi-airport city, or null
+   */
+  static getMetroCode(code) {
+    const entry = Object.entries(metroAreas).find(([_, metro]) => metro.airports.includes(code));
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * Check if a code is a metro (city) code such as LON
+   */
+  static isMetroCode(code) {
+    return Boolean(code && metroAreas[code]);
+  }
+
+  /**
+   * Airports to search for a location: every member airport for a metro
+   * code, otherwise the airport itself
+   */
+  static expandLocation(code) {
+    return this.isMetroCode(code) ? [...metroAreas[code].airports] : [code];
+  }
+
+  /**
+   * Airport pairs to search between two locations, expanding metro codes
+   */
+  static getAirportPairs(from, to) {
+    return this.expandLocation(from).flatMap(origin =>
+      this.expandLocation(to)
+        .filter(destination => destination !== origin)
+        .map(destination => ({ from: origin, to: destination }))
+    );
+  }
+
+  /**
+   * Check if an airport is the given location or one of its metro airports
+   */
+  static isInLocation(airport, location) {
+    return airport === location || (this.isMetroCode(location) && metroAreas[location].airports.includes(airport));
+  }
+
+  /**
+   * Other airports in the same metro area
+   */
+  static getMetroSiblings(code) {
+    const metroCode = this.getMetroCode(code);
+    return metroCode ? metroAreas[metroCode].airports.filter(airport => airport !== code) : [];
+  }
+
+  /**
+   * Transfer between two airports of a metro area, from the known transfers
+   * or estimated from the distance. Null if they aren't in the same metro.
+   */
+  static getAirportTransfer(code1, code2) {
+    const metroCode = this.getMetroCode(code1);
+    if (!metroCode || code1 === code2 || !metroAreas[metroCode].airports.includes(code2)) return null;
+    
+    const known = metroAreas[metroCode].transfers[[code1, code2].sort().join('-')];
+    if (known) return { metro: metroCode, ...known };
+    
+    const distance = this.getDistanceBetween(code1, code2);
+    const estimate = this.estimateGroundTransfer(distance === null ? 50 : distance);
+    return { metro: metroCode, minutes: estimate.minutes, costZAR: estimate.cost, via: 'Road transfer', estimated: true };
+  }
+
+  /**
+   * Rough road transfer time and cost (ZAR) over a straight-line distance
+   */
+  static estimateGroundTransfer(distanceKm) {
+    const { roadFactor, speedKmh, baseMinutes, baseCostZAR, costPerKmZAR } = config.groundTransfer;
+    const roadKm = distanceKm * roadFactor;
+    
+    return {
+      distanceKm: Math.round(roadKm),
+      minutes: Math.round(baseMinutes + (roadKm / speedKmh) * 60),
+      cost: Math.round(baseCostZAR + roadKm * costPerKmZAR)
+    };
+  }
+
   /**
    * Estimate flight time between airports (in minutes)
    */
@@ -449,5 +624,6 @@ module.exports = {
   middleEasternHubs,
   europeanHubs,
   majorAirports,
+  metroAreas,
   AirportUtils,
 };
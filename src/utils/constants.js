@@ -121,6 +121,14 @@ module.exports = {
     DEFAULT_INFANTS: 0,
   },
 
+  // Passenger types, the search parameter counting each and the share of an
+  // adult fare each pays, used to split a party's fare per passenger
+  PASSENGER_TYPES: {
+    adult: { param: 'adults', label: 'adult', plural: 'adults', fareShare: 1 },
+    child: { param: 'children', label: 'child', plural: 'children', fareShare: 0.75 },
+    infant: { param: 'infants', label: 'infant', plural: 'infants', fareShare: 0.1 },
+  },
+
   // Booking classes
   CABIN_CLASSES: {
     'M': 'Economy',
@@ -143,6 +151,7 @@ module.exports = {
     KIWI: 100, // requests per minute
     TRAVELPAYOUTS: 50,
     SKYSCANNER: 30,
+    EXCHANGE_RATE: 30,
   },
 
   // Emojis for Telegram messages
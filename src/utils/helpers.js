@@ -1,5 +1,13 @@
 const moment = require('moment');
 const { v4: uuidv4 } = require('uuid');
+const constants = require('./constants');
+
+// "2 adults", "1 child", "3 kids", "an infant"... per search parameter
+const PASSENGER_PATTERNS = {
+    adults: /\b(\d+)\s*(?:adults?|pax|passengers?|people|persons?)\b/i,
+    children: /\b(\d+)\s*(?:child(?:ren)?|kids?)\b/i,
+    infants: /\b(\d+)\s*(?:infants?|bab(?:y|ies))\b/i
+};
 
 class Helpers {
     static generateRouteId(segments) {
@@ -24,10 +32,25 @@ class Helpers {
         return moment(date).format(format);
     }
 
+    static formatTime(date) {
+        if (!date) return 'N/A';
+        return moment(date).format(constants.DATE_FORMATS.TIME);
+    }
+
     static formatPrice(amount, currency = 'ZAR') {
         if (typeof amount !== 'number' || isNaN(amount)) return 'N/A';
-        const symbol = currency === 'ZAR' ? 'R' : currency === 'USD' ? '$' : currency === 'EUR' ? '€' : currency;
-        return `${symbol}${amount.toLocaleString('en-US', { minimumFractionDigits: 2 })}`;
+        const info = constants.CURRENCIES[currency];
+        const symbol = info ? info.symbol : currency;
+        const digits = info ? info.decimalDigits : 2;
+        return `${symbol}${amount.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+    }
+
+    static isSupportedCurrency(currency) {
+        return Object.prototype.hasOwnProperty.call(constants.CURRENCIES, currency);
+    }
+
+    static addDays(date, days) {
+        return moment(date).add(days, 'days').format('YYYY-MM-DD');
     }
 
     static parseNaturalDate(text) {
@@ -58,16 +81,92 @@ class Helpers {
             try {
                 return await fn();
             } catch (error) {
-                if (attempt === maxRetries - 1) throw error;
+                // Cancelled requests (search deadline) are not worth retrying either
+                if (attempt === maxRetries - 1 || error.retryable === false || error.code === 'ERR_CANCELED') throw error;
                 const delay = baseDelay * Math.pow(2, attempt);
                 await this.sleep(delay);
             }
         }
     }
 
+    static getAirlineName(code) {
+        const airline = constants.AIRLINES[code];
+        return airline ? airline.name : (code || 'Unknown airline');
+    }
+
+    static isGroundSegment(segment) {
+        return Boolean(segment && segment.mode && segment.mode !== 'flight');
+    }
+
+    /**
+     * Separately booked tickets of a route: its components, or the route itself
+     */
+    static getTickets(route) {
+        const components = (route.components || []).filter(component => component.route && component.route.segments);
+        return components.length > 0 ? components.map(component => component.route) : [route];
+    }
+
+    /**
+     * Adults, children and infants of a search; a bare passenger count means adults
+     */
+    static getPassengerMix(params = {}) {
+        const count = (value, fallback) => {
+            const number = parseInt(value, 10);
+            return Number.isNaN(number) || number < 0 ? fallback : number;
+        };
+
+        return {
+            adults: count(params.adults, count(params.passengers, constants.SEARCH.DEFAULT_ADULTS)),
+            children: count(params.children, constants.SEARCH.DEFAULT_CHILDREN),
+            infants: count(params.infants, constants.SEARCH.DEFAULT_INFANTS)
+        };
+    }
+
+    /**
+     * Passenger counts keyed by type: { adult, child, infant }
+     */
+    static getPassengersByType(mix) {
+        return Object.fromEntries(
+            Object.entries(constants.PASSENGER_TYPES).map(([type, { param }]) => [type, mix[param] || 0])
+        );
+    }
+
+    static countPassengers(mix) {
+        return mix.adults + mix.children + mix.infants;
+    }
+
+    /**
+     * Passenger mix named in a message ("2 adults 1 child 1 infant"), or null
+     */
+    static parsePassengerMix(text) {
+        const found = {};
+
+        Object.entries(PASSENGER_PATTERNS).forEach(([param, pattern]) => {
+            const match = (text || '').match(pattern);
+            if (match) found[param] = parseInt(match[1], 10);
+        });
+
+        if (Object.keys(found).length === 0) return null;
+        return { adults: 1, children: 0, infants: 0, ...found };
+    }
+
+    /**
+     * The message without its passenger mix, so the rest parses as a search
+     */
+    static removePassengerMix(text) {
+        return Object.values(PASSENGER_PATTERNS)
+            .reduce((rest, pattern) => rest.replace(new RegExp(pattern.source, 'gi'), ' '), text || '')
+            .replace(/\s*,\s*(?=,|$)/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
     static generateCacheKey(params) {
-        const { from, to, date, returnDate, passengers, currency } = params;
-        return `search:${from}:${to}:${date}:${returnDate || 'oneway'}:${passengers || 1}:${currency || 'ZAR'}`;
+        const { from, to, date, returnDate, currency } = params;
+        const { adults, children, infants } = Helpers.getPassengerMix(params);
+        const key = `search:${from}:${to}:${date}:${returnDate || 'oneway'}:${adults}-${children}-${infants}:${currency || 'ZAR'}`;
+        // Direct-only results must not be served for a full search
+        return params.directOnly ? `${key}:direct` : key;
     }
 }
 
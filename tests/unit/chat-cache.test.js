@@ -0,0 +1,32 @@
+const ChatCache = require('../../src/telegram/chat-cache');
+
+describe('ChatCache', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('entries expire after the TTL', () => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+        const cache = new ChatCache({ ttlMs: 500, maxEntries: 10 });
+        cache.set(1, 'results');
+
+        now.mockReturnValue(1499);
+        expect(cache.get(1)).toBe('results');
+
+        now.mockReturnValue(1500);
+        expect(cache.has(1)).toBe(false);
+        expect(cache.size).toBe(0);
+    });
+
+    test('the least recently used chat is dropped past the cap', () => {
+        const cache = new ChatCache({ ttlMs: 60000, maxEntries: 2 });
+        cache.set(1, 'a').set(2, 'b');
+        cache.get(1);
+        cache.set(3, 'c');
+
+        expect(cache.has(1)).toBe(true);
+        expect(cache.has(2)).toBe(false);
+        expect(cache.has(3)).toBe(true);
+        expect(cache.size).toBe(2);
+    });
+});
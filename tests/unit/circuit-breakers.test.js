@@ -0,0 +1,83 @@
+const axios = require('axios');
+const circuitBreakers = require('../../src/api/circuit-breakers');
+const providerRegistry = require('../../src/core/provider-registry');
+
+function failingResponse(config, status) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.config = config;
+    error.response = { status, config };
+    return Promise.reject(error);
+}
+
+describe('Circuit breakers', () => {
+    afterEach(() => {
+        circuitBreakers.breakers.clear();
+    });
+
+    test('opens on a high error rate, then half-opens after the cooldown', () => {
+        const breaker = circuitBreakers.get('test');
+        const { minRequests, cooldownMs } = breaker.options;
+        const start = Date.now();
+
+        for (let i = 0; i < minRequests; i++) {
+            expect(breaker.tryAcquire(start)).toBe(true);
+            breaker.record(i === 0, 200, start);
+        }
+
+        expect(breaker.state).toBe('open');
+        expect(breaker.tryAcquire(start + 1)).toBe(false);
+        expect(circuitBreakers.isAvailable('test')).toBe(false);
+
+        // One trial call after the cooldown; a second one waits for its outcome
+        expect(breaker.tryAcquire(start + cooldownMs)).toBe(true);
+        expect(breaker.state).toBe('half-open');
+        expect(breaker.tryAcquire(start + cooldownMs)).toBe(false);
+
+        breaker.record(true, 200, start + cooldownMs);
+        expect(breaker.getStatus()).toMatchObject({ state: 'closed', requests: 0 });
+    });
+
+    test('opens when calls are too slow', () => {
+        const breaker = circuitBreakers.get('slow');
+        const { minRequests, latencyThresholdMs } = breaker.options;
+
+        for (let i = 0; i < minRequests; i++) {
+            breaker.record(true, latencyThresholdMs + 1000);
+        }
+
+        expect(breaker.getStatus()).toMatchObject({ state: 'open', errorRate: 0 });
+    });
+
+    test('fails fast on an attached client while open', async () => {
+        const adapter = jest.fn(config => failingResponse(config, 503));
+        const client = circuitBreakers.attach(axios.create({ adapter }), 'flaky');
+        const { minRequests } = circuitBreakers.get('flaky').options;
+
+        for (let i = 0; i < minRequests; i++) {
+            await expect(client.get('/search')).rejects.toMatchObject({ response: { status: 503 } });
+        }
+
+        await expect(client.get('/search')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN', retryable: false });
+        expect(adapter).toHaveBeenCalledTimes(minRequests);
+        expect(circuitBreakers.getStatus().flaky).toMatchObject({ state: 'open', errorRate: 1 });
+    });
+
+    test('client errors do not count against the provider', async () => {
+        const client = circuitBreakers.attach(axios.create({ adapter: config => failingResponse(config, 400) }), 'strict');
+        const { minRequests } = circuitBreakers.get('strict').options;
+
+        for (let i = 0; i < minRequests; i++) {
+            await expect(client.get('/search')).rejects.toBeDefined();
+        }
+
+        expect(circuitBreakers.getStatus().strict.state).toBe('closed');
+    });
+
+    test('searches skip providers whose breaker is open', () => {
+        const breaker = circuitBreakers.get('skyscanner');
+        breaker.open(Date.now());
+
+        expect(providerRegistry.getAvailable().map(provider => provider.name)).not.toContain('skyscanner');
+        expect(providerRegistry.getUnavailable().map(provider => provider.displayName)).toEqual(['Skyscanner']);
+    });
+});
@@ -0,0 +1,125 @@
+jest.mock('../../src/database/redis-client', () => {
+    const store = new Map();
+    return {
+        store,
+        setnx: jest.fn(async (key, value) => {
+            if (store.has(key)) return false;
+            store.set(key, value);
+            return true;
+        }),
+        get: jest.fn(async key => (store.has(key) ? store.get(key) : null)),
+        set: jest.fn(async (key, value) => {
+            store.set(key, value);
+            return true;
+        }),
+        delIfEquals: jest.fn(async (key, value) => store.get(key) === value && store.delete(key)),
+        getCachedSearchResults: jest.fn(async () => null),
+        cacheSearchResults: jest.fn(async () => true)
+    };
+});
+
+const path = require('path');
+const routeStitcher = require('../../src/core/route-stitcher');
+const priceNormalizer = require('../../src/core/price-normalizer');
+const feeRules = require('../../src/core/fee-rules');
+const FxSnapshot = require('../../src/core/fx-snapshot');
+const exchangeRateAPI = require('../../src/api/exchange-rate-api');
+const redisClient = require('../../src/database/redis-client');
+const Helpers = require('../../src/utils/helpers');
+const BotFormatter = require('../../src/telegram/formatter');
+
+const HOUR = 60 * 60 * 1000;
+
+function route(id, price) {
+    return {
+        id,
+        bookingEngine: 'travelpayouts',
+        airlines: ['KQ'],
+        segments: [{
+            from: 'JNB',
+            to: 'NBO',
+            airline: 'KQ',
+            flightNumber: '761',
+            departure: new Date('2025-03-01T06:00:00Z'),
+            arrival: new Date(new Date('2025-03-01T06:00:00Z').getTime() + 4 * HOUR)
+        }],
+        totalPrice: price,
+        currency: 'ZAR'
+    };
+}
+
+describe('Display currency', () => {
+    beforeAll(async () => {
+        await feeRules.load(path.join(__dirname, '../../data/fee-rules.json'));
+    });
+
+    beforeEach(() => {
+        // R1 = KSh7
+        jest.spyOn(exchangeRateAPI, 'getLatestRates').mockResolvedValue({ base: 'ZAR', rates: { KES: 7 } });
+        jest.spyOn(FxSnapshot, 'take');
+    });
+
+    afterEach(() => {
+        redisClient.store.clear();
+        jest.restoreAllMocks();
+    });
+
+    test('formats amounts with the currency symbol and decimals', () => {
+        expect(Helpers.formatPrice(1234.5, 'KES')).toBe('KSh1,234.50');
+        expect(Helpers.formatPrice(99.999, 'NGN')).toBe('₦100.00');
+        expect(Helpers.formatPrice(10, 'XYZ')).toBe('XYZ10.00');
+    });
+
+    test('searches in ZAR and shows the results in the requested currency', async () => {
+        const routes = await priceNormalizer.normalizeRoutes([route('cheap', 3000), route('dear', 5000)]);
+        const runSearch = jest.spyOn(routeStitcher, 'runSearch').mockResolvedValue(Object.assign(routes, { partial: true }));
+
+        FxSnapshot.take.mockClear();
+
+        const results = await routeStitcher.findCheapestRoutes({ from: 'JNB', to: 'NBO', date: '2025-03-01', currency: 'KES' });
+
+        // The display rate comes from the snapshot the search is priced with
+        expect(FxSnapshot.take).toHaveBeenCalledTimes(1);
+        expect(runSearch.mock.calls[0][3].getRate('ZAR', 'KES')).toBe(7);
+        expect(runSearch.mock.calls[0][0].currency).toBe('ZAR');
+        expect(runSearch.mock.calls[0][1]).toContain(':ZAR');
+        expect(results.map(result => result.id)).toEqual(['cheap', 'dear']);
+        expect(results[0].finalPriceZAR).toBe(3060);
+        expect(results[0].displayCurrency).toBe('KES');
+        expect(results[0].displayPrice).toBe('KSh21,420.00');
+        expect(results.partial).toBe(true);
+        expect(results.searchId).toEqual(expect.any(String));
+    });
+
+    test('unsupported currencies fall back to ZAR', async () => {
+        expect(await priceNormalizer.getDisplay('XYZ')).toEqual({ currency: 'ZAR', rate: 1 });
+        expect(FxSnapshot.take).not.toHaveBeenCalled();
+    });
+
+    test('currencies without a rate are shown in ZAR and flagged', async () => {
+        const display = await priceNormalizer.getDisplay('NGN');
+        const [normalized] = await priceNormalizer.normalizeRoutes([route('cheap', 3000)]);
+        const shown = priceNormalizer.applyDisplay([normalized], display);
+
+        expect(display).toEqual({ currency: 'ZAR', rate: 1, unavailableCurrency: 'NGN' });
+        expect(shown[0].displayPrice).toBe('R3,060.00');
+        expect(BotFormatter.formatSearchSummary(shown, { from: 'JNB', to: 'NBO', date: '2025-03-01' }, null, { display: shown.display }))
+            .toContain('No NGN exchange rate available');
+    });
+
+    test('price breakdowns and search progress use the display currency', async () => {
+        const [normalized] = await priceNormalizer.normalizeRoutes([route('cheap', 3000)]);
+        const [shown] = priceNormalizer.applyDisplay([normalized], await priceNormalizer.getDisplay('KES'));
+
+        expect(BotFormatter.formatRouteDetails(shown)).toContain('Base fare: KSh21,000.00');
+
+        const change = { from: 'LGW', to: 'LHR', via: 'National Express coach', transferMinutes: 80, transferCostZAR: 850 };
+        expect(BotFormatter.formatRouteDetails({ ...shown, airportChanges: [change] })).toContain('~1h 20m, ~KSh5,950.00');
+
+        const progress = BotFormatter.formatSearchProgress(
+            { providers: [], stitchedCount: 0, bestPrice: 1000, display: { currency: 'KES', rate: 7 }, done: false },
+            { from: 'JNB', to: 'NBO', date: '2025-03-01' }
+        );
+        expect(progress).toContain('KSh7,000.00');
+    });
+});
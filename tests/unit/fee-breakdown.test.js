@@ -0,0 +1,108 @@
+const path = require('path');
+const feeRules = require('../../src/core/fee-rules');
+const priceNormalizer = require('../../src/core/price-normalizer');
+const exchangeRateAPI = require('../../src/api/exchange-rate-api');
+const BotFormatter = require('../../src/telegram/formatter');
+
+const HOUR = 60 * 60 * 1000;
+
+function ticket(id, bookingEngine, legs, price) {
+    return {
+        id,
+        bookingEngine,
+        airlines: [...new Set(legs.map(leg => leg[2]))],
+        segments: legs.map(([from, to, airline], index) => ({
+            from,
+            to,
+            airline,
+            flightNumber: `${100 + index}`,
+            departure: new Date(Date.UTC(2025, 2, 1, 6 + index * 8)),
+            arrival: new Date(Date.UTC(2025, 2, 1, 6 + index * 8) + 5 * HOUR)
+        })),
+        totalPrice: price,
+        currency: 'ZAR'
+    };
+}
+
+// Two separately booked tickets: JNB-NBO on Kiwi, NBO-DXB-LHR on Travelpayouts
+function stitchedRoute() {
+    const first = ticket('first', 'kiwi', [['JNB', 'NBO', 'KQ']], 3000);
+    const second = ticket('second', 'travelpayouts', [['NBO', 'DXB', 'EK'], ['DXB', 'LHR', 'EK']], 6000);
+
+    return {
+        id: 'stitched',
+        bookingEngine: 'virtual-interline',
+        airlines: ['KQ', 'EK'],
+        segments: [...first.segments, ...second.segments],
+        components: [{ route: first, type: 'flight' }, { route: second, type: 'flight' }],
+        totalPrice: 9000,
+        currency: 'ZAR',
+        virtualInterline: true
+    };
+}
+
+const sum = (items, field) => items.reduce((total, item) => total + item[field], 0);
+
+describe('Fee breakdown', () => {
+    beforeAll(async () => {
+        await feeRules.load(path.join(__dirname, '../../data/fee-rules.json'));
+    });
+
+    beforeEach(() => {
+        // 1 EUR = R20
+        jest.spyOn(exchangeRateAPI, 'getLatestRates').mockResolvedValue({ base: 'ZAR', rates: { EUR: 0.05 } });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('stitched routes get a subtotal per ticket that adds up to the price', async () => {
+        const normalized = await priceNormalizer.addAllFees(stitchedRoute(), { bags: 1, passengers: 2 });
+        const breakdown = normalized.feeBreakdown;
+
+        expect(breakdown.tickets.map(t => [t.id, t.provider, t.path])).toEqual([
+            ['first', 'kiwi', 'JNB-NBO'],
+            ['second', 'travelpayouts', 'NBO-DXB-LHR']
+        ]);
+        expect(breakdown.tickets[0].baseFare).toBeCloseTo(3000);
+        expect(breakdown.tickets[1].baseFare).toBeCloseTo(6000);
+        expect(sum(breakdown.tickets, 'total')).toBeCloseTo(normalized.finalPriceZAR);
+        expect(sum(breakdown.legs, 'total')).toBeCloseTo(normalized.finalPriceZAR);
+        expect(breakdown.items.map(item => item.ruleId)).toEqual(normalized.feeRuleIds);
+        expect(breakdown.rulesVersion).toBe('2025.2');
+    });
+
+    test('per-segment fees are charged to each flight and shared per passenger', async () => {
+        const normalized = await priceNormalizer.addAllFees(stitchedRoute(), { passengers: 2 });
+        const breakdown = normalized.feeBreakdown;
+
+        // R180 per passenger per segment, 3 segments, 2 passengers
+        expect(breakdown.booking).toBe(1080);
+        breakdown.legs.forEach(leg => expect(leg.booking).toBeCloseTo(360));
+        expect(breakdown.passengers).toEqual([
+            expect.objectContaining({ type: 'adult', count: 2, baseFare: 4500, fees: 540, total: 5040 })
+        ]);
+    });
+
+    test('each ticket of a self-transfer carries its own booking fee', async () => {
+        const route = { ...stitchedRoute(), bookingEngine: 'travelpayouts' };
+        const normalized = await priceNormalizer.addAllFees(route, { passengers: 1 });
+        const breakdown = normalized.feeBreakdown;
+
+        expect(breakdown.items).toEqual([{ ruleId: 'booking-default', category: 'booking', amount: 120 }]);
+        breakdown.tickets.forEach(item => expect(item.booking).toBeCloseTo(60));
+    });
+
+    test('More Details lists the ticket, leg and passenger subtotals', async () => {
+        const normalized = await priceNormalizer.addAllFees(stitchedRoute(), { bags: 1 });
+        const message = BotFormatter.formatRouteDetails(normalized);
+
+        expect(message).toContain('*Per ticket:*');
+        expect(message).toContain('JNB-NBO (kiwi)');
+        expect(message).toContain('*Per leg:*');
+        expect(message).toContain('DXB → LHR EK');
+        expect(message).toContain('*Per adult:*');
+        expect(message).toContain('Fee rules v2025.2');
+    });
+});
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const feeRules = require('../../src/core/fee-rules');
+const priceNormalizer = require('../../src/core/price-normalizer');
+const exchangeRateAPI = require('../../src/api/exchange-rate-api');
+
+const HOUR = 60 * 60 * 1000;
+
+function route(bookingEngine, legs, price, extra = {}) {
+    return {
+        id: `${bookingEngine}-route`,
+        bookingEngine,
+        airlines: [...new Set(legs.map(leg => leg[2]))],
+        segments: legs.map(([from, to, airline], index) => ({
+            from,
+            to,
+            airline,
+            departure: new Date(Date.UTC(2025, 2, 1, 6 + index * 8)),
+            arrival: new Date(Date.UTC(2025, 2, 1, 6 + index * 8) + 5 * HOUR)
+        })),
+        totalPrice: price,
+        currency: 'ZAR',
+        ...extra
+    };
+}
+
+describe('Fee rules', () => {
+    beforeAll(async () => {
+        await feeRules.load(path.join(__dirname, '../../data/fee-rules.json'));
+    });
+
+    beforeEach(() => {
+        // 1 EUR = R20
+        jest.spyOn(exchangeRateAPI, 'getLatestRates').mockResolvedValue({ base: 'ZAR', rates: { EUR: 0.05 } });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('prices fees from the rule set and records its version', async () => {
+        const normalized = await priceNormalizer.addAllFees(route('kiwi', [['JNB', 'NBO', 'KQ']], 5000), { bags: 1, passengers: 2, cabinClass: 'M' });
+
+        expect(normalized.baggageFeeZAR).toBe(350);
+        expect(normalized.bookingFeeZAR).toBe(200); // EUR 5 per passenger
+        expect(normalized.taxAmountZAR).toBe(0); // fares already include taxes
+        expect(normalized.finalPriceZAR).toBe(5550);
+        expect(normalized.feeRuleIds).toEqual(['baggage-economy', 'booking-kiwi']);
+        expect(normalized.feeRulesVersion).toBe('2025.2');
+    });
+
+    test('the most specific matching rule in a category wins', async () => {
+        const lowCost = await feeRules.calculateFees(route('travelpayouts', [['JNB', 'CPT', 'FA']], 1200), 1200, { bags: 2 });
+        const business = await feeRules.calculateFees(route('travelpayouts', [['JNB', 'CPT', 'SA']], 6000), 6000, { bags: 2, cabinClass: 'C' });
+
+        expect(lowCost).toEqual([
+            { ruleId: 'baggage-economy-low-cost', category: 'baggage', calculation: 'fixed', per: 'bag', amountZAR: 900 },
+            { ruleId: 'booking-default', category: 'booking', calculation: 'fixed', per: 'booking', amountZAR: 60 }
+        ]);
+        expect(business.map(fee => fee.ruleId)).toEqual(['booking-default']); // two bags included
+    });
+
+    test('supports percentage and per-segment fees', async () => {
+        const skyscanner = await feeRules.calculateFees(route('skyscanner', [['JNB', 'DXB', 'EK']], 8000), 8000);
+        const stitched = await feeRules.calculateFees(
+            route('virtual-interline', [['JNB', 'ADD', 'ET'], ['ADD', 'LHR', 'ET']], 9000),
+            9000,
+            { passengers: 2 }
+        );
+
+        expect(skyscanner).toEqual([
+            { ruleId: 'booking-skyscanner', category: 'booking', calculation: 'percentage', per: 'booking', amountZAR: 200 }
+        ]);
+        expect(stitched).toEqual([
+            { ruleId: 'booking-virtual-interline-intercontinental', category: 'booking', calculation: 'per-segment', per: 'passenger', amountZAR: 720, passengers: { adult: 2 } }
+        ]);
+    });
+
+    test('per-booking fees are charged once per separately booked ticket', async () => {
+        const first = route('travelpayouts', [['JNB', 'NBO', 'KQ']], 3000);
+        const second = route('travelpayouts', [['NBO', 'ADD', 'ET']], 2000);
+        const selfTransfer = route('travelpayouts', [['JNB', 'NBO', 'KQ'], ['NBO', 'ADD', 'ET']], 5000, {
+            components: [{ route: first, type: 'leg1' }, { route: second, type: 'leg2' }]
+        });
+
+        expect(await feeRules.calculateFees(first, 3000)).toEqual([
+            { ruleId: 'booking-default', category: 'booking', calculation: 'fixed', per: 'booking', amountZAR: 60 }
+        ]);
+        expect(await feeRules.calculateFees(selfTransfer, 5000)).toEqual([
+            { ruleId: 'booking-default', category: 'booking', calculation: 'fixed', per: 'booking', amountZAR: 120 }
+        ]);
+    });
+
+    test('reads the rule set once, asynchronously, however many searches wait on it', async () => {
+        const readFile = jest.spyOn(fs.promises, 'readFile');
+        const readFileSync = jest.spyOn(fs, 'readFileSync');
+        feeRules.loading = null;
+
+        await Promise.all([feeRules.ensureLoaded(), feeRules.ensureLoaded(), priceNormalizer.normalizeRoutes([])]);
+
+        expect(readFile).toHaveBeenCalledTimes(1);
+        expect(readFileSync).not.toHaveBeenCalled();
+        expect(feeRules.rules.length).toBeGreaterThan(0);
+    });
+
+    test('skips rules that do not validate', async () => {
+        const file = path.join(os.tmpdir(), `fee-rules-${process.pid}.json`);
+        fs.writeFileSync(file, JSON.stringify({
+            version: 'test',
+            rules: [
+                { id: 'ok', category: 'tax', calculation: 'percentage', amount: 15 },
+                { id: 'no-currency', category: 'booking', calculation: 'fixed', amount: 10 },
+                { id: 'bad-field', category: 'booking', calculation: 'percentage', amount: 1, match: { country: ['ZA'] } }
+            ]
+        }));
+
+        try {
+            await feeRules.load(file);
+            expect(feeRules.version).toBe('test');
+            expect(feeRules.rules.map(rule => rule.id)).toEqual(['ok']);
+        } finally {
+            fs.unlinkSync(file);
+            await feeRules.load(path.join(__dirname, '../../data/fee-rules.json'));
+        }
+    });
+});
@@ -0,0 +1,87 @@
+jest.mock('../../src/core/provider-registry', () => ({
+    getAvailable: jest.fn()
+}));
+
+const providerRegistry = require('../../src/core/provider-registry');
+const flexibleDateSearch = require('../../src/core/flexible-date-search');
+const exchangeRateAPI = require('../../src/api/exchange-rate-api');
+
+function provider(monthPrices, searchPrice = null, currency = 'ZAR') {
+    return {
+        getMonthPrices: jest.fn(async (from, to) => monthPrices[`${from}-${to}`] || []),
+        search: jest.fn(async () => (searchPrice ? [{ totalPrice: searchPrice, currency }] : []))
+    };
+}
+
+describe('FlexibleDateSearch', () => {
+    beforeEach(() => {
+        // 1 EUR = R20
+        jest.spyOn(exchangeRateAPI, 'getLatestRates').mockResolvedValue({ base: 'ZAR', rates: { EUR: 0.05 } });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('builds a return matrix from the cheapest month price per day', async () => {
+        providerRegistry.getAvailable.mockReturnValue([
+            provider({
+                'JNB-CPT': [{ date: '2099-03-10', price: 1000 }, { date: '2099-03-11', price: 800 }],
+                'CPT-JNB': [{ date: '2099-03-12', price: 900 }]
+            }),
+            provider({
+                'JNB-CPT': [{ date: '2099-03-10', price: 700 }],
+                'CPT-JNB': [{ date: '2099-03-11', price: 600 }]
+            })
+        ]);
+
+        const matrix = await flexibleDateSearch.buildPriceMatrix({
+            from: 'JNB',
+            to: 'CPT',
+            date: '2099-03-10',
+            returnDate: '2099-03-12',
+            flexibleDays: 1,
+            currency: 'ZAR'
+        });
+
+        expect(matrix.flexible).toBe(true);
+        expect(matrix.outboundDates).toEqual(['2099-03-09', '2099-03-10', '2099-03-11']);
+        expect(matrix.returnDates).toEqual(['2099-03-11', '2099-03-12', '2099-03-13']);
+
+        const [, row10, row11] = matrix.cells;
+        expect(row10[0]).toMatchObject({ returnDate: '2099-03-11', price: 1300, estimated: true });
+        expect(row10[1].price).toBe(1600);
+        expect(row11[0].price).toBe(1400);
+        expect(matrix.cheapest).toMatchObject({ outboundDate: '2099-03-10', returnDate: '2099-03-11', price: 1300 });
+    });
+
+    test('falls back to a full search for dates without month prices', async () => {
+        const fallback = provider({}, 1500);
+        providerRegistry.getAvailable.mockReturnValue([fallback]);
+
+        const matrix = await flexibleDateSearch.buildPriceMatrix({
+            from: 'JNB',
+            to: 'NBO',
+            date: '2099-05-01',
+            flexibleDays: 1
+        });
+
+        expect(matrix.returnDates).toEqual([null]);
+        expect(matrix.cells.map(([cell]) => cell.price)).toEqual([1500, 1500, 1500]);
+        expect(fallback.search).toHaveBeenCalledTimes(3);
+    });
+
+    test('fallback prices are converted to the matrix currency', async () => {
+        providerRegistry.getAvailable.mockReturnValue([provider({}, 75, 'EUR'), provider({}, 1600)]);
+
+        const matrix = await flexibleDateSearch.buildPriceMatrix({
+            from: 'JNB',
+            to: 'NBO',
+            date: '2099-05-01',
+            flexibleDays: 0,
+            currency: 'ZAR'
+        });
+
+        expect(matrix.cells[0][0].price).toBeCloseTo(1500);
+    });
+});
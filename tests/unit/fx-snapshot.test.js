@@ -0,0 +1,107 @@
+const path = require('path');
+const FxSnapshot = require('../../src/core/fx-snapshot');
+const feeRules = require('../../src/core/fee-rules');
+const priceNormalizer = require('../../src/core/price-normalizer');
+const exchangeRateAPI = require('../../src/api/exchange-rate-api');
+const redisClient = require('../../src/database/redis-client');
+const BotFormatter = require('../../src/telegram/formatter');
+
+const HOUR = 60 * 60 * 1000;
+
+function route(id, price, currency) {
+    return {
+        id,
+        bookingEngine: 'travelpayouts',
+        airlines: ['KQ'],
+        segments: [{
+            from: 'JNB',
+            to: 'NBO',
+            airline: 'KQ',
+            flightNumber: '761',
+            departure: new Date('2025-03-01T06:00:00Z'),
+            arrival: new Date(new Date('2025-03-01T06:00:00Z').getTime() + 4 * HOUR)
+        }],
+        totalPrice: price,
+        currency
+    };
+}
+
+describe('Exchange rate snapshot', () => {
+    let latestRates;
+
+    beforeAll(async () => {
+        await feeRules.load(path.join(__dirname, '../../data/fee-rules.json'));
+    });
+
+    beforeEach(() => {
+        // 1 EUR = R20, 1 USD = R18
+        latestRates = jest.spyOn(exchangeRateAPI, 'getLatestRates').mockResolvedValue({ base: 'ZAR', rates: { EUR: 0.05, USD: 1 / 18 } });
+        jest.spyOn(exchangeRateAPI, 'convert');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('prices every route of a search from one rate lookup', async () => {
+        const routes = Array.from({ length: 50 }, (_, index) => route(`r${index}`, 100 + index, index % 2 ? 'EUR' : 'USD'));
+
+        const normalized = await priceNormalizer.normalizeRoutes(routes);
+
+        expect(latestRates).toHaveBeenCalledTimes(1);
+        expect(exchangeRateAPI.convert).not.toHaveBeenCalled();
+        expect(normalized).toHaveLength(50);
+        expect(normalized[0].totalPriceZAR).toBeCloseTo(1800);
+        expect(normalized[1].totalPriceZAR).toBeCloseTo(2020);
+        expect(new Set(normalized.map(item => item.fxSnapshot.id)).size).toBe(1);
+    });
+
+    test('rates that change mid-search do not move its prices', async () => {
+        const fx = await FxSnapshot.take('ZAR');
+        latestRates.mockResolvedValue({ base: 'ZAR', rates: { EUR: 0.04 } });
+
+        const [normalized] = await priceNormalizer.normalizeRoutes([route('eur', 100, 'EUR')], {}, fx);
+
+        expect(normalized.totalPriceZAR).toBeCloseTo(2000);
+        expect(normalized.fxSnapshot).toEqual({ id: fx.id, takenAt: fx.takenAt });
+    });
+
+    test('a taken snapshot prices routes and their fees without waiting', async () => {
+        const fx = await FxSnapshot.take('ZAR');
+        latestRates.mockClear();
+
+        const normalized = priceNormalizer.addAllFeesSync(route('eur', 100, 'EUR'), { bags: 1 }, fx);
+
+        expect(latestRates).not.toHaveBeenCalled();
+        expect(normalized.totalPriceZAR).toBeCloseTo(2000);
+        expect(normalized.finalPriceZAR).toBeGreaterThan(2000);
+        expect(feeRules.calculateFeesSync(normalized, 2000, { bags: 1 }, fx)).toEqual(
+            await feeRules.calculateFees(normalized, 2000, { bags: 1 }, fx)
+        );
+    });
+
+    test('a stored snapshot reproduces and explains the price', async () => {
+        const stored = new Map();
+        jest.spyOn(redisClient, 'set').mockImplementation(async (key, value) => stored.set(key, JSON.parse(JSON.stringify(value))));
+        jest.spyOn(redisClient, 'get').mockImplementation(async key => stored.get(key) || null);
+
+        const fx = await FxSnapshot.take('ZAR');
+        const [normalized] = await priceNormalizer.normalizeRoutes([route('eur', 100, 'EUR')], {}, fx);
+        await fx.save();
+
+        const reloaded = await FxSnapshot.load(normalized.fxSnapshot.id);
+        expect(reloaded.convert(100, 'EUR', 'ZAR')).toBeCloseTo(normalized.totalPriceZAR);
+        expect(normalized.feeBreakdown.exchangeRate).toMatchObject({ snapshotId: fx.id, currency: 'EUR', rate: 20 });
+        expect(BotFormatter.formatFeeBreakdown(normalized.feeBreakdown)).toContain(`1 EUR = 20 ZAR, snapshot ${fx.id}`);
+    });
+
+    test('falls back to the built-in rates when none can be loaded', async () => {
+        latestRates.mockRejectedValue(new Error('Redis down'));
+
+        const fx = await FxSnapshot.take('ZAR');
+
+        expect(fx.fallback).toBe(true);
+        expect(fx.convert(100, 'ZAR', 'ZAR')).toBe(100);
+        expect(fx.convert(100, 'XYZ', 'ZAR')).toBe(100);
+    });
+});
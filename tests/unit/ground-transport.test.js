@@ -0,0 +1,107 @@
+jest.mock('../../src/api/exchange-rate-api', () => ({
+    getLatestRates: jest.fn(async () => ({ base: 'ZAR', rates: { RWF: 1 / 0.0135 } }))
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const groundTransport = require('../../src/core/ground-transport');
+const FxSnapshot = require('../../src/core/fx-snapshot');
+const routeStitcher = require('../../src/core/route-stitcher');
+const validator = require('../../src/core/validator');
+
+const HOUR = 60 * 60 * 1000;
+
+function flight(from, to, departure, hours, price) {
+    const departs = new Date(departure);
+    return {
+        id: `${from}-${to}-${departure}`,
+        airlines: ['KQ'],
+        segments: [{
+            airline: 'KQ',
+            flightNumber: '413',
+            from,
+            to,
+            departure: departs,
+            arrival: new Date(departs.getTime() + hours * HOUR)
+        }],
+        totalPrice: price,
+        currency: 'ZAR'
+    };
+}
+
+describe('GroundTransport', () => {
+    beforeEach(async () => {
+        await groundTransport.load();
+    });
+
+    test('builds tickets from the JSON timetables in local station time', async () => {
+        const tickets = await groundTransport.getTickets('KGL', 'NBO', '2025-03-03');
+        const morningBus = tickets.find(ticket => ticket.segments[0].flightNumber === 'coach-kgl-ebb-0600');
+
+        // 06:00 in Kigali is 04:00 UTC
+        expect(morningBus.segments[0].departure.toISOString()).toBe('2025-03-03T04:00:00.000Z');
+        expect(morningBus.segments[0].mode).toBe('bus');
+        expect(morningBus.totalPriceZAR).toBeCloseTo(20000 * 0.0135);
+        expect((await groundTransport.getGateways('KGL', 'NBO')).origins).toContain('EBB');
+    });
+
+    test('prices fares with the search\'s exchange rate snapshot', async () => {
+        const fx = new FxSnapshot({ id: 'search', base: 'ZAR', rates: { RWF: 50 }, takenAt: new Date().toISOString() });
+
+        const tickets = await groundTransport.getTickets('KGL', 'NBO', '2025-03-03', fx);
+        const morningBus = tickets.find(ticket => ticket.segments[0].flightNumber === 'coach-kgl-ebb-0600');
+
+        expect(morningBus.totalPriceZAR).toBeCloseTo(20000 / 50);
+    });
+
+    test('stitches a bus ride with a flight using station transfer rules', async () => {
+        const [bus] = (await groundTransport.getTickets('KGL', 'NBO', '2025-03-03'))
+            .filter(ticket => ticket.segments[0].flightNumber === 'coach-kgl-ebb-0600');
+
+        // Bus arrives 15:00 UTC; check-in plus the 20 minute station transfer needs 110 minutes
+        const tooTight = flight('EBB', 'NBO', '2025-03-03T16:30:00Z', 1, 3000);
+        const inTime = flight('EBB', 'NBO', '2025-03-03T17:30:00Z', 1, 3200);
+
+        const routes = routeStitcher.generateInterlineRoutes([bus, tooTight, inTime], 'KGL', 'NBO');
+
+        expect(routes).toHaveLength(1);
+        expect(routes[0].intermodal).toBe(true);
+        expect(routes[0].segments[1].departure).toEqual(inTime.segments[0].departure);
+        expect(validator.validateRoute(routes[0])).toBe(true);
+    });
+
+    test('loads GTFS feeds with calendars and fares', async () => {
+        const feed = fs.mkdtempSync(path.join(os.tmpdir(), 'gtfs-'));
+        const files = {
+            'agency.txt': 'agency_id,agency_name,agency_timezone\nGT,Gautrain,Africa/Johannesburg\n',
+            'stops.txt': 'stop_id,stop_code,stop_name,zone_id\n1,JNB,"O.R. Tambo, Gautrain",A\n2,,Marlboro,B\n3,PTA,Pretoria,C\n',
+            'routes.txt': 'route_id,agency_id,route_short_name,route_type\nR1,GT,Airport,2\n',
+            'trips.txt': 'route_id,service_id,trip_id\nR1,WEEKDAY,T1\n',
+            'stop_times.txt': 'trip_id,arrival_time,departure_time,stop_id,stop_sequence\nT1,07:00:00,07:00:00,1,1\nT1,07:15:00,07:16:00,2,2\nT1,07:45:00,07:45:00,3,3\n',
+            'calendar.txt': 'service_id,monday,tuesday,wednesday,thursday,friday,saturday,sunday,start_date,end_date\nWEEKDAY,1,1,1,1,1,0,0,20250101,20251231\n',
+            'calendar_dates.txt': 'service_id,date,exception_type\nWEEKDAY,20250304,2\n',
+            'fare_attributes.txt': 'fare_id,price,currency_type\nF1,210,ZAR\n',
+            'fare_rules.txt': 'fare_id,route_id\nF1,R1\n'
+        };
+
+        fs.mkdirSync(path.join(feed, 'gautrain'));
+        for (const [name, content] of Object.entries(files)) {
+            fs.writeFileSync(path.join(feed, 'gautrain', name), content);
+        }
+
+        await groundTransport.load(feed);
+
+        const monday = await groundTransport.getTickets('JNB', 'PTA', '2025-03-03');
+        const removed = await groundTransport.getTickets('JNB', 'PTA', '2025-03-04');
+        const saturday = await groundTransport.getTickets('JNB', 'PTA', '2025-03-08');
+
+        expect(monday).toHaveLength(1);
+        expect(monday[0].segments[0]).toMatchObject({ mode: 'train', operator: 'Gautrain', fromStation: 'O.R. Tambo, Gautrain' });
+        expect(monday[0].totalDuration).toBe(45);
+        expect(removed).toHaveLength(0);
+        expect(saturday).toHaveLength(0);
+
+        fs.rmSync(feed, { recursive: true, force: true });
+    });
+});
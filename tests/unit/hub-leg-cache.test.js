@@ -0,0 +1,81 @@
+jest.mock('../../src/database/redis-client', () => {
+    const store = new Map();
+    const metrics = new Map();
+    return {
+        store,
+        metrics,
+        getCachedSearchResults: jest.fn(async key => store.get(key) || null),
+        cacheSearchResults: jest.fn(async (key, results) => store.set(key, results)),
+        multi: jest.fn(async commands => {
+            commands
+                .filter(([command]) => command === 'HINCRBY')
+                .forEach(([, , field, increment]) => metrics.set(field, (metrics.get(field) || 0) + increment));
+            return [];
+        }),
+        hgetall: jest.fn(async () => Object.fromEntries(metrics))
+    };
+});
+
+const redisClient = require('../../src/database/redis-client');
+const hubLegCache = require('../../src/core/hub-leg-cache');
+
+const leg = { from: 'JNB', to: 'ADD', date: '2025-03-01', adults: 1, tripType: 'oneway' };
+const flushBackground = () => new Promise(resolve => setImmediate(resolve));
+
+function provider(name = 'kiwi') {
+    return { name, search: jest.fn(async () => [{ id: `${name}-ADD` }]) };
+}
+
+describe('Hub leg cache', () => {
+    afterEach(() => {
+        redisClient.store.clear();
+        redisClient.metrics.clear();
+        jest.clearAllMocks();
+    });
+
+    test('searches like legs once and serves the rest from cache', async () => {
+        const kiwi = provider();
+
+        const first = await hubLegCache.fetch(kiwi, leg);
+        await flushBackground();
+        const second = await hubLegCache.fetch(kiwi, { ...leg, adults: 1 });
+
+        expect(first).toEqual([{ id: 'kiwi-ADD' }]);
+        expect(second).toEqual(first);
+        expect(kiwi.search).toHaveBeenCalledTimes(1);
+    });
+
+    test('each provider and cabin is cached on its own key', () => {
+        expect(hubLegCache.getCacheKey('kiwi', leg)).not.toBe(hubLegCache.getCacheKey('skyscanner', leg));
+        expect(hubLegCache.getCacheKey('kiwi', leg)).not.toBe(hubLegCache.getCacheKey('kiwi', { ...leg, cabinClass: 'C' }));
+        expect(hubLegCache.getCacheKey('kiwi', leg)).toBe(hubLegCache.getCacheKey('kiwi', { ...leg, returnDate: '2025-03-09' }));
+    });
+
+    test('records hits and misses per leg in one round-trip', async () => {
+        const kiwi = provider();
+
+        await hubLegCache.fetch(kiwi, leg);
+        await flushBackground();
+        await hubLegCache.fetch(kiwi, leg);
+        await hubLegCache.fetch(kiwi, leg);
+        await flushBackground();
+
+        const stats = await hubLegCache.getStats();
+        expect(redisClient.multi).toHaveBeenCalledTimes(3);
+        expect(stats.legs['JNB-ADD:2025-03-01']).toMatchObject({ hits: 2, misses: 1 });
+        expect(stats.totals.hitRate).toBeCloseTo(2 / 3);
+    });
+
+    test('a failing cache falls back to searching the provider', async () => {
+        const kiwi = provider();
+        redisClient.getCachedSearchResults.mockRejectedValueOnce(new Error('Redis down'));
+        redisClient.cacheSearchResults.mockRejectedValueOnce(new Error('Redis down'));
+        redisClient.multi.mockRejectedValueOnce(new Error('Redis down'));
+
+        const results = await hubLegCache.fetch(kiwi, leg);
+        await flushBackground();
+
+        expect(results).toEqual([{ id: 'kiwi-ADD' }]);
+        expect(kiwi.search).toHaveBeenCalledTimes(1);
+    });
+});
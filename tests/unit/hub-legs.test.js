@@ -0,0 +1,63 @@
+const routeStitcher = require('../../src/core/route-stitcher');
+const hubLegCache = require('../../src/core/hub-leg-cache');
+
+const search = { from: 'CPT', to: 'JFK', date: '2025-03-01' };
+const providers = [{ name: 'kiwi' }, { name: 'travelpayouts' }];
+
+describe('Hub legs', () => {
+    let fetch;
+
+    beforeEach(() => {
+        fetch = jest.spyOn(hubLegCache, 'fetch').mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('candidate hubs leave out the endpoints and long detours', () => {
+        const hubs = routeStitcher.selectCandidateHubs('CPT', 'JFK');
+
+        expect(hubs).toHaveLength(5);
+        expect(hubs).not.toContain('CPT');
+        // Dubai is far out of the way between Cape Town and New York
+        expect(hubs).not.toContain('DXB');
+        expect(routeStitcher.selectCandidateHubs('JNB', 'LON')).not.toContain('LHR');
+    });
+
+    test('each hub is searched with its onward legs, across a metro hub\'s airports', async () => {
+        const groups = await routeStitcher.getHubLegGroups(search);
+        const london = groups.find(group => group[0].to === 'LHR');
+
+        expect(london.map(leg => `${leg.from}-${leg.to} ${leg.date}`)).toEqual([
+            'CPT-LHR 2025-03-01',
+            'LHR-JFK 2025-03-01',
+            'LHR-JFK 2025-03-02',
+            'LGW-JFK 2025-03-01',
+            'STN-JFK 2025-03-01',
+            'LTN-JFK 2025-03-01'
+        ]);
+    });
+
+    test('the budget keeps whole hub groups, never an inbound leg without its onward legs', async () => {
+        // 10 legs per provider: three 3-leg hubs fit, Paris (4 legs) and London (6) don't
+        await routeStitcher.searchHubLegs(search, providers, 20);
+
+        const legs = fetch.mock.calls.filter(([provider]) => provider.name === 'kiwi').map(([, params]) => params);
+        const inbound = legs.filter(leg => leg.from === 'CPT').map(leg => leg.to);
+
+        expect(fetch).toHaveBeenCalledTimes(18);
+        expect(inbound).toHaveLength(3);
+        expect(inbound).not.toContain('CDG');
+        expect(inbound).not.toContain('LHR');
+        inbound.forEach(hub => {
+            expect(legs.filter(leg => leg.from === hub && leg.to === 'JFK')).toHaveLength(2);
+        });
+        expect(legs.every(leg => leg.tripType === 'oneway' && leg.returnDate === null)).toBe(true);
+    });
+
+    test('no providers means no hub searches', async () => {
+        expect(await routeStitcher.searchHubLegs(search, [])).toEqual([]);
+        expect(fetch).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,68 @@
+const InterlineGraph = require('../../src/core/interline-graph');
+
+const HOUR = 60 * 60 * 1000;
+
+function ticket(id, from, to, depHour, arrHour, price, airline = 'XX') {
+    const base = Date.UTC(2025, 0, 10);
+    return {
+        id,
+        airlines: [airline],
+        segments: [{
+            airline,
+            flightNumber: '100',
+            from,
+            to,
+            departure: new Date(base + depHour * HOUR),
+            arrival: new Date(base + arrHour * HOUR)
+        }],
+        totalPrice: price
+    };
+}
+
+function buildGraph(tickets, maxSelfTransfers = 2) {
+    return new InterlineGraph({
+        minConnectionTime: 2 * HOUR,
+        maxConnectionTime: 24 * HOUR,
+        maxSelfTransfers
+    }).build(tickets, 'JNB', 'DXB');
+}
+
+describe('InterlineGraph', () => {
+    test('finds cheapest self-transfer itineraries in price order', () => {
+        const graph = buildGraph([
+            ticket('a', 'JNB', 'ADD', 6, 11, 2000, 'FA'),
+            ticket('b', 'ADD', 'DXB', 17, 22, 3000, 'ET'),
+            ticket('c', 'ADD', 'DXB', 20, 25, 2500, 'ET'),
+            ticket('direct', 'JNB', 'DXB', 8, 16, 9000, 'EK')
+        ]);
+
+        const paths = graph.findCheapestPaths(5);
+
+        expect(paths.map(p => p.tickets.map(t => t.id))).toEqual([['a', 'c'], ['a', 'b']]);
+        expect(paths[0].cost).toBe(4500);
+        expect(paths[0].connections[0].airport).toBe('ADD');
+    });
+
+    test('rejects connections shorter than the self-transfer minimum', () => {
+        const graph = buildGraph([
+            ticket('a', 'JNB', 'ADD', 6, 11, 2000),
+            ticket('b', 'ADD', 'DXB', 12, 17, 1000)
+        ]);
+
+        expect(graph.findCheapestPaths(5)).toEqual([]);
+    });
+
+    test('limits itineraries to the configured number of self-transfers', () => {
+        const tickets = [
+            ticket('a', 'JNB', 'NBO', 0, 4, 1000),
+            ticket('b', 'NBO', 'ADD', 9, 11, 500),
+            ticket('c', 'ADD', 'DXB', 16, 20, 1000)
+        ];
+
+        expect(buildGraph(tickets, 1).findCheapestPaths(5)).toEqual([]);
+
+        const paths = buildGraph(tickets, 2).findCheapestPaths(5);
+        expect(paths).toHaveLength(1);
+        expect(paths[0].connections.map(c => c.airport)).toEqual(['NBO', 'ADD']);
+    });
+});
@@ -0,0 +1,62 @@
+const routeStitcher = require('../../src/core/route-stitcher');
+const TelegramFormatter = require('../../src/telegram/formatter');
+const { AirportUtils } = require('../../src/utils/airport-codes');
+
+const HOUR = 60 * 60 * 1000;
+
+function flight(id, from, to, departure, hours, price) {
+    const departs = new Date(departure);
+    return {
+        id,
+        airlines: ['XX'],
+        segments: [{
+            airline: 'XX',
+            flightNumber: '100',
+            from,
+            to,
+            departure: departs,
+            arrival: new Date(departs.getTime() + hours * HOUR)
+        }],
+        totalPrice: price,
+        currency: 'ZAR'
+    };
+}
+
+describe('Metro city codes', () => {
+    test('expands metro codes to their member airports', () => {
+        expect(AirportUtils.expandLocation('LON')).toEqual(['LHR', 'LGW', 'STN', 'LTN']);
+        expect(AirportUtils.expandLocation('JNB')).toEqual(['JNB']);
+        expect(AirportUtils.getAirportPairs('JNB', 'LON')).toHaveLength(4);
+        expect(AirportUtils.isInLocation('LGW', 'LON')).toBe(true);
+        expect(AirportUtils.isInLocation('CDG', 'LON')).toBe(false);
+        expect(AirportUtils.getDistanceBetween('JNB', 'LON')).toBe(AirportUtils.getDistanceBetween('JNB', 'LHR'));
+    });
+
+    test('searches every airport of a city and merges the results', async () => {
+        const provider = {
+            name: 'test',
+            displayName: 'Test',
+            search: jest.fn(async params => {
+                if (params.to === 'STN') throw new Error('No service');
+                return [flight(`JNB-${params.to}`, params.from, params.to, '2025-03-01T20:00:00Z', 11, 7000)];
+            })
+        };
+
+        const [result] = await routeStitcher.searchProviders([provider], { from: 'JNB', to: 'LON', date: '2025-03-01' });
+
+        expect(provider.search).toHaveBeenCalledTimes(4);
+        expect(result.status).toBe('fulfilled');
+        expect(result.value.map(route => route.segments[0].to)).toEqual(['LHR', 'LGW', 'LTN']);
+    });
+
+    test('stitches into any airport of the destination city and labels it', () => {
+        const toNairobi = flight('jnb-nbo', 'JNB', 'NBO', '2025-03-01T06:00:00Z', 4, 3000);
+        const toGatwick = flight('nbo-lgw', 'NBO', 'LGW', '2025-03-01T16:00:00Z', 9, 4000);
+
+        const routes = routeStitcher.generateInterlineRoutes([toNairobi, toGatwick], 'JNB', 'LON');
+
+        expect(routes).toHaveLength(1);
+        expect(routeStitcher.labelAirports(routes[0])).toMatchObject({ departureAirport: 'JNB', arrivalAirport: 'LGW' });
+        expect(TelegramFormatter.formatLocation('LON')).toBe('LON (LHR/LGW/STN/LTN)');
+    });
+});
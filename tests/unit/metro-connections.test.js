@@ -0,0 +1,84 @@
+const routeStitcher = require('../../src/core/route-stitcher');
+const FxSnapshot = require('../../src/core/fx-snapshot');
+const validator = require('../../src/core/validator');
+const TelegramFormatter = require('../../src/telegram/formatter');
+const { AirportUtils } = require('../../src/utils/airport-codes');
+
+const HOUR = 60 * 60 * 1000;
+
+function flight(id, from, to, departure, hours, price, airline) {
+    const departs = new Date(departure);
+    return {
+        id,
+        airlines: [airline],
+        segments: [{
+            airline,
+            flightNumber: '100',
+            from,
+            to,
+            departure: departs,
+            arrival: new Date(departs.getTime() + hours * HOUR)
+        }],
+        totalPrice: price,
+        currency: 'ZAR'
+    };
+}
+
+describe('Metro area connections', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('models the transfer between airports in the same city', () => {
+        expect(AirportUtils.getMetroCode('LGW')).toBe('LON');
+        expect(AirportUtils.getMetroSiblings('LHR')).toEqual(expect.arrayContaining(['LGW', 'STN', 'LTN']));
+        expect(AirportUtils.getAirportTransfer('LHR', 'LGW')).toMatchObject({ metro: 'LON', minutes: 80, costZAR: 850 });
+        expect(AirportUtils.getAirportTransfer('LHR', 'CDG')).toBeNull();
+    });
+
+    test('extends the minimum connection time by the transfer time', () => {
+        const arrival = flight('a', 'JNB', 'LGW', '2025-03-01T20:00:00Z', 11, 7000, 'BA').segments[0];
+
+        // 180 minute self-transfer plus the 80 minute coach to Heathrow
+        const tight = flight('b', 'LHR', 'JFK', '2025-03-02T11:00:00Z', 8, 5000, 'VS').segments[0];
+        const relaxed = flight('c', 'LHR', 'JFK', '2025-03-02T11:30:00Z', 8, 5000, 'VS').segments[0];
+
+        expect(validator.validateConnection(arrival, tight).valid).toBe(false);
+
+        const result = validator.validateConnection(arrival, relaxed);
+        expect(result.valid).toBe(true);
+        expect(result.airportChange).toMatchObject({ from: 'LGW', to: 'LHR', transferMinutes: 80 });
+    });
+
+    test('stitches tickets across airports and flags the change', () => {
+        const toGatwick = flight('jnb-lgw', 'JNB', 'LGW', '2025-03-01T20:00:00Z', 11, 7000, 'BA');
+        const fromHeathrow = flight('lhr-jfk', 'LHR', 'JFK', '2025-03-02T12:00:00Z', 8, 5000, 'VS');
+        const fromParis = flight('cdg-jfk', 'CDG', 'JFK', '2025-03-02T12:00:00Z', 8, 4000, 'AF');
+
+        const routes = routeStitcher.generateInterlineRoutes([toGatwick, fromHeathrow, fromParis], 'JNB', 'JFK');
+
+        expect(routes).toHaveLength(1);
+        expect(routes[0].airportChanges).toHaveLength(1);
+        expect(routes[0].airportChanges[0]).toMatchObject({ from: 'LGW', to: 'LHR', metro: 'LON' });
+        expect(routes[0].groundTransferCostZAR).toBe(850);
+
+        expect(TelegramFormatter.formatRouteString(routes[0].segments)).toBe('JNB → LGW/LHR → JFK');
+        expect(TelegramFormatter.formatAirportChange(routes[0].airportChanges[0])).toContain('National Express coach');
+    });
+
+    test('converts tickets quoted in other currencies before stitching them', async () => {
+        const fx = new FxSnapshot({ id: 'search', base: 'ZAR', rates: { EUR: 0.05 }, takenAt: new Date().toISOString() });
+        const toGatwick = { ...flight('jnb-lgw', 'JNB', 'LGW', '2025-03-01T20:00:00Z', 11, 350, 'BA'), currency: 'EUR' };
+        const fromHeathrow = flight('lhr-jfk', 'LHR', 'JFK', '2025-03-02T12:00:00Z', 8, 5000, 'VS');
+        jest.spyOn(routeStitcher, 'searchProviders').mockResolvedValue([{ status: 'fulfilled', value: [toGatwick] }]);
+        jest.spyOn(routeStitcher, 'searchHubLegs').mockResolvedValue([fromHeathrow]);
+        jest.spyOn(routeStitcher, 'searchGroundLegs').mockResolvedValue([]);
+
+        const routes = await routeStitcher.searchOneWayRoutes({ from: 'JNB', to: 'JFK', date: '2025-03-01', fx }, [{ name: 'kiwi' }]);
+        const stitched = routes.find(route => route.virtualInterline);
+
+        // EUR 350 is ZAR 7000 at the snapshot's rate
+        expect(stitched.totalPriceZAR).toBeCloseTo(7000 + 5000);
+        expect(routes.find(route => route.id === 'jnb-lgw').totalPriceZAR).toBeCloseTo(7000);
+    });
+});
@@ -0,0 +1,67 @@
+const multiCitySearch = require('../../src/core/multi-city-search');
+const validator = require('../../src/core/validator');
+
+const HOUR = 60 * 60 * 1000;
+const BASE = Date.UTC(2025, 0, 10);
+
+function segment(from, to, depHour, arrHour) {
+    return {
+        airline: 'XX',
+        flightNumber: '100',
+        from,
+        to,
+        departure: new Date(BASE + depHour * HOUR),
+        arrival: new Date(BASE + arrHour * HOUR)
+    };
+}
+
+function ticket(id, segments, price) {
+    return { id, airlines: ['XX'], segments, totalPrice: price };
+}
+
+describe('MultiCitySearch', () => {
+    test('rejects too few legs and legs out of date order', () => {
+        expect(multiCitySearch.validateLegs([{ from: 'JNB', to: 'NBO', date: '2025-01-10' }]).valid).toBe(false);
+        expect(multiCitySearch.validateLegs([
+            { from: 'JNB', to: 'NBO', date: '2025-01-14' },
+            { from: 'NBO', to: 'KGL', date: '2025-01-12' }
+        ]).valid).toBe(false);
+    });
+
+    test('combines the cheapest time-ordered ticket per leg', () => {
+        const itineraries = multiCitySearch.combineLegs([
+            [ticket('a', [segment('JNB', 'NBO', 6, 10)], 3000)],
+            [
+                ticket('early', [segment('NBO', 'KGL', 8, 9)], 500),
+                ticket('b', [segment('NBO', 'KGL', 72, 74)], 1200),
+                ticket('c', [segment('NBO', 'KGL', 96, 98)], 1500)
+            ]
+        ]);
+
+        expect(itineraries).toHaveLength(2);
+        expect(itineraries[0]).toMatchObject({
+            fareType: 'multi-city-separate',
+            totalPrice: 4200,
+            originalRoutes: ['a', 'b'],
+            isMultiCity: true
+        });
+        expect(itineraries[0].bounds.map(bound => bound.direction)).toEqual(['leg1', 'leg2']);
+        expect(validator.validateRoute(itineraries[0])).toBe(true);
+    });
+
+    test('splits a single multi-city booking into legs', () => {
+        const booking = ticket('multi', [
+            segment('JNB', 'NBO', 6, 10),
+            segment('NBO', 'KGL', 72, 74)
+        ], 3900);
+
+        const route = multiCitySearch.splitLegs(booking, [
+            { from: 'JNB', to: 'NBO' },
+            { from: 'NBO', to: 'KGL' }
+        ]);
+
+        expect(route.fareType).toBe('multi-city');
+        expect(route.bounds.map(bound => bound.segments.length)).toEqual([1, 1]);
+        expect(multiCitySearch.splitLegs(booking, [{ from: 'JNB', to: 'KGL' }, { from: 'KGL', to: 'NBO' }])).toBeNull();
+    });
+});
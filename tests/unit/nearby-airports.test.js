@@ -0,0 +1,57 @@
+const routeStitcher = require('../../src/core/route-stitcher');
+const Helpers = require('../../src/utils/helpers');
+const { AirportUtils } = require('../../src/utils/airport-codes');
+
+describe('Nearby airports', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('finds airports within a radius from their coordinates', () => {
+        const codes = AirportUtils.getAirportsWithinRadius('LHR', 100).map(airport => airport.code);
+
+        expect(codes[0]).toBe('LHR');
+        expect(codes).toEqual(expect.arrayContaining(['LGW', 'LTN', 'STN']));
+        expect(codes).not.toContain('CDG');
+        expect(AirportUtils.getAirportsWithinRadius('XXX', 100)).toEqual([{ code: 'XXX', name: 'XXX', city: 'XXX', distance: 0 }]);
+    });
+
+    test('prices alternatives including the ground transfer', async () => {
+        const search = jest.spyOn(routeStitcher, 'findCheapestRoutes').mockImplementation(async params => {
+            if (params.to === 'LGW') return [{ id: 'lgw', finalPriceZAR: 8000 }, { id: 'lgw-2', finalPriceZAR: 9000 }];
+            if (params.to === 'LTN') return [{ id: 'ltn', finalPriceZAR: 8200 }];
+            return [];
+        });
+
+        const alternatives = await routeStitcher.findAlternativeAirports({
+            from: 'JNB',
+            to: 'LHR',
+            date: '2025-03-01',
+            passengers: 1
+        });
+
+        expect(search).toHaveBeenCalledTimes(3);
+        expect(search.mock.calls.every(([params]) => params.directOnly)).toBe(true);
+        expect(alternatives.map(alternative => alternative.route.id)).toEqual(expect.arrayContaining(['lgw', 'ltn']));
+
+        const gatwick = alternatives.find(alternative => alternative.to.code === 'LGW');
+        const transfer = routeStitcher.estimateGroundTransfer(gatwick.to.distance);
+
+        expect(gatwick.flightPrice).toBe(8000);
+        expect(gatwick.groundTransfer.cost).toBe(transfer.cost);
+        expect(gatwick.totalPrice).toBe(8000 + transfer.cost);
+        expect(alternatives[0].totalPrice).toBeLessThanOrEqual(alternatives[1].totalPrice);
+    });
+
+    test('direct-only searches make no hub leg calls and are cached apart', async () => {
+        const hubLegs = jest.spyOn(routeStitcher, 'searchHubLegs');
+        jest.spyOn(routeStitcher, 'searchProviders').mockResolvedValue([]);
+        jest.spyOn(routeStitcher, 'searchGroundLegs').mockResolvedValue([]);
+        const params = { from: 'JNB', to: 'LGW', date: '2025-03-01' };
+
+        await routeStitcher.searchOneWayRoutes(params, [{ name: 'kiwi' }], 0);
+
+        expect(hubLegs).not.toHaveBeenCalled();
+        expect(Helpers.generateCacheKey({ ...params, directOnly: true })).not.toBe(Helpers.generateCacheKey(params));
+    });
+});
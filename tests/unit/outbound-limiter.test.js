@@ -0,0 +1,101 @@
+jest.mock('../../src/database/redis-client', () => {
+    const store = new Map();
+    return {
+        store,
+        rateLimit: jest.fn(async () => ({ allowed: true, remaining: 10, reset: new Date(), retryAfter: null })),
+        get: jest.fn(async key => (store.has(key) ? store.get(key) : null)),
+        incr: jest.fn(async key => {
+            store.set(key, (store.get(key) || 0) + 1);
+            return store.get(key);
+        }),
+        multi: jest.fn(async commands => commands.map(([command, key, field, increment]) => {
+            if (command === 'INCR' || command === 'DECR') {
+                store.set(key, (store.get(key) || 0) + (command === 'INCR' ? 1 : -1));
+                return store.get(key);
+            }
+            if (command === 'HINCRBY') {
+                const hash = store.get(key) || {};
+                hash[field] = (hash[field] || 0) + increment;
+                store.set(key, hash);
+                return hash[field];
+            }
+            return 1;
+        })),
+        hgetall: jest.fn(async key => store.get(key) || {}),
+        zrangebyscore: jest.fn(async () => ['a', 'b'])
+    };
+});
+
+const config = require('../../config/config');
+const redisClient = require('../../src/database/redis-client');
+const outboundLimiter = require('../../src/api/outbound-limiter');
+
+describe('OutboundLimiter', () => {
+    const originalQuota = config.apis.kiwi.dailyQuota;
+    const originalTimeout = outboundLimiter.queueTimeout;
+
+    afterEach(() => {
+        redisClient.store.clear();
+        redisClient.rateLimit.mockClear();
+        config.apis.kiwi.dailyQuota = originalQuota;
+        outboundLimiter.queueTimeout = originalTimeout;
+    });
+
+    test('counts calls against the daily and monthly quotas per key', async () => {
+        await outboundLimiter.acquire('kiwi', 'key-one');
+        await outboundLimiter.acquire('kiwi', 'key-one');
+        await outboundLimiter.acquire('kiwi', 'key-two');
+
+        const keyId = outboundLimiter.getKeyId('key-one');
+        expect(await outboundLimiter.getQuotaUsage('kiwi', keyId)).toEqual({ daily: 2, monthly: 2 });
+        expect(redisClient.rateLimit).toHaveBeenCalledWith(`ratelimit:outbound:kiwi:${keyId}`, 60000, 100);
+    });
+
+    test('rejects calls once a quota is used up without retrying', async () => {
+        config.apis.kiwi.dailyQuota = 1;
+
+        await outboundLimiter.acquire('kiwi', 'key-one');
+        await expect(outboundLimiter.acquire('kiwi', 'key-one')).rejects.toMatchObject({
+            code: 'QUOTA_EXCEEDED',
+            retryable: false
+        });
+        expect(redisClient.rateLimit).toHaveBeenCalledTimes(1);
+    });
+
+    test('queues calls over the per-minute limit until a slot frees up', async () => {
+        redisClient.rateLimit
+            .mockResolvedValueOnce({ allowed: false, remaining: 0, reset: new Date(Date.now() + 150), retryAfter: 1 })
+            .mockResolvedValueOnce({ allowed: true, remaining: 0, reset: new Date(), retryAfter: null });
+
+        await outboundLimiter.acquire('skyscanner', 'key-one');
+        expect(redisClient.rateLimit).toHaveBeenCalledTimes(2);
+
+        outboundLimiter.queueTimeout = 50;
+        redisClient.rateLimit.mockResolvedValueOnce({ allowed: false, remaining: 0, reset: new Date(Date.now() + 5000), retryAfter: 5 });
+
+        await expect(outboundLimiter.acquire('skyscanner', 'key-one')).rejects.toMatchObject({ code: 'RATE_LIMITED' });
+
+        // The throttled call was never made, so it doesn't count against the quotas
+        expect(await outboundLimiter.getQuotaUsage('skyscanner', outboundLimiter.getKeyId('key-one'))).toEqual({ daily: 1, monthly: 1 });
+    });
+
+    test('concurrent calls cannot go over a quota together', async () => {
+        config.apis.kiwi.dailyQuota = 2;
+
+        const outcomes = await Promise.allSettled([1, 2, 3, 4, 5].map(() => outboundLimiter.acquire('kiwi', 'key-one')));
+
+        expect(outcomes.filter(outcome => outcome.status === 'fulfilled')).toHaveLength(2);
+        expect(await outboundLimiter.getQuotaUsage('kiwi', outboundLimiter.getKeyId('key-one'))).toEqual({ daily: 2, monthly: 2 });
+    });
+
+    test('reports consumption per provider and masked key', async () => {
+        outboundLimiter.register('travelpayouts', 'secret-1234');
+        await outboundLimiter.acquire('travelpayouts', 'secret-1234');
+
+        const usage = await outboundLimiter.getUsage();
+        const entry = usage.find(item => item.provider === 'travelpayouts');
+
+        expect(entry).toMatchObject({ key: '…1234', lastMinute: 2, daily: 1, monthly: 1, limits: { perMinute: 50 } });
+        expect(JSON.stringify(usage)).not.toContain('secret-1234');
+    });
+});
@@ -0,0 +1,114 @@
+const path = require('path');
+const Helpers = require('../../src/utils/helpers');
+const feeRules = require('../../src/core/fee-rules');
+const priceNormalizer = require('../../src/core/price-normalizer');
+const routeStitcher = require('../../src/core/route-stitcher');
+const validator = require('../../src/core/validator');
+const exchangeRateAPI = require('../../src/api/exchange-rate-api');
+const FlightProvider = require('../../src/api/providers/flight-provider');
+const BotFormatter = require('../../src/telegram/formatter');
+
+const HOUR = 60 * 60 * 1000;
+
+function route(id, bookingEngine, legs, price) {
+    return {
+        id,
+        bookingEngine,
+        airlines: [...new Set(legs.map(leg => leg[2]))],
+        segments: legs.map(([from, to, airline], index) => ({
+            from,
+            to,
+            airline,
+            flightNumber: `${100 + index}`,
+            departure: new Date(Date.UTC(2025, 2, 1, 6 + index * 8)),
+            arrival: new Date(Date.UTC(2025, 2, 1, 6 + index * 8) + 5 * HOUR)
+        })),
+        totalPrice: price,
+        currency: 'ZAR'
+    };
+}
+
+const family = { adults: 2, children: 1, infants: 1 };
+
+describe('Passenger mix', () => {
+    beforeAll(async () => {
+        await feeRules.load(path.join(__dirname, '../../data/fee-rules.json'));
+    });
+
+    beforeEach(() => {
+        // 1 EUR = R20
+        jest.spyOn(exchangeRateAPI, 'getLatestRates').mockResolvedValue({ base: 'ZAR', rates: { EUR: 0.05 } });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('reads the mix from a message and the rest still parses as a search', () => {
+        const text = 'JNB to CPT tomorrow, 2 adults 1 child 1 baby';
+
+        expect(Helpers.parsePassengerMix(text)).toEqual(family);
+        expect(Helpers.removePassengerMix(text)).toBe('JNB to CPT tomorrow');
+        expect(Helpers.parsePassengerMix('JNB to CPT tomorrow')).toBeNull();
+        expect(Helpers.getPassengerMix({ passengers: 3 })).toEqual({ adults: 3, children: 0, infants: 0 });
+    });
+
+    test('providers are searched with adults, children and infants', () => {
+        const params = new FlightProvider('test', {}).buildSearchParams({ from: 'JNB', to: 'CPT', date: '2025-03-01', ...family });
+
+        expect(params).toMatchObject(family);
+        expect(Helpers.generateCacheKey({ from: 'JNB', to: 'CPT', date: '2025-03-01', ...family }))
+            .not.toBe(Helpers.generateCacheKey({ from: 'JNB', to: 'CPT', date: '2025-03-01', adults: 2 }));
+    });
+
+    test('fares and fees are split per passenger type; lap infants pay no booking fee', async () => {
+        const normalized = await priceNormalizer.addAllFees(route('kiwi', 'kiwi', [['JNB', 'NBO', 'KQ']], 5700), family);
+        const fee = normalized.feeBreakdown.items.find(item => item.ruleId === 'booking-kiwi');
+        const byType = Object.fromEntries(normalized.feeBreakdown.passengers.map(passenger => [passenger.type, passenger]));
+
+        // EUR 5 for each adult and child
+        expect(fee.amount).toBeCloseTo(300);
+        expect(Object.keys(byType)).toEqual(['adult', 'child', 'infant']);
+        expect(byType.adult).toMatchObject({ count: 2, fees: 100 });
+        expect(byType.child.fees).toBeCloseTo(100);
+        expect(byType.infant.fees).toBe(0);
+
+        // Children pay 75% and infants 10% of an adult fare
+        expect(byType.adult.baseFare).toBeCloseTo(2000);
+        expect(byType.child.baseFare).toBeCloseTo(1500);
+        expect(byType.infant.baseFare).toBeCloseTo(200);
+
+        const partyTotal = normalized.feeBreakdown.passengers.reduce((sum, passenger) => sum + passenger.total * passenger.count, 0);
+        expect(partyTotal).toBeCloseTo(normalized.finalPriceZAR);
+    });
+
+    test('self-transfer booking links are for the whole party', async () => {
+        const first = route('first', 'kiwi', [['JNB', 'NBO', 'KQ']], 3000);
+        const second = route('second', 'kiwi', [['NBO', 'DXB', 'EK']], 4000);
+        const stitched = { ...first, virtualInterline: true, components: [{ route: first }, { route: second }] };
+
+        const link = new URL(await routeStitcher.generateVirtualInterlineLink(stitched, family));
+
+        expect(link.searchParams.get('adults')).toBe('2');
+        expect(link.searchParams.get('children')).toBe('1');
+        expect(link.searchParams.get('infants')).toBe('1');
+    });
+
+    test('rejects mixes that cannot be booked', () => {
+        expect(validator.validatePassengerMix(family).valid).toBe(true);
+        expect(validator.validatePassengerMix({ adults: 0, children: 2, infants: 0 }).valid).toBe(false);
+        expect(validator.validatePassengerMix({ adults: 1, children: 0, infants: 2 }).valid).toBe(false);
+        expect(validator.validatePassengerMix({ adults: 5, children: 5, infants: 0 }).valid).toBe(false);
+    });
+
+    test('routes are checked for the children and infants travelling', () => {
+        const trip = route('long', 'kiwi', [['JNB', 'NBO', 'KQ'], ['NBO', 'DXB', 'KQ'], ['DXB', 'LHR', 'EK']], 9000);
+
+        expect(validator.getPassengerWarnings(trip, { adults: 2, children: 0, infants: 0 })).toEqual([]);
+        expect(validator.getPassengerWarnings(trip, family)).toEqual(['Multiple segments may be challenging with an infant']);
+
+        const { message } = BotFormatter.formatRouteResult({ ...trip, finalPriceZAR: 9000, passengerWarnings: ['Multiple segments may be challenging with an infant'] });
+        expect(message).toContain('Multiple segments may be challenging with an infant');
+        expect(BotFormatter.formatPassengerMix(family)).toBe('2 adults, 1 child, 1 infant');
+    });
+});
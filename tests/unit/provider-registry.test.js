@@ -0,0 +1,82 @@
+const { EventEmitter } = require('events');
+const FlightProvider = require('../../src/api/providers/flight-provider');
+const routeStitcher = require('../../src/core/route-stitcher');
+
+// The registry reads ENABLED_PROVIDERS when it is created
+function loadRegistry(enabled, fallback) {
+    const previous = { enabled: process.env.ENABLED_PROVIDERS, fallback: process.env.FALLBACK_AFFILIATE_PROVIDER };
+    process.env.ENABLED_PROVIDERS = enabled;
+    if (fallback) process.env.FALLBACK_AFFILIATE_PROVIDER = fallback;
+
+    let modules;
+    jest.isolateModules(() => {
+        modules = {
+            providerRegistry: require('../../src/core/provider-registry'),
+            circuitBreakers: require('../../src/api/circuit-breakers')
+        };
+    });
+
+    const restore = (key, value) => (value === undefined ? delete process.env[key] : (process.env[key] = value));
+    restore('ENABLED_PROVIDERS', previous.enabled);
+    restore('FALLBACK_AFFILIATE_PROVIDER', previous.fallback);
+    return modules;
+}
+
+const names = providers => providers.map(provider => provider.name);
+
+describe('Provider registry', () => {
+    test('registers the built-in providers and rejects nameless ones', () => {
+        const { providerRegistry } = loadRegistry('kiwi,travelpayouts,skyscanner');
+
+        expect(names(providerRegistry.getAll())).toEqual(['kiwi', 'travelpayouts', 'skyscanner']);
+        expect(providerRegistry.get('kiwi').displayName).toBe('Kiwi');
+        expect(providerRegistry.get('unknown')).toBeNull();
+        expect(() => providerRegistry.register({})).toThrow('Provider must have a name');
+    });
+
+    test('only providers enabled in config are searched, in configured order', () => {
+        const { providerRegistry } = loadRegistry('skyscanner, kiwi, nosuch');
+        providerRegistry.register(new FlightProvider('extra', {}));
+
+        expect(names(providerRegistry.getEnabled())).toEqual(['skyscanner', 'kiwi']);
+        expect(providerRegistry.isEnabled('kiwi')).toBe(true);
+        expect(providerRegistry.isEnabled('travelpayouts')).toBe(false);
+        expect(providerRegistry.isEnabled('extra')).toBe(false);
+    });
+
+    test('providers with an open circuit breaker are unavailable, keeping the order', () => {
+        const { providerRegistry, circuitBreakers } = loadRegistry('kiwi,travelpayouts,skyscanner');
+        circuitBreakers.get('travelpayouts').open(Date.now());
+
+        expect(names(providerRegistry.getAvailable())).toEqual(['kiwi', 'skyscanner']);
+        expect(names(providerRegistry.getUnavailable())).toEqual(['travelpayouts']);
+    });
+
+    test('provider errors reach the search and are reported as a failed provider', async () => {
+        const failing = new FlightProvider('failing', { searchFlights: jest.fn(async () => { throw new Error('HTTP 500'); }) });
+        const cancelled = new FlightProvider('cancelled', {
+            searchFlights: jest.fn(async () => { throw Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' }); })
+        });
+        const progress = new EventEmitter();
+        const events = [];
+        progress.on('provider', event => events.push(event));
+
+        const [failed, empty] = await routeStitcher.searchProviders(
+            [failing, cancelled],
+            { from: 'JNB', to: 'NBO', date: '2025-03-01' },
+            progress
+        );
+
+        expect(failed).toMatchObject({ status: 'rejected', reason: expect.objectContaining({ message: 'HTTP 500' }) });
+        expect(empty).toEqual({ status: 'fulfilled', value: [] });
+        expect(events).toEqual([
+            expect.objectContaining({ provider: 'failing', ok: false }),
+            expect.objectContaining({ provider: 'cancelled', ok: true, count: 0 })
+        ]);
+    });
+
+    test('affiliate links fall back to the configured provider, else the first enabled', () => {
+        expect(loadRegistry('kiwi,skyscanner', 'skyscanner').providerRegistry.getFallback().name).toBe('skyscanner');
+        expect(loadRegistry('skyscanner,kiwi', 'nosuch').providerRegistry.getFallback().name).toBe('skyscanner');
+    });
+});
@@ -0,0 +1,114 @@
+const routeStitcher = require('../../src/core/route-stitcher');
+const priceNormalizer = require('../../src/core/price-normalizer');
+const validator = require('../../src/core/validator');
+const RejectionLedger = require('../../src/core/rejection-ledger');
+const FxSnapshot = require('../../src/core/fx-snapshot');
+const redisClient = require('../../src/database/redis-client');
+const TelegramFormatter = require('../../src/telegram/formatter');
+
+const HOUR = 60 * 60 * 1000;
+
+function ticket(id, legs, price, extra = {}) {
+    return {
+        id,
+        airlines: ['XX'],
+        segments: legs.map(([from, to, departure, hours], index) => ({
+            airline: 'XX',
+            flightNumber: `${100 + index}`,
+            from,
+            to,
+            departure: new Date(departure),
+            arrival: new Date(new Date(departure).getTime() + hours * HOUR)
+        })),
+        totalPrice: price,
+        currency: 'ZAR',
+        ...extra
+    };
+}
+
+describe('Rejection ledger', () => {
+    const maxRoutes = routeStitcher.maxRoutesPerSearch;
+
+    beforeEach(() => {
+        jest.spyOn(priceNormalizer, 'normalizeRoutes').mockImplementation(async routes => routes);
+        jest.spyOn(routeStitcher, 'addAffiliateLinks').mockImplementation(async routes => routes);
+    });
+
+    afterEach(() => {
+        routeStitcher.maxRoutesPerSearch = maxRoutes;
+        jest.restoreAllMocks();
+    });
+
+    test('validator explains the first failed check', () => {
+        const tight = ticket('tight', [
+            ['JNB', 'ADD', '2025-03-01T06:00:00Z', 6],
+            ['ADD', 'DXB', '2025-03-01T12:30:00Z', 4]
+        ], 6000, { virtualInterline: true });
+
+        const check = validator.checkRoute(tight, 2 * HOUR, 24 * HOUR);
+
+        expect(check.valid).toBe(false);
+        expect(check.reason).toMatch(/^Connection 1 \(ADD\): Connection too short/);
+        expect(validator.validateRoute(tight, 2 * HOUR, 24 * HOUR)).toBe(false);
+    });
+
+    test('records duplicates, validation failures and the price cut-off', async () => {
+        const direct = ticket('direct', [['JNB', 'DXB', '2025-03-01T10:00:00Z', 8]], 9000);
+        const copy = { ...direct, id: 'copy', source: 'kiwi' };
+        const expensive = ticket('expensive', [['JNB', 'DXB', '2025-03-01T20:00:00Z', 8]], 15000);
+        const tight = ticket('tight', [
+            ['JNB', 'ADD', '2025-03-01T06:00:00Z', 6],
+            ['ADD', 'DXB', '2025-03-01T12:30:00Z', 4]
+        ], 6000, { virtualInterline: true });
+
+        routeStitcher.maxRoutesPerSearch = 1;
+        const ledger = new RejectionLedger('test', { from: 'JNB', to: 'DXB', date: '2025-03-01' });
+
+        const routes = await routeStitcher.finalizeRoutes([direct, copy, expensive, tight], {}, ledger);
+
+        expect(routes.map(route => route.id)).toEqual(['direct']);
+        expect(ledger.entries.map(entry => [entry.route.id, entry.stage])).toEqual([
+            ['copy', 'duplicate'],
+            ['tight', 'validation'],
+            ['expensive', 'price-cutoff']
+        ]);
+
+        const [match] = ledger.explain('jnb add dxb');
+        expect(match.reason).toMatch(/Connection too short/);
+        expect(match.reports[0].checks).toContainEqual(expect.objectContaining({ check: 'Connection 1 (ADD)', valid: false }));
+
+        const message = TelegramFormatter.formatRejections('test', 'JNB-ADD-DXB', ledger, ledger.explain('JNB-ADD-DXB'));
+        expect(message).toContain('Failed validation');
+        expect(message).toContain('❌ Connection 1 (ADD)');
+    });
+
+    test('explains when no matching route was dropped', () => {
+        const ledger = new RejectionLedger('test', { from: 'JNB', to: 'DXB', date: '2025-03-01' });
+        ledger.record(ticket('copy', [['JNB', 'DXB', '2025-03-01T10:00:00Z', 8]], 9000), 'duplicate', 'Same flights');
+
+        const message = TelegramFormatter.formatRejections('test', 'JNB-NBO-DXB', ledger, ledger.explain('JNB-NBO-DXB'));
+
+        expect(message).toContain('No JNB-NBO-DXB route was dropped');
+        expect(message).toContain('Duplicate 1');
+        expect(RejectionLedger.getSearchId('search:JNB:DXB')).toBe(RejectionLedger.getSearchId('search:JNB:DXB'));
+    });
+
+    test('reproduces dropped fares with the search\'s stored exchange rate snapshot', async () => {
+        const stored = new Map();
+        jest.spyOn(redisClient, 'set').mockImplementation(async (key, value) => stored.set(key, JSON.parse(JSON.stringify(value))));
+        jest.spyOn(redisClient, 'get').mockImplementation(async key => stored.get(key) || null);
+
+        const fx = new FxSnapshot({ id: 'rates', base: 'ZAR', rates: { EUR: 0.05 }, takenAt: '2025-02-28T10:00:00Z' });
+        const ledger = new RejectionLedger('test', { from: 'JNB', to: 'DXB', date: '2025-03-01', fxSnapshotId: fx.id });
+        ledger.record(ticket('eur', [['JNB', 'DXB', '2025-03-01T10:00:00Z', 8]], 450, { currency: 'EUR' }), 'duplicate', 'Same flights');
+        await Promise.all([ledger.save(), fx.save()]);
+
+        const loaded = await RejectionLedger.load('test');
+        const snapshot = await loaded.loadFxSnapshot();
+        const message = TelegramFormatter.formatRejections('test', 'JNB-DXB', loaded, loaded.explain('JNB-DXB'), snapshot);
+
+        expect(snapshot.toJSON()).toEqual(fx.toJSON());
+        expect(message).toContain('snapshot `rates` of');
+        expect(message).toContain('Fare €450.00 = R9,000.00 at 1 EUR = 20 ZAR');
+    });
+});
@@ -0,0 +1,99 @@
+const routeStitcher = require('../../src/core/route-stitcher');
+const validator = require('../../src/core/validator');
+const RejectionLedger = require('../../src/core/rejection-ledger');
+
+const HOUR = 60 * 60 * 1000;
+const BASE = Date.UTC(2025, 0, 10);
+
+function segment(from, to, depHour, arrHour, airline = 'XX') {
+    return {
+        airline,
+        flightNumber: '100',
+        from,
+        to,
+        departure: new Date(BASE + depHour * HOUR),
+        arrival: new Date(BASE + arrHour * HOUR)
+    };
+}
+
+function oneWay(id, segments, price) {
+    return {
+        id,
+        airlines: [...new Set(segments.map(s => s.airline))],
+        segments,
+        totalPrice: price,
+        bookingEngine: 'kiwi'
+    };
+}
+
+describe('Return trips', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('splits a round-trip fare into outbound and inbound bounds', () => {
+        const fare = oneWay('rt', [
+            segment('JNB', 'NBO', 6, 10),
+            segment('NBO', 'JNB', 96, 100)
+        ], 5000);
+
+        const route = routeStitcher.splitBounds(fare, 'JNB', 'NBO');
+
+        expect(route.fareType).toBe('roundtrip');
+        expect(route.bounds.map(b => b.segments.length)).toEqual([1, 1]);
+        expect(validator.validateRoute(route)).toBe(true);
+        expect(routeStitcher.splitBounds(oneWay('ow', [segment('JNB', 'NBO', 6, 10)], 2000), 'JNB', 'NBO')).toBeNull();
+    });
+
+    test('pairs one-ways only when the inbound leaves after the outbound lands', () => {
+        const outbound = oneWay('out', [segment('JNB', 'NBO', 6, 10)], 2000);
+        const inbound = oneWay('in', [segment('NBO', 'JNB', 96, 100)], 1800);
+        const tooEarly = oneWay('early', [segment('NBO', 'JNB', 8, 12)], 900);
+
+        const pairs = routeStitcher.pairOneWays([outbound], [inbound, tooEarly]);
+
+        expect(pairs).toHaveLength(1);
+        expect(pairs[0]).toMatchObject({ fareType: 'two-oneways', totalPrice: 3800, originalRoutes: ['out', 'in'] });
+        expect(pairs[0].components.map(c => c.type)).toEqual(['outbound', 'inbound']);
+        expect(validator.validateRoute(pairs[0])).toBe(true);
+    });
+
+    test('records the bounds left out of the pairing in the rejection ledger', async () => {
+        const ledger = new RejectionLedger('search');
+        const cheap = oneWay('cheap', [segment('JNB', 'NBO', 6, 10)], 2000);
+        const dear = oneWay('dear', [segment('JNB', 'NBO', 7, 11)], 2500);
+        const broken = oneWay('broken', [segment('JNB', 'NBO', 10, 6)], 1000);
+        const inbound = oneWay('in', [segment('NBO', 'JNB', 96, 100)], 1800);
+        jest.spyOn(routeStitcher, 'searchProviders').mockResolvedValue([]);
+        jest.spyOn(routeStitcher, 'searchOneWayRoutes').mockImplementation(async params => (
+            params.from === 'JNB' ? [cheap, dear, broken] : [inbound]
+        ));
+        jest.replaceProperty(routeStitcher, 'maxBoundOptions', 1);
+
+        const routes = await routeStitcher.searchReturnRoutes(
+            { from: 'JNB', to: 'NBO', date: '2025-01-10', returnDate: '2025-01-14', ledger },
+            []
+        );
+
+        expect(routes.map(route => route.originalRoutes)).toEqual([['cheap', 'in']]);
+        expect(ledger.entries.map(entry => [entry.route.id, entry.stage])).toEqual([
+            ['broken', RejectionLedger.STAGES.VALIDATION],
+            ['dear', RejectionLedger.STAGES.PRICE_CUTOFF]
+        ]);
+        expect(ledger.entries[1].reason).toContain('outbound');
+    });
+
+    test('labels which fare type is cheaper', () => {
+        const routes = routeStitcher.compareFareTypes([
+            { fareType: 'two-oneways', finalPriceZAR: 3800 },
+            { fareType: 'roundtrip', finalPriceZAR: 5000 }
+        ]);
+
+        expect(routes[0].fareComparison).toEqual({
+            roundTripPrice: 5000,
+            twoOneWaysPrice: 3800,
+            cheaper: 'two-oneways',
+            savings: 1200
+        });
+    });
+});
@@ -0,0 +1,72 @@
+const routeRanker = require('../../src/core/route-ranker');
+
+const HOUR = 60 * 60 * 1000;
+const BASE = Date.UTC(2025, 0, 10);
+
+function segment(from, to, depHour, arrHour) {
+    return {
+        from,
+        to,
+        departure: new Date(BASE + depHour * HOUR),
+        arrival: new Date(BASE + arrHour * HOUR)
+    };
+}
+
+const direct = {
+    id: 'direct',
+    segments: [segment('JNB', 'LHR', 0, 9)],
+    finalPriceZAR: 9300
+};
+
+const threeTickets = {
+    id: 'stitched',
+    virtualInterline: true,
+    segments: [segment('JNB', 'ADD', 0, 6), segment('ADD', 'IST', 10, 16), segment('IST', 'LHR', 36, 40)],
+    components: [
+        { route: { segments: [segment('JNB', 'ADD', 0, 6)] } },
+        { route: { segments: [segment('ADD', 'IST', 10, 16)] } },
+        { route: { segments: [segment('IST', 'LHR', 36, 40)] } }
+    ],
+    finalPriceZAR: 9000
+};
+
+describe('RouteRanker', () => {
+    test('scores a slightly dearer direct flight above a 40-hour three-ticket route', () => {
+        const ranked = routeRanker.rankRoutes([threeTickets, direct]);
+        const byId = Object.fromEntries(ranked.map(route => [route.id, route]));
+
+        expect(byId.stitched.rankingMetrics.selfTransfers).toBe(2);
+        expect(byId.direct.rankingMetrics.selfTransfers).toBe(0);
+        expect(byId.direct.valueScore).toBeLessThan(byId.stitched.valueScore);
+
+        // Neither dominates: one is cheaper, the other faster and safer
+        expect(ranked.every(route => route.paretoOptimal)).toBe(true);
+    });
+
+    test('sorts by the selected mode', () => {
+        const ranked = routeRanker.rankRoutes([threeTickets, direct]);
+
+        expect(routeRanker.sortRoutes(ranked, 'cheapest')[0].id).toBe('stitched');
+        expect(routeRanker.sortRoutes(ranked, 'fastest')[0].id).toBe('direct');
+        expect(routeRanker.sortRoutes(ranked, 'best')[0].id).toBe('direct');
+        expect(routeRanker.sortRoutes(ranked, 'safest')[0].id).toBe('direct');
+    });
+
+    test('marks dominated routes', () => {
+        const worse = { ...direct, id: 'worse', finalPriceZAR: 9500 };
+        const ranked = routeRanker.rankRoutes([direct, worse]);
+
+        expect(ranked.find(route => route.id === 'worse').paretoOptimal).toBe(false);
+        expect(ranked.find(route => route.id === 'direct').paretoOptimal).toBe(true);
+    });
+
+    test('best order puts the Pareto front ahead of dominated routes', () => {
+        const dearerDirect = { ...direct, id: 'dearer-direct', finalPriceZAR: 9400 };
+        const ranked = routeRanker.rankRoutes([dearerDirect, threeTickets, direct]);
+        const byId = Object.fromEntries(ranked.map(route => [route.id, route]));
+
+        // The dominated direct flight still scores better than the 40-hour route
+        expect(byId['dearer-direct'].valueScore).toBeLessThan(byId.stitched.valueScore);
+        expect(routeRanker.sortRoutes(ranked, 'best').map(route => route.id)).toEqual(['direct', 'stitched', 'dearer-direct']);
+    });
+});
@@ -0,0 +1,108 @@
+jest.mock('../../src/database/redis-client', () => {
+    const store = new Map();
+    return {
+        store,
+        setnx: jest.fn(async (key, value) => {
+            if (store.has(key)) return false;
+            store.set(key, value);
+            return true;
+        }),
+        get: jest.fn(async key => (store.has(key) ? store.get(key) : null)),
+        set: jest.fn(async (key, value) => {
+            store.set(key, value);
+            return true;
+        }),
+        del: jest.fn(async key => store.delete(key)),
+        delIfEquals: jest.fn(async (key, value) => store.get(key) === value && store.delete(key)),
+        getCachedSearchResults: jest.fn(async () => null),
+        cacheSearchResults: jest.fn(async () => true)
+    };
+});
+
+const redisClient = require('../../src/database/redis-client');
+const searchCoalescer = require('../../src/core/search-coalescer');
+const routeStitcher = require('../../src/core/route-stitcher');
+
+describe('SearchCoalescer', () => {
+    afterEach(() => {
+        redisClient.store.clear();
+        jest.restoreAllMocks();
+    });
+
+    test('concurrent callers in one process share a single search', async () => {
+        const search = jest.fn(async () => [{ id: 'route' }]);
+
+        const [first, second] = await Promise.all([
+            searchCoalescer.run('search:JNB:CPT', search),
+            searchCoalescer.run('search:JNB:CPT', search)
+        ]);
+
+        expect(search).toHaveBeenCalledTimes(1);
+        expect(first).toEqual({ results: [{ id: 'route' }], shared: false });
+        expect(second).toEqual({ results: [{ id: 'route' }], shared: true });
+        expect(redisClient.store.has('lock:search:JNB:CPT')).toBe(false);
+    });
+
+    test('waits for the result published by the instance holding the lock', async () => {
+        const search = jest.fn(async () => []);
+        redisClient.store.set('lock:search:JNB:NBO', 'other-instance');
+
+        setTimeout(() => {
+            redisClient.store.set('coalesced:search:JNB:NBO', { token: 'other-instance', results: [{ id: 'shared' }] });
+            redisClient.store.delete('lock:search:JNB:NBO');
+        }, 300);
+
+        const outcome = await searchCoalescer.run('search:JNB:NBO', search);
+
+        expect(search).not.toHaveBeenCalled();
+        expect(outcome).toEqual({ results: [{ id: 'shared' }], shared: true });
+    });
+
+    test('takes over when the lock holder releases it without a result', async () => {
+        const search = jest.fn(async () => [{ id: 'own' }]);
+        redisClient.store.set('lock:search:JNB:DUR', 'failed-instance');
+
+        setTimeout(() => redisClient.store.delete('lock:search:JNB:DUR'), 300);
+
+        const outcome = await searchCoalescer.run('search:JNB:DUR', search);
+
+        expect(search).toHaveBeenCalledTimes(1);
+        expect(outcome).toEqual({ results: [{ id: 'own' }], shared: false });
+    });
+
+    test('never releases a lock that expired and was taken by another instance', async () => {
+        const search = jest.fn(async () => {
+            redisClient.store.set('lock:search:JNB:PLZ', 'next-instance');
+            return [{ id: 'slow' }];
+        });
+
+        await searchCoalescer.run('search:JNB:PLZ', search);
+
+        expect(redisClient.store.get('lock:search:JNB:PLZ')).toBe('next-instance');
+    });
+
+    test('searches locally when Redis fails while waiting for another instance', async () => {
+        const search = jest.fn(async () => [{ id: 'own' }]);
+        redisClient.store.set('lock:search:JNB:GRJ', 'other-instance');
+        redisClient.get.mockRejectedValueOnce(new Error('Redis down'));
+
+        const outcome = await searchCoalescer.run('search:JNB:GRJ', search);
+
+        expect(search).toHaveBeenCalledTimes(1);
+        expect(outcome).toEqual({ results: [{ id: 'own' }], shared: false });
+    });
+
+    test('identical findCheapestRoutes calls fan out to the providers once', async () => {
+        const runSearch = jest.spyOn(routeStitcher, 'runSearch').mockResolvedValue([{ id: 'route', totalPrice: 1000 }]);
+        const params = { from: 'JNB', to: 'LON', date: '2025-03-01', passengers: 1 };
+
+        const results = await Promise.all([
+            routeStitcher.findCheapestRoutes(params),
+            routeStitcher.findCheapestRoutes({ ...params }),
+            routeStitcher.findCheapestRoutes({ ...params, to: 'CPT' })
+        ]);
+
+        expect(runSearch).toHaveBeenCalledTimes(2);
+        expect(results[0]).toBe(results[1]);
+    });
+});
@@ -0,0 +1,115 @@
+const routeStitcher = require('../../src/core/route-stitcher');
+const providerRegistry = require('../../src/core/provider-registry');
+const redisClient = require('../../src/database/redis-client');
+const exchangeRateAPI = require('../../src/api/exchange-rate-api');
+const InterlineGraph = require('../../src/core/interline-graph');
+const SearchDeadline = require('../../src/core/search-deadline');
+
+const HOUR = 60 * 60 * 1000;
+
+function flight(id, from, to, departure, hours, price) {
+    const departs = new Date(departure);
+    return {
+        id,
+        airlines: ['XX'],
+        segments: [{
+            airline: 'XX',
+            flightNumber: '100',
+            from,
+            to,
+            departure: departs,
+            arrival: new Date(departs.getTime() + hours * HOUR)
+        }],
+        totalPrice: price,
+        currency: 'ZAR'
+    };
+}
+
+describe('Search deadline', () => {
+    const deadlineMs = routeStitcher.searchDeadlineMs;
+
+    afterEach(() => {
+        routeStitcher.searchDeadlineMs = deadlineMs;
+        jest.restoreAllMocks();
+    });
+
+    test('returns partial results listing the providers that missed the deadline', async () => {
+        const fast = {
+            name: 'fast',
+            displayName: 'Fast',
+            search: jest.fn(async params => [flight('fast', params.from, params.to, '2025-03-01T20:00:00Z', 11, 7000)])
+        };
+        // Only answers once its call is cancelled, like an aborted HTTP request
+        const slow = {
+            name: 'slow',
+            displayName: 'Slow',
+            search: jest.fn(params => new Promise(resolve => {
+                params.deadline.signal.addEventListener('abort', () => resolve([]));
+            }))
+        };
+
+        routeStitcher.searchDeadlineMs = 50;
+        jest.spyOn(providerRegistry, 'getAvailable').mockReturnValue([fast, slow]);
+        jest.spyOn(providerRegistry, 'getUnavailable').mockReturnValue([]);
+        jest.spyOn(routeStitcher, 'searchHubLegs').mockResolvedValue([]);
+        jest.spyOn(routeStitcher, 'searchGroundLegs').mockResolvedValue([]);
+        jest.spyOn(routeStitcher, 'finalizeRoutes').mockImplementation(async routes => routes);
+        const cache = jest.spyOn(redisClient, 'cacheSearchResults').mockResolvedValue(true);
+        jest.spyOn(redisClient, 'set').mockResolvedValue(true);
+        jest.spyOn(exchangeRateAPI, 'getLatestRates').mockResolvedValue({ base: 'ZAR', rates: {} });
+
+        const events = [];
+        const progress = { emit: (event, data) => events.push({ event, data }) };
+
+        const results = await routeStitcher.runSearch({ from: 'JNB', to: 'LHR', date: '2025-03-01' }, 'search:test', progress);
+
+        expect(results.map(route => route.id)).toEqual(['fast']);
+        expect(results.partial).toBe(true);
+        expect(results.missingProviders).toEqual(['Slow']);
+        expect(slow.search.mock.calls[0][0].deadline.expired).toBe(true);
+        expect(events).toContainEqual({ event: 'provider', data: expect.objectContaining({ provider: 'slow', timedOut: true }) });
+        expect(cache).not.toHaveBeenCalled();
+    });
+
+    const stitchingTickets = () => [
+        flight('jnb-nbo', 'JNB', 'NBO', '2025-03-01T06:00:00Z', 4, 3000),
+        flight('jnb-add', 'JNB', 'ADD', '2025-03-01T06:00:00Z', 5, 3500),
+        flight('nbo-lhr', 'NBO', 'LHR', '2025-03-01T16:00:00Z', 9, 4000),
+        flight('add-lhr', 'ADD', 'LHR', '2025-03-01T17:00:00Z', 8, 4000)
+    ];
+
+    test('stitching keeps the cheapest paths found once the deadline passes', () => {
+        // Expires after the edges are built (one check per ticket not
+        // arriving in London) and three heap pops, the third completing JNB-NBO-LHR
+        let checks = 0;
+        const deadline = { get expired() { return ++checks > 2 + 3; } };
+
+        const graph = new InterlineGraph({ minConnectionTime: 2 * HOUR, maxConnectionTime: 24 * HOUR, deadline })
+            .build(stitchingTickets(), 'JNB', 'LHR');
+        const paths = graph.findCheapestPaths(10);
+
+        expect(graph.partial).toBe(true);
+        expect(paths).toHaveLength(1);
+        expect(paths[0].tickets.map(ticket => ticket.id)).toEqual(['jnb-nbo', 'nbo-lhr']);
+    });
+
+    test('stitching stops at the deadline even before any path is found', () => {
+        const deadline = new SearchDeadline(60000);
+        deadline.controller.abort();
+
+        const routes = routeStitcher.generateInterlineRoutes(stitchingTickets(), 'JNB', 'LHR', deadline);
+        deadline.clear();
+
+        expect(routes).toEqual([]);
+        expect(deadline.partial).toBe(true);
+        expect(deadline.missingProviders.size).toBe(0);
+    });
+
+    test('rejects work still running at the deadline', async () => {
+        const deadline = new SearchDeadline(20);
+
+        await expect(deadline.race(new Promise(() => {}))).rejects.toMatchObject({ code: 'SEARCH_DEADLINE' });
+        await expect(deadline.race(Promise.resolve('late'))).rejects.toMatchObject({ code: 'SEARCH_DEADLINE' });
+        expect(deadline.signal.aborted).toBe(true);
+    });
+});
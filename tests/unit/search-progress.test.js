@@ -0,0 +1,46 @@
+const SearchProgress = require('../../src/telegram/search-progress');
+
+function fakeBot() {
+    return { editMessageText: jest.fn(async () => ({})) };
+}
+
+const searchParams = { from: 'JNB', to: 'CPT', date: '2025-01-10' };
+
+describe('SearchProgress', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    test('edits the message with provider status and best price so far', async () => {
+        const bot = fakeBot();
+        const progress = new SearchProgress(bot, 1, 99, searchParams);
+
+        progress.emitter.emit('start', {
+            providers: [{ name: 'kiwi', displayName: 'Kiwi' }, { name: 'skyscanner', displayName: 'Skyscanner' }],
+            searchesPerProvider: 1
+        });
+        progress.emitter.emit('provider', { provider: 'kiwi', ok: true, count: 12, bestPrice: 1800 });
+        progress.emitter.emit('stitched', { count: 4, bestPrice: 1500 });
+
+        await jest.runOnlyPendingTimersAsync();
+
+        expect(bot.editMessageText).toHaveBeenCalledTimes(1);
+        const [text, options] = bot.editMessageText.mock.calls[0];
+        expect(options).toMatchObject({ chat_id: 1, message_id: 99 });
+        expect(text).toContain('✅ Kiwi: 12 result(s)');
+        expect(text).toContain('⏳ Skyscanner');
+        expect(text).toContain('Self-transfer combinations: 4');
+        expect(text).toContain('R1,500.00');
+    });
+
+    test('finish swaps in the final text and stops live updates', async () => {
+        const bot = fakeBot();
+        const progress = new SearchProgress(bot, 1, 99, searchParams);
+
+        progress.emitter.emit('stitched', { count: 1, bestPrice: 900 });
+        await progress.finish('Summary');
+        await jest.runOnlyPendingTimersAsync();
+
+        expect(bot.editMessageText).toHaveBeenCalledTimes(1);
+        expect(bot.editMessageText.mock.calls[0][0]).toBe('Summary');
+    });
+});
@@ -0,0 +1,78 @@
+const transferRisk = require('../../src/core/transfer-risk');
+
+const HOUR = 60 * 60 * 1000;
+const BASE = Date.UTC(2025, 0, 10, 8);
+
+function segment(from, to, depHour, arrHour, airline = 'SA') {
+    return {
+        airline,
+        from,
+        to,
+        departure: new Date(BASE + depHour * HOUR),
+        arrival: new Date(BASE + arrHour * HOUR)
+    };
+}
+
+function selfTransferRoute(first, second) {
+    return {
+        virtualInterline: true,
+        segments: [first, second],
+        components: [
+            { route: { segments: [first] } },
+            { route: { segments: [second] } }
+        ]
+    };
+}
+
+describe('TransferRiskModel', () => {
+    test('a longer self-transfer is less likely to be missed', () => {
+        const tight = transferRisk.assessRoute(selfTransferRoute(segment('JNB', 'NBO', 0, 4), segment('NBO', 'LHR', 7, 16, 'KQ')));
+        const relaxed = transferRisk.assessRoute(selfTransferRoute(segment('JNB', 'NBO', 0, 4), segment('NBO', 'LHR', 10, 19, 'KQ')));
+
+        expect(tight.connections).toHaveLength(1);
+        expect(tight.connections[0].selfTransfer).toBe(true);
+        expect(tight.probability).toBeGreaterThan(relaxed.probability);
+        expect(tight.level).toBe('high');
+        expect(relaxed.level).toBe('low');
+    });
+
+    test('low-cost carriers and overnight arrivals raise the risk', () => {
+        const daytime = segment('CPT', 'JNB', 0, 2);
+        const lowCost = segment('CPT', 'JNB', 0, 2, 'FA');
+        const next = segment('JNB', 'NBO', 6, 10, 'KQ');
+
+        const base = transferRisk.assessConnection(daytime, next, true);
+        const withLowCost = transferRisk.assessConnection(lowCost, next, true);
+
+        expect(withLowCost.factors).toContain('lowCostCarrier');
+        expect(withLowCost.probability).toBeGreaterThan(base.probability);
+
+        // 20:00 UTC arrival is 22:00 in Johannesburg
+        const lateArrival = segment('CPT', 'JNB', 10, 12);
+        const overnight = transferRisk.assessConnection(lateArrival, segment('JNB', 'NBO', 16, 20, 'KQ'), true);
+
+        expect(overnight.factors).toContain('overnight');
+    });
+
+    test('combines connections into a route probability and filters risky routes', () => {
+        const first = segment('JNB', 'ADD', 0, 6);
+        const second = segment('ADD', 'IST', 7, 13, 'ET');
+        const third = segment('IST', 'LHR', 14, 18, 'TK');
+        const risky = {
+            virtualInterline: true,
+            segments: [first, second, third],
+            components: [first, second, third].map(item => ({ route: { segments: [item] } }))
+        };
+
+        const risk = transferRisk.assessRoute(risky);
+        const [a, b] = risk.connections;
+
+        expect(risk.probability).toBeCloseTo(1 - (1 - a.probability) * (1 - b.probability));
+        expect(transferRisk.filterRoutes([risky])).toHaveLength(0);
+
+        const direct = { segments: [segment('JNB', 'LHR', 0, 11)] };
+        const [kept] = transferRisk.filterRoutes([direct]);
+
+        expect(kept.transferRisk.probability).toBe(0);
+    });
+});
@@ -0,0 +1,52 @@
+const tripPlanner = require('../../src/core/trip-planner');
+
+function prices(entries) {
+    return new Map(Object.entries(entries));
+}
+
+describe('TripPlanner', () => {
+    test('picks the cheapest stay lengths for an order', () => {
+        const order = [
+            { code: 'NBO', minStay: 2, maxStay: 3 },
+            { code: 'KGL', minStay: 1, maxStay: 2 }
+        ];
+        const dailyPrices = new Map([
+            ['JNB-NBO', prices({ '2025-03-01': 3000 })],
+            ['NBO-KGL', prices({ '2025-03-03': 1500, '2025-03-04': 900 })],
+            ['KGL-JNB', prices({ '2025-03-05': 4000, '2025-03-06': 2800, '2025-03-07': 2500 })]
+        ]);
+
+        const plan = tripPlanner.estimateOrder('JNB', '2025-03-01', order, dailyPrices);
+
+        expect(plan.order).toEqual(['NBO', 'KGL']);
+        expect(plan.estimatedPrice).toBe(6700);
+        expect(plan.legs).toEqual([
+            { from: 'JNB', to: 'NBO', date: '2025-03-01' },
+            { from: 'NBO', to: 'KGL', date: '2025-03-04' },
+            { from: 'KGL', to: 'JNB', date: '2025-03-06' }
+        ]);
+    });
+
+    test('returns null when no date combination is priced', () => {
+        const order = [{ code: 'NBO', minStay: 2, maxStay: 2 }];
+        const dailyPrices = new Map([
+            ['JNB-NBO', prices({ '2025-03-01': 3000 })],
+            ['NBO-JNB', prices({ '2025-03-05': 3000 })]
+        ]);
+
+        expect(tripPlanner.estimateOrder('JNB', '2025-03-01', order, dailyPrices)).toBeNull();
+    });
+
+    test('rejects invalid plans', () => {
+        expect(tripPlanner.validatePlan({
+            home: 'JNB',
+            startDate: '2025-03-01',
+            cities: [{ code: 'NBO', minStay: 3, maxStay: 2 }]
+        }).valid).toBe(false);
+        expect(tripPlanner.validatePlan({
+            home: 'JNB',
+            startDate: '2025-03-01',
+            cities: [{ code: 'NBO', minStay: 2, maxStay: 3 }, { code: 'NBO', minStay: 1, maxStay: 1 }]
+        }).valid).toBe(false);
+    });
+});